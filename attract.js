@@ -0,0 +1,73 @@
+/**
+ * attract.js
+ * 閒置吸引模式：一段時間沒有手、也沒有滑鼠 / 鍵盤操作時進入，有人出現時立即離開
+ * 純邏輯，只負責計時（可以直接在 Node 中測試）；進入後的自轉、切換形狀與提示由 main.js 處理
+ */
+
+export const ATTRACT_DEFAULTS = {
+    idleDelay: 30,       // 沒有人多久（秒）後進入吸引模式，0 為關閉
+    cycleInterval: 8     // 吸引模式中每隔幾秒切換一次形狀
+};
+
+export class AttractMode {
+    /**
+     * @param {Object} [options] - 見 ATTRACT_DEFAULTS
+     */
+    constructor(options = {}) {
+        this.idleDelay = options.idleDelay !== undefined ? options.idleDelay : ATTRACT_DEFAULTS.idleDelay;
+        this.cycleInterval = options.cycleInterval !== undefined ? options.cycleInterval : ATTRACT_DEFAULTS.cycleInterval;
+        this.active = false;       // 是否在吸引模式中
+        this.present = false;      // 畫面中是否有手
+        this.idleTime = 0;         // 沒有人的累積秒數
+        this.cycleTime = 0;        // 距離上次切換形狀的秒數
+    }
+
+    /**
+     * 經過 seconds 秒
+     * @param {number} seconds
+     * @returns {'start' | 'cycle' | null} 'start' 進入吸引模式；'cycle' 該切換下一個形狀
+     */
+    update(seconds) {
+        if (this.present || !(this.idleDelay > 0)) return null;
+
+        if (!this.active) {
+            this.idleTime += seconds;
+            if (this.idleTime < this.idleDelay) return null;
+
+            this.active = true;
+            this.cycleTime = 0;
+            return 'start';
+        }
+
+        this.cycleTime += seconds;
+        if (this.cycleInterval > 0 && this.cycleTime >= this.cycleInterval) {
+            this.cycleTime = 0;
+            return 'cycle';
+        }
+        return null;
+    }
+
+    /**
+     * 畫面中的手出現 / 全部離開
+     * 有手的期間不會進入吸引模式；手離開後重新開始計時
+     *
+     * @param {boolean} present
+     * @returns {'stop' | null} 'stop' 離開吸引模式
+     */
+    setPresence(present) {
+        this.present = present;
+        return this.activity();
+    }
+
+    /**
+     * 一次性的操作（滑鼠、觸控、按鍵），重新開始計時
+     * @returns {'stop' | null} 'stop' 離開吸引模式
+     */
+    activity() {
+        this.idleTime = 0;
+        if (!this.active) return null;
+
+        this.active = false;
+        return 'stop';
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * bindings.js
+ * 輸入 → 動作的對應表：手勢、揮動、按鍵、點擊都先轉成輸入名稱，再依對應表執行動作
+ * 純邏輯，不依賴 DOM（可以直接在 Node 中測試）；動作的實際執行在 main.js
+ *
+ * 輸入名稱：
+ * - pose:<手勢>              靜態手勢，例如 pose:fist、pose:open、pose:thumbs_up
+ * - twohand:heart            雙手比愛心
+ * - swipe:left | right | up | down
+ * - wave                     揮手
+ * - circle:clockwise | counterclockwise
+ * - push                     往前推
+ * - key:<按鍵>               例如 key:s、key:space、key:arrowright（小寫，組合鍵不觸發）
+ * - click / tap              手勢追蹤無法使用時的滑鼠點擊 / 觸控點擊
+ *
+ * 對應表的 JSON 格式（見 DOCUMENTATION.md）：
+ * { "version": 1, "bindings": { "pose:fist": { "action": "setMode", "mode": "heart" }, "key:b": [...], "wave": null } }
+ * 值可以是一個動作、動作陣列，或 null（移除預設的對應）
+ */
+
+const BINDINGS_FILE_VERSION = 1;
+
+// 可以綁定的輸入名稱
+const INPUT_PATTERN = /^(pose:[a-z_]+|twohand:heart|swipe:(left|right|up|down)|wave|circle:(clockwise|counterclockwise)|push|key:.+|click|tap)$/;
+
+/**
+ * 動作與參數的型別
+ * 每個動作都可以加上 message（執行時顯示的提示，取代預設訊息）
+ */
+export const BINDING_ACTIONS = {
+    setMode: { required: ['mode'], params: { mode: 'string' } },          // 切換到指定形狀
+    cycleShape: { params: { step: 'number', shapes: 'strings' } },        // 依序切換形狀（shapes 省略時為所有形狀）
+    setPalette: { required: ['palette'], params: { palette: 'string', mode: 'string' } },
+    cyclePalette: { params: { step: 'number' } },                         // 依序切換預設調色盤
+    burst: { params: { speed: 'number' } },                               // 粒子炸開
+    reset: { params: { seed: 'seed' } },                                  // 重新生成粒子（seed 省略時隨機）
+    spin: { params: { speed: 'number', factor: 'number' } },              // 自轉：固定速度，或畫圈角速度 × factor
+    toggleRotationLock: { params: {} },                                   // 鎖定 / 解除手部控制旋轉
+    toggleSettings: { params: {} },                                       // 開關設定面板
+    toggleRecording: { params: {} },                                      // 開始 / 停止錄製手部關鍵點
+    toggleCalibration: { params: {} }                                     // 開始 / 取消手勢校正
+};
+
+// 預設的對應
+export const DEFAULT_BINDINGS = {
+    // 靜態手勢：握拳 → 愛心聚合；張開手 → 愛心炸開變星空；其他手勢 → 對應形狀
+    'pose:fist': { action: 'setMode', mode: 'heart', message: '✊ 握拳 → 3D 愛心聚合中...' },
+    'pose:open': { action: 'setMode', mode: 'space', message: '🖐️ 張開手 → 3D 星空散開中...' },
+    'pose:point': { action: 'setMode', mode: 'ring', message: '☝️ 食指 → 光環' },
+    'pose:peace': { action: 'setMode', mode: 'star', message: '✌️ 比 YA → 星星' },
+    'pose:three': { action: 'setMode', mode: 'torus', message: '🤟 三根手指 → 甜甜圈' },
+    'pose:thumbs_up': { action: 'setMode', mode: 'sphere', message: '👍 比讚 → 球體' },
+    'pose:ok': { action: 'setMode', mode: 'dna', message: '👌 OK → DNA 螺旋' },
+    'pose:pinch': { action: 'setMode', mode: 'text', message: '🤏 捏合 → 文字' },
+    'twohand:heart': { action: 'setMode', mode: 'heart', message: '🫶 雙手比愛心 → 3D 愛心' },
+
+    // 動態手勢
+    'swipe:left': { action: 'cycleShape', step: -1 },
+    'swipe:right': { action: 'cycleShape', step: 1 },
+    'circle:clockwise': { action: 'spin', factor: 0.8, message: '🔃 順時針畫圈 → 旋轉' },
+    'circle:counterclockwise': { action: 'spin', factor: 0.8, message: '🔄 逆時針畫圈 → 旋轉' },
+    'push': { action: 'burst', message: '💥 往前推 → 炸開' },
+
+    // 按鍵
+    'key:s': { action: 'toggleSettings' },
+    'key:r': { action: 'toggleRecording' },
+    'key:c': { action: 'toggleCalibration' },
+
+    // 備用的滑鼠 / 觸控互動：在愛心與星空之間切換
+    'click': { action: 'cycleShape', shapes: ['space', 'heart'] },
+    'tap': { action: 'cycleShape', shapes: ['space', 'heart'] }
+};
+
+/**
+ * 動態手勢事件的輸入名稱
+ * @param {Object} event - { type: 'swipe' | 'wave' | 'circle' | 'push', direction }
+ * @returns {string}
+ */
+export function getMotionInput(event) {
+    return event.direction && event.type !== 'wave' ? `${event.type}:${event.direction}` : event.type;
+}
+
+/**
+ * 按鍵的輸入名稱（KeyboardEvent.key 轉小寫，空白鍵為 space）
+ * @param {string} key
+ * @returns {string}
+ */
+export function getKeyInput(key) {
+    return 'key:' + (key === ' ' ? 'space' : key.toLowerCase());
+}
+
+/**
+ * 檢查單一參數，回傳錯誤訊息（合法時為 null）
+ */
+function checkParam(type, value) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string' && value !== '' ? null : '必須是非空字串';
+        case 'number':
+            return Number.isFinite(value) ? null : '必須是數字';
+        case 'strings':
+            return Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v !== '')
+                ? null
+                : '必須是非空的字串陣列';
+        case 'seed':
+            return Number.isFinite(value) || (typeof value === 'string' && value !== '') ? null : '必須是數字或非空字串';
+    }
+    return '未知的類型';
+}
+
+/**
+ * 檢查一個動作，回傳錯誤訊息（合法時為 null）
+ */
+function checkAction(action) {
+    if (!action || typeof action !== 'object' || Array.isArray(action)) return '動作必須是物件';
+
+    const spec = BINDING_ACTIONS[action.action];
+    if (!spec) return '未知的動作 ' + action.action;
+
+    for (const key of spec.required || []) {
+        if (action[key] === undefined) return `${action.action} 缺少 ${key}`;
+    }
+
+    for (const [key, value] of Object.entries(action)) {
+        if (key === 'action') continue;
+        const type = key === 'message' ? 'string' : spec.params[key];
+        if (!type) return `${action.action} 沒有參數 ${key}`;
+
+        const error = checkParam(type, value);
+        if (error) return `${action.action}.${key} ${error}`;
+    }
+
+    return null;
+}
+
+/**
+ * 驗證並合併對應表
+ * 不合法的項目會被略過並列在 errors 中，其餘照常套用
+ *
+ * @param {Object} partial - { 輸入名稱: 動作 | 動作陣列 | null }
+ * @param {Object} [base] - 要合併進去的對應表，預設為 DEFAULT_BINDINGS
+ * @returns {{ bindings: Object, errors: string[] }} bindings 的值一律為動作陣列
+ */
+export function validateBindings(partial, base = DEFAULT_BINDINGS) {
+    const bindings = {};
+    const errors = [];
+
+    for (const [input, value] of Object.entries(base)) {
+        bindings[input] = Array.isArray(value) ? value : [value];
+    }
+
+    if (!partial || typeof partial !== 'object' || Array.isArray(partial)) {
+        return { bindings, errors: ['對應表必須是物件'] };
+    }
+
+    for (const [input, value] of Object.entries(partial)) {
+        if (!INPUT_PATTERN.test(input)) {
+            errors.push(`${input}：未知的輸入`);
+            continue;
+        }
+
+        if (value === null) {
+            delete bindings[input];
+            continue;
+        }
+
+        const actions = Array.isArray(value) ? value : [value];
+        const error = actions.length === 0 ? '沒有任何動作' : actions.map(checkAction).find(e => e !== null);
+        if (error) {
+            errors.push(`${input}：${error}`);
+        } else {
+            bindings[input] = actions;
+        }
+    }
+
+    return { bindings, errors };
+}
+
+/**
+ * 從 JSON 字串讀取對應表並與預設值合併
+ * @param {string} text - { version, bindings, replace }；replace 為 true 時不保留預設的對應
+ * @returns {{ bindings: Object, errors: string[] }}
+ */
+export function parseBindings(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('對應表檔案不是有效的 JSON');
+    }
+
+    if (!data || typeof data.bindings !== 'object' || data.bindings === null) {
+        throw new Error('不是有效的對應表檔案');
+    }
+    if (data.version > BINDINGS_FILE_VERSION) {
+        throw new Error('不支援的對應表檔案版本：' + data.version);
+    }
+
+    return validateBindings(data.bindings, data.replace === true ? {} : DEFAULT_BINDINGS);
+}
+
+/**
+ * 取得某個輸入對應的動作
+ * @param {Object} bindings - validateBindings 回傳的對應表
+ * @param {string} input - 輸入名稱
+ * @returns {Object[]} 動作陣列，沒有對應時為空陣列
+ */
+export function resolveBinding(bindings, input) {
+    return Object.prototype.hasOwnProperty.call(bindings, input) ? bindings[input] : [];
+}
@@ -0,0 +1,191 @@
+/**
+ * calibration-ui.js
+ * 手勢校正的流程畫面：顯示「張開手」、「握拳」的提示與進度，完成後套用並儲存到 localStorage
+ * 計算與儲存格式見 calibration.js；啟用時會自動套用上次儲存的校正結果
+ */
+
+import {
+    CalibrationSession,
+    CALIBRATION_KEYS,
+    loadCalibration,
+    saveCalibration,
+    clearCalibration
+} from './calibration.js';
+import { setGestureThresholds, GESTURE_DEFAULTS } from './gesture-logic.js';
+import { on as onTrackingEvent } from './hand-tracking.js';
+
+let storage = null;
+let saved = null;           // 目前套用的校正結果 { thresholds, createdAt }
+let session = null;         // 進行中的校正
+let unsubscribe = null;
+let notify = () => {};
+
+/**
+ * 取得 localStorage（隱私模式下可能無法使用）
+ */
+function getStorage() {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 啟用手勢校正，並套用上次儲存的校正結果（在 setupSettingsPanel 之前呼叫，讓「恢復初始值」包含校正）
+ * @param {Object} [options]
+ * @param {Function} [options.onMessage] - 顯示訊息的函式（例如通知列）
+ */
+export function setupCalibration(options = {}) {
+    storage = getStorage();
+    if (options.onMessage) notify = options.onMessage;
+
+    saved = loadCalibration(storage);
+    if (saved) {
+        setGestureThresholds(saved.thresholds);
+        console.log('已套用儲存的手勢校正:', saved.thresholds);
+    }
+
+    // Esc 取消校正
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && session) cancelCalibration();
+    });
+}
+
+/**
+ * 開始校正（需要手勢追蹤正在執行，提示依每一幀的偵測結果前進）
+ */
+export function startCalibration() {
+    if (session) return;
+
+    session = new CalibrationSession();
+    unsubscribe = onTrackingEvent('frame', onFrame);
+    toggleOverlay(true);
+    render(session.getStatus(0, false));
+    console.log('開始手勢校正');
+}
+
+/**
+ * 取消進行中的校正，閾值不變
+ */
+export function cancelCalibration() {
+    if (!session) return;
+
+    stop();
+    notify('✖️ 已取消手勢校正');
+}
+
+/**
+ * 是否正在校正（校正期間 main.js 不處理手勢輸入）
+ * @returns {boolean}
+ */
+export function isCalibrating() {
+    return session !== null;
+}
+
+/**
+ * 目前套用的校正結果
+ * @returns {Object|null} { thresholds, createdAt }；沒有校正時為 null
+ */
+export function getCalibration() {
+    return saved ? { thresholds: { ...saved.thresholds }, createdAt: saved.createdAt } : null;
+}
+
+/**
+ * 清除校正：刪除儲存的結果，校正調整過的閾值恢復預設值
+ */
+export function resetCalibration() {
+    clearCalibration(storage);
+    saved = null;
+
+    const defaults = {};
+    for (const key of CALIBRATION_KEYS) {
+        defaults[key] = GESTURE_DEFAULTS[key];
+    }
+    setGestureThresholds(defaults);
+    notify('↩️ 已清除手勢校正，恢復預設閾值');
+}
+
+/**
+ * 校正結果的簡短說明，例如「伸展距離 0.95 · 張開 ≥ 4 指 · 握拳 ≤ 1 指 · 大拇指彎曲 < 0.47」
+ * @param {Object} thresholds
+ * @returns {string}
+ */
+export function describeCalibration(thresholds) {
+    const parts = [
+        `伸展距離 ${thresholds.extendedThreshold}`,
+        `張開 ≥ ${thresholds.openMinFingers} 指`,
+        `握拳 ≤ ${thresholds.fistMaxFingers} 指`
+    ];
+    if (thresholds.thumbExtendedCurl !== undefined) {
+        parts.push(`大拇指彎曲 < ${thresholds.thumbExtendedCurl}`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * 每一幀的偵測結果（只看畫面中的第一隻手）
+ */
+function onFrame({ landmarks, timestamp }) {
+    const status = session.update(landmarks[0] || null, timestamp);
+
+    if (status.phase === 'done') {
+        finish();
+    } else {
+        render(status);
+    }
+}
+
+/**
+ * 流程結束：計算、套用並儲存
+ */
+function finish() {
+    try {
+        const { thresholds, fingers } = session.compute();
+        setGestureThresholds(thresholds);
+        saved = saveCalibration(storage, thresholds);
+        console.log('手勢校正完成:', thresholds, fingers);
+        notify('✅ 校正完成：' + describeCalibration(thresholds));
+    } catch (error) {
+        console.warn('Calibration failed:', error.message);
+        notify('⚠️ ' + error.message);
+    } finally {
+        stop();
+    }
+}
+
+function stop() {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    session = null;
+    toggleOverlay(false);
+}
+
+function toggleOverlay(visible) {
+    const overlay = document.getElementById('calibration');
+    if (overlay) {
+        overlay.classList.toggle('hidden', !visible);
+    }
+}
+
+/**
+ * 更新提示、進度條與說明
+ */
+function render(status) {
+    const prompt = document.getElementById('calibration-prompt');
+    const bar = document.getElementById('calibration-bar');
+    const detail = document.getElementById('calibration-detail');
+    if (!prompt || !bar || !detail) return;
+
+    prompt.textContent = status.prompt;
+    bar.style.width = (status.progress * 100).toFixed(1) + '%';
+    bar.classList.toggle('capturing', status.phase === 'capture');
+
+    if (status.phase === 'prepare') {
+        detail.textContent = `${Math.ceil(status.remaining / 1000)} 秒後開始記錄…`;
+    } else if (!status.handVisible) {
+        detail.textContent = '看不到手，請把手放在鏡頭前';
+    } else {
+        detail.textContent = '記錄中，請保持不動';
+    }
+}
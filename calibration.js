@@ -0,0 +1,286 @@
+/**
+ * calibration.js
+ * 手勢校正：依序請使用者「張開手」、「握拳」，記錄指尖到掌心的正規化距離，算出這個人的 open / fist 閾值
+ * 純邏輯（可以直接在 Node 中測試）；提示畫面與套用由 calibration-ui.js 處理
+ * 不直接依賴 DOM，storage 由呼叫端傳入（瀏覽器中為 localStorage，需要 getItem / setItem / removeItem）
+ *
+ * 算出的閾值（見 gesture-logic.js 的 GESTURE_DEFAULTS）：
+ * - extendedThreshold：手指伸展的距離，取各手指張開與握拳距離中點的中位數
+ * - openMinFingers / fistMaxFingers：張開 / 握拳的手指根數，依這個人實際能伸直的手指數決定
+ * - thumbExtendedCurl：大拇指伸展的彎曲上限（大拇指張開與握拳差異不明顯時不調整）
+ */
+
+import { getFingerStates } from './gesture-logic.js';
+
+export const CALIBRATION_STORAGE_KEY = 'hand-heart-particles:calibration';
+const CALIBRATION_FILE_VERSION = 1;
+
+// 校正步驟，依序進行
+export const CALIBRATION_STEPS = [
+    { pose: 'open', prompt: '🖐️ 張開手，手指盡量伸直' },
+    { pose: 'fist', prompt: '✊ 握拳' }
+];
+
+// 校正會調整的閾值
+export const CALIBRATION_KEYS = ['extendedThreshold', 'openMinFingers', 'fistMaxFingers', 'thumbExtendedCurl'];
+
+export const CALIBRATION_DEFAULTS = {
+    prepareTime: 2000,   // 每個步驟開始記錄前的準備時間（毫秒）
+    captureTime: 1500,   // 每個步驟記錄的時間（毫秒）
+    minSamples: 10       // 每個步驟至少要記錄到幾幀有手的資料
+};
+
+// ===== 計算參數 =====
+const FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+// 張開取距離較短的一端、握拳取較長的一端，排除偶爾偵測錯誤的幀
+const OPEN_QUANTILE = 0.2;
+const FIST_QUANTILE = 0.8;
+// 張開與握拳的距離差小於此值的手指不可靠，不用來決定伸展距離
+const MIN_DISTANCE_GAP = 0.15;
+// 大拇指張開與握拳的彎曲程度差小於此值時，不調整 thumbExtendedCurl
+const MIN_CURL_GAP = 0.1;
+// ====================
+
+/**
+ * 取排序後第 q 比例位置的值（線性內插）
+ * @param {number[]} values
+ * @param {number} q - 0-1
+ */
+function quantile(values, q) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * 由張開手與握拳的手指狀態算出校正閾值
+ *
+ * @param {Object} samples - { open: [...], fist: [...] }，每項為 getFingerStates() 的結果
+ * @param {Object} [options]
+ * @param {number} [options.minSamples] - 每種手勢至少需要的幀數
+ * @returns {Object} { thresholds, fingers }；fingers 為每根手指 { open, fist, reliable }（張開 / 握拳的代表距離）
+ * @throws {Error} 資料不足，或張開與握拳分不出來
+ */
+export function computeCalibration(samples, options = {}) {
+    const minSamples = options.minSamples !== undefined ? options.minSamples : CALIBRATION_DEFAULTS.minSamples;
+    const open = (samples && samples.open) || [];
+    const fist = (samples && samples.fist) || [];
+
+    if (open.length < minSamples || fist.length < minSamples) {
+        throw new Error(`記錄到的手部資料不足（張開 ${open.length} 幀、握拳 ${fist.length} 幀），請讓手留在鏡頭前`);
+    }
+
+    const fingers = {};
+    const midpoints = [];
+    for (const name of FINGER_NAMES) {
+        const openDistance = quantile(open.map(states => states[name].distance), OPEN_QUANTILE);
+        const fistDistance = quantile(fist.map(states => states[name].distance), FIST_QUANTILE);
+        const reliable = openDistance - fistDistance >= MIN_DISTANCE_GAP;
+
+        fingers[name] = { open: openDistance, fist: fistDistance, reliable };
+        if (reliable) {
+            midpoints.push((openDistance + fistDistance) / 2);
+        }
+    }
+
+    if (midpoints.length === 0) {
+        throw new Error('張開與握拳時的手指距離幾乎相同，請把手指盡量伸直、握緊後再試一次');
+    }
+
+    const extendedThreshold = round(quantile(midpoints, 0.5), 2);
+
+    // 這個人張開 / 握拳時，以新的伸展距離判斷會有幾根手指伸展
+    const openCount = FINGER_NAMES.filter(name => fingers[name].open > extendedThreshold).length;
+    const fistCount = FINGER_NAMES.filter(name => fingers[name].fist > extendedThreshold).length;
+    const gap = openCount - fistCount;
+
+    if (gap < 2) {
+        throw new Error('張開與握拳的差異太小，請把手指盡量伸直、握緊後再試一次');
+    }
+
+    // 差距夠大時各留一根手指的餘裕（與預設的 5 指 → 至少 4 根、0 指 → 最多 1 根相同）
+    const thresholds = {
+        extendedThreshold,
+        openMinFingers: gap >= 3 ? openCount - 1 : openCount,
+        fistMaxFingers: gap >= 4 ? fistCount + 1 : fistCount
+    };
+
+    const thumbOpenCurl = quantile(open.map(states => states.thumb.curl), 1 - OPEN_QUANTILE);
+    const thumbFistCurl = quantile(fist.map(states => states.thumb.curl), 1 - FIST_QUANTILE);
+    if (thumbFistCurl - thumbOpenCurl >= MIN_CURL_GAP) {
+        thresholds.thumbExtendedCurl = round((thumbOpenCurl + thumbFistCurl) / 2, 2);
+    }
+
+    return { thresholds, fingers };
+}
+
+/**
+ * 一次校正流程：依 CALIBRATION_STEPS 準備 → 記錄，每幀呼叫 update
+ */
+export class CalibrationSession {
+    /**
+     * @param {Object} [options] - 見 CALIBRATION_DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...CALIBRATION_DEFAULTS, ...options };
+        this.stepIndex = 0;
+        this.phase = 'prepare';     // 'prepare' | 'capture' | 'done'
+        this.phaseStart = null;     // 目前階段開始的時間（毫秒）
+        this.samples = {};
+        for (const step of CALIBRATION_STEPS) {
+            this.samples[step.pose] = [];
+        }
+    }
+
+    /**
+     * 處理一幀
+     * 記錄階段至少經過 captureTime 且記錄到 minSamples 幀有手的資料才進入下一步
+     *
+     * @param {Array|null} landmarks - 一隻手的 21 個關鍵點；沒有手時為 null
+     * @param {number} timestamp - 這一幀的時間（毫秒）
+     * @returns {Object} { step, pose, prompt, phase, progress, remaining, handVisible }
+     *                   progress 為目前階段的進度（0-1）；remaining 為準備階段剩餘的毫秒數
+     */
+    update(landmarks, timestamp) {
+        const states = landmarks ? getFingerStates(landmarks) : null;
+
+        if (this.phase !== 'done') {
+            if (this.phaseStart === null) this.phaseStart = timestamp;
+            const elapsed = timestamp - this.phaseStart;
+
+            if (this.phase === 'prepare') {
+                if (elapsed >= this.options.prepareTime) {
+                    this.phase = 'capture';
+                    this.phaseStart = timestamp;
+                }
+            } else {
+                const captured = this.samples[CALIBRATION_STEPS[this.stepIndex].pose];
+                if (states) captured.push(states);
+
+                if (elapsed >= this.options.captureTime && captured.length >= this.options.minSamples) {
+                    this.stepIndex++;
+                    this.phase = this.stepIndex < CALIBRATION_STEPS.length ? 'prepare' : 'done';
+                    this.phaseStart = timestamp;
+                }
+            }
+        }
+
+        return this.getStatus(timestamp, states !== null);
+    }
+
+    /**
+     * 目前的狀態（見 update）
+     */
+    getStatus(timestamp, handVisible) {
+        const step = CALIBRATION_STEPS[Math.min(this.stepIndex, CALIBRATION_STEPS.length - 1)];
+        const elapsed = this.phaseStart === null ? 0 : timestamp - this.phaseStart;
+        let progress = 1;
+        let remaining = 0;
+
+        if (this.phase === 'prepare') {
+            progress = Math.min(1, elapsed / this.options.prepareTime);
+            remaining = Math.max(0, this.options.prepareTime - elapsed);
+        } else if (this.phase === 'capture') {
+            const captured = this.samples[step.pose].length;
+            progress = Math.min(1, elapsed / this.options.captureTime, captured / this.options.minSamples);
+        }
+
+        return {
+            step: this.stepIndex,
+            pose: step.pose,
+            prompt: step.prompt,
+            phase: this.phase,
+            progress,
+            remaining,
+            handVisible
+        };
+    }
+
+    /**
+     * 以記錄到的資料計算閾值（流程結束後呼叫）
+     * @returns {Object} 見 computeCalibration
+     * @throws {Error} 流程尚未結束，或見 computeCalibration
+     */
+    compute() {
+        if (this.phase !== 'done') {
+            throw new Error('校正尚未完成');
+        }
+        return computeCalibration(this.samples, { minSamples: this.options.minSamples });
+    }
+}
+
+/**
+ * 只保留校正會調整、且是有限數值的項目
+ */
+function pickThresholds(thresholds) {
+    const result = {};
+    for (const key of CALIBRATION_KEYS) {
+        if (thresholds && Number.isFinite(thresholds[key])) {
+            result[key] = thresholds[key];
+        }
+    }
+    return result;
+}
+
+/**
+ * 從 storage 讀取儲存的校正結果，沒有或資料損壞時為 null
+ * @param {Object|null} storage
+ * @returns {Object|null} { thresholds, createdAt }
+ */
+export function loadCalibration(storage) {
+    if (!storage) return null;
+
+    try {
+        const saved = JSON.parse(storage.getItem(CALIBRATION_STORAGE_KEY) || 'null');
+        if (!saved) return null;
+
+        const thresholds = pickThresholds(saved.thresholds);
+        if (Object.keys(thresholds).length === 0) return null;
+        return { thresholds, createdAt: typeof saved.createdAt === 'string' ? saved.createdAt : null };
+    } catch (error) {
+        console.warn('校正資料損壞，已忽略:', error.message);
+        return null;
+    }
+}
+
+/**
+ * 儲存校正結果
+ * @param {Object|null} storage - null 時不儲存
+ * @param {Object} thresholds - computeCalibration 的 thresholds
+ * @returns {Object} 儲存的資料 { thresholds, createdAt }
+ */
+export function saveCalibration(storage, thresholds) {
+    const saved = { thresholds: pickThresholds(thresholds), createdAt: new Date().toISOString() };
+
+    if (storage) {
+        try {
+            storage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify({ version: CALIBRATION_FILE_VERSION, ...saved }));
+        } catch (error) {
+            // 例如隱私模式或容量已滿，這次的校正仍然有效
+            console.warn('無法儲存校正結果:', error.message);
+        }
+    }
+
+    return saved;
+}
+
+/**
+ * 刪除儲存的校正結果
+ * @param {Object|null} storage
+ */
+export function clearCalibration(storage) {
+    if (!storage) return;
+
+    try {
+        storage.removeItem(CALIBRATION_STORAGE_KEY);
+    } catch (error) {
+        console.warn('無法刪除校正結果:', error.message);
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * config.js
+ * 粒子系統的設定項目：預設值、驗證與網址參數覆寫
+ * 純邏輯，不依賴 Three.js 或 DOM（可以直接在 Node 中測試）
+ *
+ * 優先順序：預設值 → initParticles(container, options) → 網址參數（例如 ?heartScaleZ=1.2&quality=low）
+ * 執行中可用 updateConfig(partial) 調整，只會重新生成受影響的緩衝區
+ */
+
+import { QUALITY_TIERS } from './quality.js';
+import { COLOR_BY_MODES } from './palettes.js';
+
+const MAX_PARTICLE_COUNT = QUALITY_TIERS[QUALITY_TIERS.length - 1].particles;
+
+/**
+ * 設定項目
+ * type：'number' | 'boolean' | 'string' | 'seed'（數字或字串，null 為隨機）
+ * number 可指定 min / max / integer，string 可指定允許的 values
+ */
+export const CONFIG_SCHEMA = {
+    // ===== 系統 =====
+    seed: { type: 'seed', default: null, description: '隨機種子（數字或字串），null 為隨機產生' },
+    quality: {
+        type: 'string', default: 'auto', values: ['auto', ...QUALITY_TIERS.map(tier => tier.name)],
+        description: '畫質等級，auto 依 FPS 自動調整'
+    },
+    targetFps: { type: 'number', default: 60, min: 10, max: 240, description: '自動調整畫質時要維持的 FPS' },
+    particleCount: {
+        type: 'number', default: 0, min: 0, max: MAX_PARTICLE_COUNT, integer: true,
+        description: '固定粒子數，0 為依畫質等級'
+    },
+    worker: { type: 'boolean', default: true, description: '是否在 Web Worker 中模擬粒子' },
+
+    // ===== 形狀 =====
+    spaceRadius: { type: 'number', default: 15, min: 1, max: 100, description: '星空分佈半徑' },
+    heartSize: { type: 'number', default: 3, min: 0.1, max: 20, description: '愛心整體大小' },
+    heartScaleX: { type: 'number', default: 1.3, min: 0.1, max: 5, description: '愛心 X 軸縮放（寬度）' },
+    heartScaleY: { type: 'number', default: 1.1, min: 0.1, max: 5, description: '愛心 Y 軸縮放（高度）' },
+    heartScaleZ: { type: 'number', default: 0.9, min: 0.1, max: 5, description: '愛心 Z 軸縮放（厚度，越大越飽滿）' },
+    centerLineAvoid: { type: 'number', default: 0.15, min: 0, max: 1, description: '愛心中心線迴避半徑' },
+
+    // ===== 動畫（*Easing 為 60fps 時每幀的比例）=====
+    rotationSensitivity: { type: 'number', default: 1.5, min: 0, max: 5, description: '手勢控制旋轉的幅度' },
+    rotationEasing: { type: 'number', default: 0.08, min: 0.001, max: 1, description: '旋轉的平滑度' },
+    scaleEasing: { type: 'number', default: 0.1, min: 0.001, max: 1, description: '整體縮放的平滑度' },
+    zoomEasing: { type: 'number', default: 0.08, min: 0.001, max: 1, description: '鏡頭縮放的平滑度' },
+    zoomMin: { type: 'number', default: 0.5, min: 0.05, max: 20, description: '最小鏡頭縮放' },
+    zoomMax: { type: 'number', default: 2, min: 0.05, max: 20, description: '最大鏡頭縮放' },
+    heartbeatAmplitude: { type: 'number', default: 0.05, min: 0, max: 0.5, description: '心跳動畫幅度' },
+    heartbeatSpeed: { type: 'number', default: 1.2, min: 0, max: 20, description: '心跳速度' },
+
+    // ===== 顏色（調色盤用 setPalette 指定，見 palettes.js）=====
+    colorBy: {
+        type: 'string', default: 'palette', values: ['palette', ...COLOR_BY_MODES],
+        description: '上色方式，palette 依調色盤、layer 內外層、y 沿 Y 軸漸層、radius 依半徑漸層'
+    },
+    colorTransition: { type: 'number', default: 1.2, min: 0, max: 10, description: '切換調色盤時顏色漸變的秒數' },
+
+    // ===== 粒子物理（也可用 setPhysics 調整）=====
+    stiffness: { type: 'number', default: 6, min: 0.1, max: 100, description: '彈簧強度（1/s²），越大越快回到形狀' },
+    damping: { type: 'number', default: 3.5, min: 0, max: 50, description: '阻尼（1/s），小於 2√stiffness 時會稍微衝過頭再彈回' },
+    turbulence: { type: 'number', default: 0.6, min: 0, max: 20, description: 'curl noise 擾動的加速度，0 為關閉' },
+    turbulenceScale: { type: 'number', default: 0.35, min: 0.01, max: 5, description: '擾動的空間頻率，越大漩渦越小' },
+    turbulenceSpeed: { type: 'number', default: 0.3, min: 0, max: 10, description: '擾動流場的變化速度' },
+    explosion: { type: 'number', default: 9, min: 0, max: 100, description: '從形狀切換到星空時向外炸開的初速度，0 為關閉' },
+
+    // ===== 手指 / 滑鼠力場（也可用 setForceOptions 調整，名稱不含 force 前綴）=====
+    forceMode: {
+        type: 'string', default: 'attract', values: ['attract', 'repel'],
+        description: '力場模式，attract 吸引並繞著手指旋轉，repel 把粒子推開'
+    },
+    forceRadius: { type: 'number', default: 2.5, min: 0.1, max: 20, description: '力場影響半徑（粒子空間單位）' },
+    forceStrength: { type: 'number', default: 25, min: 0, max: 500, description: '力場中心處的加速度' },
+    forceSwirl: { type: 'number', default: 0.6, min: 0, max: 5, description: '吸引時的旋轉分量（相對於強度）' }
+};
+
+// 粒子物理與力場的項目：設定面板與預設組以各自的群組（setPhysics / setForceOptions）處理
+export const PHYSICS_CONFIG_KEYS = ['stiffness', 'damping', 'turbulence', 'turbulenceScale', 'turbulenceSpeed', 'explosion'];
+// setForceOptions 的名稱 → 設定項目
+export const FORCE_CONFIG_KEYS = { mode: 'forceMode', radius: 'forceRadius', strength: 'forceStrength', swirl: 'forceSwirl' };
+
+/**
+ * 取得所有設定的預設值
+ * @returns {Object}
+ */
+export function getDefaultConfig() {
+    const config = {};
+    for (const [key, option] of Object.entries(CONFIG_SCHEMA)) {
+        config[key] = option.default;
+    }
+    return config;
+}
+
+/**
+ * 檢查單一設定值，回傳錯誤訊息（合法時為 null）
+ */
+function checkValue(option, value) {
+    switch (option.type) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return '必須是數字';
+            if (option.integer && !Number.isInteger(value)) return '必須是整數';
+            if (value < option.min || value > option.max) return `必須介於 ${option.min} 到 ${option.max}`;
+            return null;
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : '必須是 true 或 false';
+
+        case 'string':
+            return option.values.includes(value) ? null : `必須是 ${option.values.join(' / ')} 其中之一`;
+
+        case 'seed':
+            if (value === null || Number.isFinite(value) || (typeof value === 'string' && value !== '')) return null;
+            return '必須是數字、非空字串或 null';
+    }
+    return '未知的類型';
+}
+
+/**
+ * 驗證一組（部分）設定
+ * 不合法的項目會被略過並列在 errors 中，其餘照常套用
+ *
+ * @param {Object} partial - 要套用的設定，值為 undefined 的項目視為未指定
+ * @param {Object} [base] - 目前的完整設定，用於跨項目檢查（zoomMin ≤ zoomMax）
+ * @returns {{ values: Object, errors: string[] }}
+ */
+export function validateConfig(partial, base = getDefaultConfig()) {
+    const values = {};
+    const errors = [];
+
+    if (!partial || typeof partial !== 'object') {
+        return { values, errors: ['設定必須是物件'] };
+    }
+
+    for (const [key, value] of Object.entries(partial)) {
+        if (value === undefined) continue;
+
+        const option = CONFIG_SCHEMA[key];
+        if (!option) {
+            errors.push(`${key}：未知的設定`);
+            continue;
+        }
+
+        const error = checkValue(option, value);
+        if (error) {
+            errors.push(`${key}：${error}`);
+        } else {
+            values[key] = value;
+        }
+    }
+
+    const zoomMin = values.zoomMin !== undefined ? values.zoomMin : base.zoomMin;
+    const zoomMax = values.zoomMax !== undefined ? values.zoomMax : base.zoomMax;
+    if (zoomMin > zoomMax) {
+        errors.push(`zoomMin（${zoomMin}）不能大於 zoomMax（${zoomMax}）`);
+        delete values.zoomMin;
+        delete values.zoomMax;
+    }
+
+    return { values, errors };
+}
+
+/**
+ * 把網址參數的字串轉成設定值的型別（轉換失敗的值留給 validateConfig 回報）
+ */
+function parseValue(option, raw) {
+    switch (option.type) {
+        case 'number':
+            return raw.trim() === '' ? NaN : Number(raw);
+
+        case 'boolean':
+            // ?worker 與 ?worker=true 都視為 true
+            if (raw === '' || raw === 'true' || raw === '1') return true;
+            if (raw === 'false' || raw === '0') return false;
+            return raw;
+
+        case 'seed':
+            // 純數字的參數當成數字，其他當成字串種子
+            if (raw === '') return undefined;
+            return /^\d+$/.test(raw) ? Number(raw) : raw;
+    }
+    return raw;
+}
+
+/**
+ * 從網址參數讀取設定，只讀取 CONFIG_SCHEMA 中的項目（其他參數如 ?replay= 不受影響）
+ * @param {string} search - 例如 window.location.search
+ * @returns {Object} 尚未驗證的部分設定
+ */
+export function parseConfigFromUrl(search) {
+    const params = new URLSearchParams(search);
+    const partial = {};
+
+    for (const [key, option] of Object.entries(CONFIG_SCHEMA)) {
+        const raw = params.get(key);
+        if (raw !== null) {
+            partial[key] = parseValue(option, raw);
+        }
+    }
+
+    return partial;
+}
@@ -0,0 +1,38 @@
+/**
+ * curl-noise.js
+ * 無散度的擾動場（curl noise），讓粒子像在氣流中飄動，而不會被吸到某些點上聚集
+ */
+
+/**
+ * 計算某一點的 curl noise 向量
+ *
+ * 以三個正弦波組成的向量勢 ψ 取旋度 v = ∇ × ψ：
+ *   ψx = sin(y + t) · cos(z)
+ *   ψy = sin(z + 1.3t) · cos(x)
+ *   ψz = sin(x + 0.7t) · cos(y)
+ * 旋度場的散度恆為 0，粒子順著流動時密度不會改變。
+ * 三個分量的時間速度不同，流場會緩慢變化而不會整齊地平移。
+ *
+ * @param {number} x - 已乘上空間頻率的座標
+ * @param {number} y
+ * @param {number} z
+ * @param {number} time - 已乘上流動速度的時間
+ * @param {Object} out - 寫入結果的物件 { x, y, z }（重複使用以避免每幀配置記憶體）
+ * @returns {Object} out，各分量範圍約 -2 到 2
+ */
+export function curlNoise(x, y, z, time, out) {
+    const ax = x + time * 0.7;
+    const ay = y + time;
+    const az = z + time * 1.3;
+
+    const sinX = Math.sin(x), cosX = Math.cos(x);
+    const sinY = Math.sin(y), cosY = Math.cos(y);
+    const sinZ = Math.sin(z), cosZ = Math.cos(z);
+
+    // v = (∂ψz/∂y − ∂ψy/∂z, ∂ψx/∂z − ∂ψz/∂x, ∂ψy/∂x − ∂ψx/∂y)
+    out.x = -Math.sin(ax) * sinY - Math.cos(az) * cosX;
+    out.y = -Math.sin(ay) * sinZ - Math.cos(ax) * cosY;
+    out.z = -Math.sin(az) * sinX - Math.cos(ay) * cosZ;
+
+    return out;
+}
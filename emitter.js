@@ -0,0 +1,77 @@
+/**
+ * emitter.js
+ * 簡單的事件發送器：particles.js 與 hand-tracking.js 用它提供 on / off 訂閱
+ * 不依賴 DOM（可以直接在 Node 中測試）
+ */
+
+export class EventEmitter {
+    /**
+     * @param {string[]} types - 允許的事件名稱，訂閱其他名稱時會印出警告
+     */
+    constructor(types) {
+        this.listeners = new Map(types.map(type => [type, new Set()]));
+    }
+
+    /**
+     * 訂閱事件，同一個函式重複訂閱只會被呼叫一次
+     * @param {string} type - 事件名稱
+     * @param {Function} listener - 參數為事件資料
+     * @returns {Function} 取消訂閱的函式
+     */
+    on(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) {
+            console.warn('Unknown event:', type);
+            return () => {};
+        }
+        if (typeof listener !== 'function') {
+            console.warn('Invalid listener for', type);
+            return () => {};
+        }
+
+        listeners.add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * 取消訂閱
+     * @param {string} type - 事件名稱
+     * @param {Function} listener - 訂閱時的函式
+     * @returns {boolean} 是否有取消
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        return listeners ? listeners.delete(listener) : false;
+    }
+
+    /**
+     * 發送事件給所有訂閱者
+     * 某個訂閱者拋出錯誤時只印出錯誤，不影響其他訂閱者與發送端
+     *
+     * @param {string} type - 事件名稱
+     * @param {Object} [detail] - 事件資料
+     */
+    emit(type, detail = {}) {
+        const listeners = this.listeners.get(type);
+        if (!listeners || listeners.size === 0) return;
+
+        // 複製一份，讓訂閱者可以在處理中取消訂閱
+        for (const listener of Array.from(listeners)) {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error('事件處理函式錯誤（' + type + '）:', error);
+            }
+        }
+    }
+
+    /**
+     * 某事件目前的訂閱者數量（沒有訂閱者時可以略過準備事件資料）
+     * @param {string} type
+     * @returns {number}
+     */
+    listenerCount(type) {
+        const listeners = this.listeners.get(type);
+        return listeners ? listeners.size : 0;
+    }
+}
@@ -0,0 +1,220 @@
+/**
+ * filters.js
+ * 手部位置的防抖：One Euro 濾波器、中心死區、抓取式（clutch）相對控制
+ * 純邏輯（可以直接在 Node 中測試）；hand-tracking.js 用它處理手掌中心與指尖位置
+ *
+ * One Euro 濾波器（Casiez et al., CHI 2012）：低通濾波的截止頻率隨速度調整，
+ * 手幾乎不動時強力去除抖動，移動快時截止頻率提高、延遲變小，不必在抖動與延遲之間取捨
+ */
+
+// 預設參數；座標為影像的 0-1 正規化座標，時間為毫秒
+export const TRACKING_FILTER_DEFAULTS = {
+    enabled: true,       // false 時直接使用原始位置
+    minCutoff: 1.5,      // 靜止時的截止頻率（Hz），越小越穩、越慢
+    beta: 5,             // 速度對截止頻率的影響，越大移動時延遲越小
+    dCutoff: 1,          // 估計速度時的截止頻率（Hz）
+    deadZone: 0.08,      // 手在畫面中心這個範圍內（-1 到 1 座標）不旋轉
+    clutch: false,       // 抓取式相對控制：握拳時抓住場景，移動手從目前角度繼續旋轉
+    clutchGain: 1        // 抓取時手移動距離對應的旋轉倍率
+};
+
+// 每個選項的型別與範圍
+const FILTER_OPTION_RULES = {
+    enabled: { type: 'boolean' },
+    minCutoff: { min: 0.01, max: 30 },
+    beta: { min: 0, max: 100 },
+    dCutoff: { min: 0.01, max: 30 },
+    deadZone: { min: 0, max: 0.9 },
+    clutch: { type: 'boolean' },
+    clutchGain: { min: 0.1, max: 10 }
+};
+
+/**
+ * 檢查某個選項名稱與值是否合法（見 FILTER_OPTION_RULES）
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidFilterOption(key, value) {
+    const rule = FILTER_OPTION_RULES[key];
+    if (!rule) return false;
+    return rule.type === 'boolean'
+        ? typeof value === 'boolean'
+        : Number.isFinite(value) && value >= rule.min && value <= rule.max;
+}
+
+/**
+ * 與目前的選項合併，不合法的項目（未知名稱、型別錯誤、超出範圍）印出警告並略過
+ * @param {Object} partial - TRACKING_FILTER_DEFAULTS 的部分項目
+ * @param {Object} [base] - 目前的選項
+ * @returns {Object} 合併後的選項
+ */
+export function mergeFilterOptions(partial = {}, base = TRACKING_FILTER_DEFAULTS) {
+    const options = { ...base };
+
+    for (const [key, value] of Object.entries(partial)) {
+        if (!FILTER_OPTION_RULES[key]) {
+            console.warn('Unknown tracking filter option:', key);
+        } else if (!isValidFilterOption(key, value)) {
+            console.warn('Invalid tracking filter option:', key, value);
+        } else {
+            options[key] = value;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * 截止頻率 cutoff、間隔 dt 秒時的指數平滑係數
+ */
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+/**
+ * 單一數值的 One Euro 濾波器
+ */
+export class OneEuroFilter {
+    /**
+     * @param {Object} [options] - minCutoff、beta、dCutoff（見 TRACKING_FILTER_DEFAULTS）
+     */
+    constructor(options = {}) {
+        this.minCutoff = options.minCutoff !== undefined ? options.minCutoff : TRACKING_FILTER_DEFAULTS.minCutoff;
+        this.beta = options.beta !== undefined ? options.beta : TRACKING_FILTER_DEFAULTS.beta;
+        this.dCutoff = options.dCutoff !== undefined ? options.dCutoff : TRACKING_FILTER_DEFAULTS.dCutoff;
+        this.reset();
+    }
+
+    /**
+     * 加入一個樣本
+     * @param {number} value
+     * @param {number} timestamp - 毫秒
+     * @returns {number} 濾波後的值；第一個樣本（或時間沒有前進時）直接回傳
+     */
+    filter(value, timestamp) {
+        if (this.value === null) {
+            this.value = value;
+            this.time = timestamp;
+            return value;
+        }
+
+        const dt = (timestamp - this.time) / 1000;
+        if (!(dt > 0)) {
+            return this.value;
+        }
+        this.time = timestamp;
+
+        // 先平滑速度，再以速度決定位置的截止頻率
+        const speed = (value - this.value) / dt;
+        this.speed += (speed - this.speed) * smoothingFactor(this.dCutoff, dt);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.speed);
+        this.value += (value - this.value) * smoothingFactor(cutoff, dt);
+        return this.value;
+    }
+
+    /**
+     * 清除狀態（例如手離開畫面後），下一個樣本重新開始
+     */
+    reset() {
+        this.value = null;
+        this.speed = 0;
+        this.time = 0;
+    }
+}
+
+/**
+ * 2D 點（x / y 各一個 One Euro 濾波器）
+ */
+export class PointFilter {
+    /**
+     * @param {Object} [options] - 見 OneEuroFilter
+     */
+    constructor(options = {}) {
+        this.x = new OneEuroFilter(options);
+        this.y = new OneEuroFilter(options);
+    }
+
+    /**
+     * @param {Object} point - {x, y}
+     * @param {number} timestamp - 毫秒
+     * @returns {Object} 濾波後的 {x, y}
+     */
+    filter(point, timestamp) {
+        return { x: this.x.filter(point.x, timestamp), y: this.y.filter(point.y, timestamp) };
+    }
+
+    reset() {
+        this.x.reset();
+        this.y.reset();
+    }
+}
+
+/**
+ * 中心死區：|value| 小於 deadZone 時為 0，之外重新縮放到 0-1，輸出保持連續
+ * @param {number} value - -1 到 1
+ * @param {number} deadZone - 0 到 1
+ * @returns {number}
+ */
+export function applyDeadZone(value, deadZone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadZone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+}
+
+/**
+ * 抓取式（clutch）相對控制
+ * 抓住時記下手的位置與目前的輸出，之後輸出 = 抓住時的輸出 + 手移動的距離 × gain；
+ * 放開後輸出停在原處，再次抓住時從那裡繼續（像滑鼠拿起來再放下）
+ * 同一時間只有一隻手能抓住
+ */
+export class Clutch {
+    constructor() {
+        this.output = { x: 0, y: 0 };   // 目前的控制值（-1 到 1）
+        this.owner = null;              // 抓住的手
+        this.anchor = null;             // 抓住時手的位置
+        this.base = null;               // 抓住時的輸出
+    }
+
+    /**
+     * 處理某隻手的一幀
+     * @param {string} hand - 'Left' / 'Right'
+     * @param {boolean} grabbing - 這隻手是否正在抓（例如握拳）
+     * @param {Object} position - 手的位置 {x, y}（-1 到 1）
+     * @param {number} [gain] - 移動距離的倍率
+     * @returns {Object} 目前的控制值 {x, y}
+     */
+    update(hand, grabbing, position, gain = 1) {
+        if (this.owner !== null && this.owner !== hand) {
+            return { ...this.output };
+        }
+
+        if (!grabbing) {
+            this.release();
+            return { ...this.output };
+        }
+
+        if (this.owner === null) {
+            this.owner = hand;
+            this.anchor = { ...position };
+            this.base = { ...this.output };
+        }
+
+        this.output = {
+            x: Math.max(-1, Math.min(1, this.base.x + (position.x - this.anchor.x) * gain)),
+            y: Math.max(-1, Math.min(1, this.base.y + (position.y - this.anchor.y) * gain))
+        };
+        return { ...this.output };
+    }
+
+    /**
+     * 放開（例如抓住的手離開畫面），輸出維持不變
+     */
+    release() {
+        this.owner = null;
+        this.anchor = null;
+        this.base = null;
+    }
+}
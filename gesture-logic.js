@@ -1,6 +1,8 @@
 /**
  * gesture-logic.js
- * 負責從 MediaPipe 的 21 個手部關鍵點判斷手勢狀態（open / fist）
+ * 負責從 MediaPipe 的 21 個手部關鍵點判斷手勢狀態
+ * （open / fist，以及 point / peace / three / thumbs_up / ok / pinch 等靜態手勢）
+ * 以及雙手手勢與揮動、揮手、畫圈、推等動態手勢
  */
 
 // MediaPipe Hand Landmarks 索引定義
@@ -46,6 +48,38 @@ const MCP_JOINTS = [
     LANDMARKS.PINKY_MCP
 ];
 
+// 每根手指的關節鏈：[基部, 第一關節, 第二關節, 指尖]
+const FINGER_JOINTS = {
+    thumb: [LANDMARKS.THUMB_CMC, LANDMARKS.THUMB_MCP, LANDMARKS.THUMB_IP, LANDMARKS.THUMB_TIP],
+    index: [LANDMARKS.INDEX_MCP, LANDMARKS.INDEX_PIP, LANDMARKS.INDEX_DIP, LANDMARKS.INDEX_TIP],
+    middle: [LANDMARKS.MIDDLE_MCP, LANDMARKS.MIDDLE_PIP, LANDMARKS.MIDDLE_DIP, LANDMARKS.MIDDLE_TIP],
+    ring: [LANDMARKS.RING_MCP, LANDMARKS.RING_PIP, LANDMARKS.RING_DIP, LANDMARKS.RING_TIP],
+    pinky: [LANDMARKS.PINKY_MCP, LANDMARKS.PINKY_PIP, LANDMARKS.PINKY_DIP, LANDMARKS.PINKY_TIP]
+};
+
+// ===== 手勢判斷閾值 =====
+// 指尖到掌心的正規化距離大於此值，視為手指伸展
+const EXTENDED_THRESHOLD = 1.3;
+// 大拇指改用彎曲程度判斷（大拇指較短，距離判斷不可靠）
+const THUMB_EXTENDED_CURL = 0.4;
+// 大拇指與食指指尖的正規化距離小於此值，視為捏合
+const PINCH_THRESHOLD = 0.35;
+// 捏合時食指指尖到掌心至少要有此距離（排除握拳時大拇指壓在食指上）
+const PINCH_MIN_INDEX_DISTANCE = 0.7;
+// 張開手至少要有幾根手指伸展、握拳最多幾根手指伸展
+const OPEN_MIN_FINGERS = 4;
+const FIST_MAX_FINGERS = 1;
+// 信心分數：距離在伸展閾值 ± 此範圍內時，該手指的伸展程度從 0 平滑變到 1（大拇指以彎曲度計算）
+const EXTENDED_SOFTNESS = 0.08;
+const THUMB_CURL_SOFTNESS = 0.08;
+// 張開程度：指尖距離小於伸展閾值的這個比例時，該手指算完全彎曲（到伸展閾值之間線性變化）
+const OPENNESS_CURLED_RATIO = 0.5;
+// 比讚時大拇指指尖要比 MCP 高出的正規化距離
+const THUMBS_UP_RISE = 0.5;
+// 手在舒適距離（約 50 cm）時的手掌大小（影像座標），estimateHandDistance 以此為 1
+const REFERENCE_PALM_SIZE = 0.16;
+// ========================
+
 /**
  * 計算兩點之間的歐氏距離
  * @param {Object} p1 - 點1 {x, y, z}
@@ -98,120 +132,425 @@ function getHandSize(landmarks) {
 }
 
 /**
- * 偵測手勢狀態
+ * 計算五個指尖到手掌中心的正規化距離（相對於手的大小）
+ * @param {Array} landmarks - 21 個手部關鍵點
+ * @returns {number[]|null} [thumb, index, middle, ring, pinky]；手太小或偵測異常時為 null
+ */
+function getFingertipDistances(landmarks) {
+    // 取得手掌中心
+    const palmCenter = getPalmCenter(landmarks);
+
+    // 取得手的大小用於正規化
+    const handSize = getHandSize(landmarks);
+
+    if (handSize < 0.01) {
+        // 手太小或偵測異常
+        return null;
+    }
+
+    return FINGERTIPS.map(tipIdx => distance(landmarks[tipIdx], palmCenter) / handSize);
+}
+
+/**
+ * 計算 a→b 與 b→c 兩段之間的彎曲角度（弧度，0 = 完全伸直）
+ */
+function bendAngle(a, b, c) {
+    const v1x = b.x - a.x, v1y = b.y - a.y, v1z = (b.z || 0) - (a.z || 0);
+    const v2x = c.x - b.x, v2y = c.y - b.y, v2z = (c.z || 0) - (b.z || 0);
+    const lengths = Math.sqrt(v1x * v1x + v1y * v1y + v1z * v1z) * Math.sqrt(v2x * v2x + v2y * v2y + v2z * v2z);
+
+    if (lengths === 0) return 0;
+
+    const cos = (v1x * v2x + v1y * v2y + v1z * v2z) / lengths;
+    return Math.acos(Math.max(-1, Math.min(1, cos)));
+}
+
+/**
+ * 計算每根手指的伸展與彎曲狀態
+ *
+ * - curl：各關節彎曲角度的總和，正規化到 0（伸直）- 1（完全彎曲）
+ * - extended：四指以指尖到掌心的正規化距離判斷（與 detectHandState 相同閾值），
+ *   大拇指以 curl 判斷
+ *
+ * @param {Array} landmarks - 21 個手部關鍵點
+ * @returns {Object|null} { thumb, index, middle, ring, pinky }，每項為 { extended, curl, distance }
+ */
+export function getFingerStates(landmarks) {
+    if (!landmarks || landmarks.length < 21) {
+        return null;
+    }
+
+    const distances = getFingertipDistances(landmarks);
+    if (!distances) {
+        return null;
+    }
+
+    const wrist = landmarks[LANDMARKS.WRIST];
+    const states = {};
+
+    Object.entries(FINGER_JOINTS).forEach(([name, joints], i) => {
+        const [base, joint1, joint2, tip] = joints.map(idx => landmarks[idx]);
+        let curl;
+
+        if (name === 'thumb') {
+            // 大拇指只有 MCP 與 IP 兩個可明顯彎曲的關節
+            curl = (bendAngle(base, joint1, joint2) + bendAngle(joint1, joint2, tip)) / (Math.PI * 0.5);
+        } else {
+            // 四指：MCP（相對於手腕方向）、PIP、DIP 三個關節
+            curl = (bendAngle(wrist, base, joint1) + bendAngle(base, joint1, joint2) + bendAngle(joint1, joint2, tip))
+                / (Math.PI * 1.3);
+        }
+        curl = Math.min(1, curl);
+
+        states[name] = {
+            extended: name === 'thumb' ? curl < thresholds.thumbExtendedCurl : distances[i] > thresholds.extendedThreshold,
+            curl,
+            distance: distances[i]
+        };
+    });
+
+    return states;
+}
+
+/**
+ * 計算大拇指與食指指尖的正規化距離（捏合程度）
+ * @param {Array} landmarks - 21 個手部關鍵點
+ * @returns {number|null} 距離相對於手的大小；資料不足時為 null
+ */
+export function getPinchDistance(landmarks) {
+    if (!landmarks || landmarks.length < 21) {
+        return null;
+    }
+
+    const handSize = getHandSize(landmarks);
+    if (handSize < 0.01) {
+        return null;
+    }
+
+    return distance(landmarks[LANDMARKS.THUMB_TIP], landmarks[LANDMARKS.INDEX_TIP]) / handSize;
+}
+
+/**
+ * 估計手到鏡頭的相對距離
+ *
+ * 以手腕與 MCP 關節組成的手掌骨架平均長度作為手的大小：
+ * - MCP 不會隨手指彎曲移動，握拳或張開都不影響
+ * - 使用含 z 的 3D 距離，手掌側傾時大小不會跟著縮小
+ * 手在畫面中的大小與距離成反比，所以距離 = 參考大小 / 手掌大小
+ *
+ * @param {Array} landmarks - 21 個手部關鍵點
+ * @returns {number|null} 1 為舒適距離，2 為兩倍遠，0.5 為一半距離；資料不足時為 null
+ */
+export function estimateHandDistance(landmarks) {
+    if (!landmarks || landmarks.length < 21) {
+        return null;
+    }
+
+    const wrist = landmarks[LANDMARKS.WRIST];
+    const indexMcp = landmarks[LANDMARKS.INDEX_MCP];
+    const pinkyMcp = landmarks[LANDMARKS.PINKY_MCP];
+    const palmSize = (
+        distance(wrist, indexMcp) +
+        distance(wrist, landmarks[LANDMARKS.MIDDLE_MCP]) +
+        distance(wrist, pinkyMcp) +
+        distance(indexMcp, pinkyMcp)
+    ) / 4;
+
+    if (palmSize < 0.01) {
+        return null;
+    }
+
+    return REFERENCE_PALM_SIZE / palmSize;
+}
+
+/**
+ * 偵測靜態手勢
  * @param {Array} landmarks - MediaPipe 的 21 個手部關鍵點
- * @returns {string|null} 'open'（張開）、'fist'（握拳）或 null（無明確判斷）
+ * @returns {string|null} 'open'、'fist'、'point'、'peace'、'three'、'thumbs_up'、'ok'、'pinch' 或 null
+ *
+ * 判斷順序（先符合者優先）：
+ * 1. open：至少 openMinFingers（預設 4）根手指伸展
+ * 2. ok / pinch：大拇指與食指指尖相碰；其餘三指伸展為 ok，否則為 pinch
+ * 3. point：只有食指伸展（不看大拇指）
+ * 4. peace：食指、中指伸展
+ * 5. three：食指、中指、無名指伸展
+ * 6. thumbs_up：只有大拇指伸展且指尖朝上
+ * 7. fist：最多 fistMaxFingers（預設 1）根手指伸展
+ */
+export function detectHandPose(landmarks) {
+    const fingers = getFingerStates(landmarks);
+
+    if (!fingers) {
+        return null;
+    }
+
+    const { thumb, index, middle, ring, pinky } = fingers;
+    const extendedCount = [thumb, index, middle, ring, pinky].filter(f => f.extended).length;
+
+    if (extendedCount >= thresholds.openMinFingers) {
+        return 'open';
+    }
+
+    const pinchDistance = getPinchDistance(landmarks);
+    if (pinchDistance < thresholds.pinchThreshold && index.distance > thresholds.pinchMinIndexDistance) {
+        return middle.extended && ring.extended && pinky.extended ? 'ok' : 'pinch';
+    }
+
+    if (index.extended && !ring.extended && !pinky.extended) {
+        return middle.extended ? 'peace' : 'point';
+    }
+
+    if (index.extended && middle.extended && ring.extended && !pinky.extended) {
+        return 'three';
+    }
+
+    if (thumb.extended && !index.extended && !middle.extended && !ring.extended && !pinky.extended) {
+        const handSize = getHandSize(landmarks);
+        const rise = (landmarks[LANDMARKS.THUMB_MCP].y - landmarks[LANDMARKS.THUMB_TIP].y) / handSize;
+        if (rise > thresholds.thumbsUpRise) {
+            return 'thumbs_up';
+        }
+    }
+
+    if (extendedCount <= thresholds.fistMaxFingers) {
+        return 'fist';
+    }
+
+    return null;
+}
+
+/**
+ * 平滑的 0-1 階梯（logistic），x = 0 時為 0.5
+ */
+function softStep(x, softness) {
+    return 1 / (1 + Math.exp(-x / softness));
+}
+
+/**
+ * 由伸展的手指數（可以有小數）算出張開與握拳的信心分數
+ * 達到 openMinFingers 根時張開為 1、少一根時為 0；握拳同理
+ */
+function getStateScores(extendedCount) {
+    return {
+        open: clamp01(extendedCount - thresholds.openMinFingers + 1),
+        fist: clamp01(thresholds.fistMaxFingers + 1 - extendedCount)
+    };
+}
+
+/**
+ * 由信心分數決定狀態：分數 ≥ 0.5 的一方（都沒有時為 null）
+ */
+function pickState(scores) {
+    if (scores.open >= 0.5) return { state: 'open', confidence: scores.open };
+    if (scores.fist >= 0.5) return { state: 'fist', confidence: scores.fist };
+    return { state: null, confidence: 0 };
+}
+
+/**
+ * 偵測手勢狀態（張開 / 握拳），並給出連續的信心分數
+ * @param {Array} landmarks - MediaPipe 的 21 個手部關鍵點
+ * @returns {Object|null} { state, confidence, scores }；資料不足時為 null
+ *   - state：'open'（張開）、'fist'（握拳）或 null（介於兩者之間）
+ *   - confidence：對 state 的信心（0.5-1；state 為 null 時為 0）
+ *   - scores：{ open, fist } 兩種狀態各自的分數（0-1）
  *
  * 判斷邏輯：
  * 1. 計算手掌中心位置
  * 2. 計算每個指尖到手掌中心的距離
  * 3. 用手的大小來正規化這些距離
- * 4. 如果大部分指尖距離遠 → open
- * 5. 如果大部分指尖距離近 → fist
+ * 4. 每根手指依距離與 extendedThreshold 的差平滑地算出伸展程度（0-1），加總為伸展的手指數
+ * 5. 伸展手指數接近 openMinFingers 以上 → open；接近 fistMaxFingers 以下 → fist
  */
 export function detectHandState(landmarks) {
     if (!landmarks || landmarks.length < 21) {
         return null;
     }
 
-    // 取得手掌中心
-    const palmCenter = getPalmCenter(landmarks);
+    const distances = getFingertipDistances(landmarks);
 
-    // 取得手的大小用於正規化
-    const handSize = getHandSize(landmarks);
+    if (!distances) {
+        return null;
+    }
 
-    if (handSize < 0.01) {
-        // 手太小或偵測異常
+    // 閾值判斷：如果正規化距離大於某值，視為手指伸展
+    // 這個閾值是經過調整的經驗值
+    // 張開手時，指尖到掌心的距離大約是手掌大小的 1.5-2 倍
+    // 握拳時，指尖到掌心的距離大約是手掌大小的 0.8-1.2 倍
+    // 距離剛好在閾值附近的手指只算一部分，信心分數因此是連續的
+    const extendedFingers = distances.reduce(
+        (sum, d) => sum + softStep(d - thresholds.extendedThreshold, EXTENDED_SOFTNESS), 0);
+
+    // 判斷手勢（根數可用 setGestureThresholds 或校正調整）
+    // open: 至少 openMinFingers（預設 4）根手指伸展
+    // fist: 最多 fistMaxFingers（預設 1）根手指伸展
+    // 中間狀態為 null（不確定）
+    const scores = getStateScores(extendedFingers);
+    return { ...pickState(scores), scores };
+}
+
+/**
+ * 計算手的連續張開程度（0 = 握拳，1 = 張開），用於隨手慢慢張開而連續變化的效果
+ * 與 detectHandState 不同，介於兩者之間的手也有值
+ *
+ * 每根手指依指尖的正規化距離，在 extendedThreshold × OPENNESS_CURLED_RATIO（完全彎曲）
+ * 到 extendedThreshold（伸展）之間線性算出 0-1，加總後再把 fistMaxFingers 根對應到 0、
+ * openMinFingers 根對應到 1（所以手勢校正的結果同樣適用）
+ *
+ * @param {Array} landmarks - MediaPipe 的 21 個手部關鍵點
+ * @returns {number|null} 0-1；資料不足時為 null
+ */
+export function getHandOpenness(landmarks) {
+    if (!landmarks || landmarks.length < 21) {
         return null;
     }
 
-    // 計算每個指尖到手掌中心的正規化距離
-    let extendedFingers = 0;
+    const distances = getFingertipDistances(landmarks);
+    if (!distances) {
+        return null;
+    }
 
-    for (const tipIdx of FINGERTIPS) {
-        const tip = landmarks[tipIdx];
-        const dist = distance(tip, palmCenter);
+    const curled = thresholds.extendedThreshold * OPENNESS_CURLED_RATIO;
+    const extendedFingers = distances.reduce(
+        (sum, d) => sum + clamp01((d - curled) / (thresholds.extendedThreshold - curled)), 0);
 
-        // 正規化距離（相對於手的大小）
-        const normalizedDist = dist / handSize;
+    const range = thresholds.openMinFingers - thresholds.fistMaxFingers;
+    if (range <= 0) {
+        return extendedFingers >= thresholds.openMinFingers ? 1 : 0;
+    }
+    return clamp01((extendedFingers - thresholds.fistMaxFingers) / range);
+}
 
-        // 閾值判斷：如果正規化距離大於某值，視為手指伸展
-        // 這個閾值是經過調整的經驗值
-        // 張開手時，指尖到掌心的距離大約是手掌大小的 1.5-2 倍
-        // 握拳時，指尖到掌心的距離大約是手掌大小的 0.8-1.2 倍
-        if (normalizedDist > 1.3) {
-            extendedFingers++;
-        }
+/**
+ * 偵測靜態手勢並給出信心分數（GestureDetector 的預設分類函式）
+ * 手勢與 detectHandPose 相同；open / fist 的信心依伸展的手指數平滑計算（大拇指以彎曲度），其他手勢為 1
+ *
+ * @param {Array} landmarks - MediaPipe 的 21 個手部關鍵點
+ * @returns {Object} { state, confidence }；沒有明確手勢時 state 為 null、confidence 為 0
+ */
+export function classifyHandPose(landmarks) {
+    const state = detectHandPose(landmarks);
+    if (state !== 'open' && state !== 'fist') {
+        return { state, confidence: state === null ? 0 : 1 };
     }
 
-    // 判斷手勢
-    // open: 至少 4 根手指伸展
-    // fist: 最多 1 根手指伸展
-    if (extendedFingers >= 4) {
-        return 'open';
-    } else if (extendedFingers <= 1) {
-        return 'fist';
+    const fingers = getFingerStates(landmarks);
+    let extendedFingers = softStep(thresholds.thumbExtendedCurl - fingers.thumb.curl, THUMB_CURL_SOFTNESS);
+    for (const name of ['index', 'middle', 'ring', 'pinky']) {
+        extendedFingers += softStep(fingers[name].distance - thresholds.extendedThreshold, EXTENDED_SOFTNESS);
     }
 
-    // 中間狀態，不確定
-    return null;
+    return { state, confidence: getStateScores(extendedFingers)[state] };
+}
+
+// ===== 靜態手勢去抖動閾值 =====
+// 同一手勢持續多久（毫秒）才確認切換（約為 30fps 的 5 幀）
+const GESTURE_ENTER_TIME = 120;
+// 確認的手勢信心不足持續多久（毫秒）才放開
+const GESTURE_EXIT_TIME = 300;
+// 累積中的手勢可以容忍多久（毫秒）的掉幀（沒有手、無法判斷或信心不足）
+const GESTURE_DROPOUT_TIME = 100;
+// 進入手勢需要的信心 / 維持手勢需要的信心（遲滯）
+const GESTURE_ENTER_CONFIDENCE = 0.6;
+const GESTURE_EXIT_CONFIDENCE = 0.3;
+// ========================
+
+/**
+ * 把分類函式的結果統一成 { state, confidence }（只回傳手勢名稱時信心為 1）
+ */
+function normalizeClassification(result) {
+    if (result === null || result === undefined) return { state: null, confidence: 0 };
+    if (typeof result === 'string') return { state: result, confidence: 1 };
+    return { state: result.state, confidence: result.state === null ? 0 : result.confidence };
+}
+
+/**
+ * 取得目前時間（毫秒），update 沒有傳入 timestamp 時使用
+ */
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
 }
 
 /**
  * 去抖動的手勢偵測器類別
- * 需要連續 N 幀都判斷為相同狀態才視為真正切換
+ * 以經過的時間（毫秒）而不是幀數去抖動，攝影機幀率不同時延遲一致；每種手勢（open、fist、point…）各自累積
+ * （pending 以手勢為鍵），在相近的手勢之間短暫閃爍（point ↔ peace ↔ three）不會清除彼此的進度
+ *
+ * - 進入：信心 ≥ enterConfidence 的同一手勢持續 enterTime 才確認切換（最先達到的手勢），確認後清除所有累積
+ * - 維持：確認後信心只要 ≥ exitConfidence 就維持（遲滯），低於它持續 exitTime 才放開（getState 變回 null，之後相同手勢會再次回報）
+ * - 掉幀：某個手勢沒有出現（沒有手、無法判斷、信心不足或是其他手勢）超過 dropoutTime 才重置它的進度；
+ *   兩次 update 之間的間隔也算（手離開畫面時不會呼叫 update）：超過 dropoutTime 從頭累積，確認的狀態超過 exitTime 放開
  */
 export class GestureDetector {
     /**
-     * @param {number} debounceFrames - 去抖動幀數，預設 5 幀
+     * @param {Object} [options] - enterTime、exitTime、dropoutTime、enterConfidence、exitConfidence；
+     *                             省略的項目使用 setGestureThresholds 的目前值（會跟著改變）
+     * @param {Function} [classify] - 每幀的分類函式，回傳 { state, confidence } 或手勢名稱，預設 classifyHandPose；
+     *                                只需要 open / fist 時可傳入 detectHandState
      */
-    constructor(debounceFrames = 5) {
-        this.debounceFrames = debounceFrames;
-        this.currentState = null;      // 目前確認的狀態
-        this.pendingState = null;      // 待確認的狀態
-        this.pendingCount = 0;         // 待確認狀態的連續幀數
+    constructor(options = {}, classify = classifyHandPose) {
+        this.options = options || {};
+        this.classify = classify;
+        this.reset();
+    }
+
+    /**
+     * 偵測器自己指定的值優先，否則使用目前的閾值
+     */
+    option(key) {
+        return this.options[key] !== undefined ? this.options[key] : thresholds[key];
     }
 
     /**
      * 處理新的一幀手勢資料
      * @param {Array} landmarks - 手部關鍵點
+     * @param {number} [timestamp] - 這一幀的時間（毫秒），省略時使用目前時間
      * @returns {string|null} 如果狀態發生改變，回傳新狀態；否則回傳 null
      */
-    update(landmarks) {
-        const rawState = detectHandState(landmarks);
-
-        // 如果沒有明確判斷，不處理
-        if (rawState === null) {
-            // 重置待確認狀態
-            this.pendingState = null;
-            this.pendingCount = 0;
-            return null;
-        }
+    update(landmarks, timestamp = now()) {
+        const { state, confidence } = normalizeClassification(this.classify(landmarks));
+        this.lastTime = timestamp;
 
-        // 如果與目前確認的狀態相同，不需要改變
-        if (rawState === this.currentState) {
-            this.pendingState = null;
-            this.pendingCount = 0;
-            return null;
+        // 中斷太久時先放開 / 重置，再看這一幀（手離開畫面時不會呼叫 update，回來時的第一幀也適用）
+        // 確認的狀態：信心不足（或沒有更新）超過 exitTime 才放開
+        if (this.currentState !== null && timestamp - this.heldTime >= this.option('exitTime')) {
+            this.currentState = null;
+            this.confidence = 0;
+        }
+        // 累積中的手勢：超過 dropoutTime 沒有出現的從頭累積
+        for (const [pose, entry] of this.pending) {
+            if (timestamp - entry.lastSeen > this.option('dropoutTime')) {
+                this.pending.delete(pose);
+            }
         }
 
-        // 如果是新的待確認狀態
-        if (rawState !== this.pendingState) {
-            this.pendingState = rawState;
-            this.pendingCount = 1;
+        // 目前的狀態：信心在 exitConfidence 以上就維持
+        if (this.currentState !== null && state === this.currentState
+            && confidence >= this.option('exitConfidence')) {
+            this.confidence = confidence;
+            this.heldTime = timestamp;
+            this.pending.clear();
             return null;
         }
 
-        // 如果與待確認狀態相同，增加計數
-        this.pendingCount++;
+        // 新的手勢：信心足夠時開始或繼續累積（其他手勢的進度保留）
+        if (state !== null && state !== this.currentState && confidence >= this.option('enterConfidence')) {
+            let entry = this.pending.get(state);
+            if (!entry) {
+                entry = { start: timestamp, lastSeen: timestamp, confidence };
+                this.pending.set(state, entry);
+            }
+            entry.lastSeen = timestamp;
+            entry.confidence = confidence;
 
-        // 如果連續幀數達到閾值，確認狀態改變
-        if (this.pendingCount >= this.debounceFrames) {
-            const newState = this.pendingState;
-            this.currentState = newState;
-            this.pendingState = null;
-            this.pendingCount = 0;
-            return newState;
+            // 持續時間達到 enterTime，確認狀態改變
+            if (timestamp - entry.start >= this.option('enterTime')) {
+                this.currentState = state;
+                this.confidence = confidence;
+                this.heldTime = timestamp;
+                this.pending.clear();
+                return state;
+            }
+            return null;
         }
 
         return null;
@@ -225,12 +564,559 @@ export class GestureDetector {
         return this.currentState;
     }
 
+    /**
+     * 取得目前的信心與切換進度（例如在畫面上顯示手勢被辨識的程度）
+     * @returns {Object} { state, confidence, pending, pendingConfidence, progress }
+     *   - state / confidence：目前確認的手勢與最近一次維持時的信心（沒有時為 null / 0）
+     *   - pending / pendingConfidence：累積最久（最接近確認）的手勢與它最近一次的信心（沒有時為 null / 0）
+     *   - progress：該手勢距離確認的進度（0-1）
+     */
+    getStatus() {
+        let pending = null;
+        let entry = null;
+        for (const [pose, candidate] of this.pending) {
+            if (!entry || candidate.start < entry.start) {
+                pending = pose;
+                entry = candidate;
+            }
+        }
+
+        return {
+            state: this.currentState,
+            confidence: this.confidence,
+            pending,
+            pendingConfidence: entry ? entry.confidence : 0,
+            progress: entry
+                ? clamp01((this.lastTime - entry.start) / Math.max(this.option('enterTime'), 1))
+                : 0
+        };
+    }
+
+    /**
+     * 重置偵測器狀態
+     */
+    reset() {
+        this.currentState = null;      // 目前確認的狀態
+        this.confidence = 0;           // 目前狀態最近一次維持時的信心
+        this.heldTime = 0;             // 目前狀態最近一次信心足夠的時間
+        this.pending = new Map();      // 待確認的手勢 → { start, lastSeen, confidence }（開始累積、最近一次信心足夠的時間與信心）
+        this.lastTime = 0;             // 最近一幀的時間
+    }
+}
+
+// ===== 雙手手勢閾值 =====
+// 比愛心時，兩手食指指尖、大拇指指尖的距離要小於此值（相對於平均手掌大小）
+const TWO_HAND_HEART_TOUCH = 0.6;
+// 比愛心時，食指指尖要比大拇指指尖高出的距離（相對於平均手掌大小）
+const TWO_HAND_HEART_RISE = 0.4;
+// 縮放倍率的上下限
+const TWO_HAND_SCALE_MIN = 0.3;
+const TWO_HAND_SCALE_MAX = 3;
+// ========================
+
+/**
+ * 判斷兩隻手是否一起比出愛心
+ * 兩手食指指尖相碰、大拇指指尖相碰，且食指在上、大拇指在下
+ *
+ * @param {Array} handA - 第一隻手的 21 個關鍵點
+ * @param {Array} handB - 第二隻手的 21 個關鍵點
+ * @returns {boolean}
+ */
+export function isTwoHandHeart(handA, handB) {
+    if (!handA || !handB || handA.length < 21 || handB.length < 21) {
+        return false;
+    }
+
+    const size = (getHandSize(handA) + getHandSize(handB)) / 2;
+    if (size < 0.01) {
+        return false;
+    }
+
+    const indexA = handA[LANDMARKS.INDEX_TIP];
+    const indexB = handB[LANDMARKS.INDEX_TIP];
+    const thumbA = handA[LANDMARKS.THUMB_TIP];
+    const thumbB = handB[LANDMARKS.THUMB_TIP];
+
+    const indexTouch = distance(indexA, indexB) / size;
+    const thumbTouch = distance(thumbA, thumbB) / size;
+    // 影像座標 Y 軸向下，食指在上代表 y 較小
+    const rise = ((thumbA.y + thumbB.y) - (indexA.y + indexB.y)) / 2 / size;
+
+    return indexTouch < thresholds.heartTouch && thumbTouch < thresholds.heartTouch && rise > thresholds.heartRise;
+}
+
+/**
+ * 計算兩隻手掌中心的距離（影像座標）
+ * @param {Array} handA - 第一隻手的 21 個關鍵點
+ * @param {Array} handB - 第二隻手的 21 個關鍵點
+ * @returns {number}
+ */
+export function getHandsDistance(handA, handB) {
+    const a = getPalmCenter(handA);
+    const b = getPalmCenter(handB);
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+}
+
+/**
+ * 雙手手勢偵測器
+ *
+ * 回傳的事件：
+ * - { type: 'heart' }：兩手比出愛心（去抖動，連續 N 幀才回報一次）
+ * - { type: 'spreadstart' }：兩手都張開，開始以雙手距離縮放
+ * - { type: 'spread', scale }：雙手距離相對於開始時的倍率
+ * - { type: 'spreadend' }：有一隻手不再張開或離開畫面
+ */
+export class TwoHandGestureDetector {
+    /**
+     * @param {number|null} [debounceFrames] - 愛心手勢的去抖動幀數；省略或 null 時使用 setGestureThresholds 的 debounceFrames
+     */
+    constructor(debounceFrames = null) {
+        this.debounceFrames = debounceFrames;
+        this.heartFrames = 0;        // 連續判斷為愛心的幀數
+        this.heartActive = false;    // 目前是否維持在愛心手勢
+        this.spreadBaseline = null;  // 開始縮放時的雙手距離
+    }
+
+    /**
+     * 處理新的一幀雙手資料
+     * @param {Array|null} handA - 第一隻手的關鍵點（沒有時為 null）
+     * @param {Array|null} handB - 第二隻手的關鍵點（沒有時為 null）
+     * @returns {Object[]} 這一幀產生的事件（可能為空）
+     */
+    update(handA, handB) {
+        const events = [];
+        const bothPresent = Boolean(handA && handB && handA.length >= 21 && handB.length >= 21);
+
+        // ===== 雙手愛心 =====
+        if (bothPresent && isTwoHandHeart(handA, handB)) {
+            this.heartFrames++;
+            if (!this.heartActive && this.heartFrames >= getDebounceFrames(this.debounceFrames)) {
+                this.heartActive = true;
+                events.push({ type: 'heart' });
+            }
+        } else {
+            this.heartFrames = 0;
+            this.heartActive = false;
+        }
+
+        // ===== 雙手張開縮放 =====
+        // 正在比愛心（包含去抖動中）時不縮放，避免兩個手勢互相干擾
+        const spreading = bothPresent && this.heartFrames === 0
+            && detectHandPose(handA) === 'open' && detectHandPose(handB) === 'open';
+
+        if (spreading) {
+            const handsDistance = getHandsDistance(handA, handB);
+
+            if (this.spreadBaseline === null) {
+                this.spreadBaseline = Math.max(handsDistance, 0.01);
+                events.push({ type: 'spreadstart' });
+            }
+
+            const scale = handsDistance / this.spreadBaseline;
+            events.push({
+                type: 'spread',
+                scale: Math.max(TWO_HAND_SCALE_MIN, Math.min(TWO_HAND_SCALE_MAX, scale))
+            });
+        } else if (this.spreadBaseline !== null) {
+            this.spreadBaseline = null;
+            events.push({ type: 'spreadend' });
+        }
+
+        return events;
+    }
+
+    /**
+     * 重置偵測器狀態
+     */
+    reset() {
+        this.heartFrames = 0;
+        this.heartActive = false;
+        this.spreadBaseline = null;
+    }
+}
+
+// ===== 動態手勢閾值 =====
+// 距離都以手的大小為單位；方向以使用者看到的鏡像畫面為準（右 = 使用者的右邊、上 = 畫面上方）
+// 保留多久的軌跡（毫秒）
+const MOTION_HISTORY_MS = 1200;
+// 回報一次動態手勢後的冷卻時間（毫秒），避免同一個動作重複回報
+const MOTION_COOLDOWN_MS = 500;
+// 揮動：在此時間內移動超過 SWIPE_MIN_DISTANCE，且軌跡夠直、以單一軸為主
+const SWIPE_WINDOW_MS = 350;
+const SWIPE_MIN_DISTANCE = 1.5;
+const SWIPE_MIN_STRAIGHTNESS = 0.8;
+const SWIPE_AXIS_RATIO = 2;
+// 揮手：左右來回至少 WAVE_MIN_REVERSALS 次，每次擺幅超過 WAVE_MIN_AMPLITUDE，上下晃動不超過左右的 WAVE_MAX_VERTICAL 倍
+const WAVE_MIN_REVERSALS = 3;
+const WAVE_MIN_AMPLITUDE = 0.3;
+const WAVE_MAX_VERTICAL = 0.5;
+// 畫圈：食指指尖繞軌跡中心轉超過 CIRCLE_MIN_TURNS 圈，半徑夠大且穩定（標準差 / 平均），
+// 軌跡的寬高比不能太扁（排除左右來回的直線）
+const CIRCLE_MIN_TURNS = 0.8;
+const CIRCLE_MIN_RADIUS = 0.3;
+const CIRCLE_MAX_RADIUS_SPREAD = 0.5;
+const CIRCLE_MIN_ASPECT = 0.5;
+// 推：在此時間內手的大小變為 PUSH_MIN_GROWTH 倍（手往鏡頭靠近），且手掌幾乎沒有平移
+const PUSH_WINDOW_MS = 400;
+const PUSH_MIN_GROWTH = 1.3;
+const PUSH_MAX_DRIFT = 0.8;
+// ========================
+
+// ===== 可在執行時調整的閾值 =====
+// 預設值就是上方各區塊的常數；setGestureThresholds() 可覆寫（設定面板、校正）
+export const GESTURE_DEFAULTS = {
+    debounceFrames: 5,                            // 雙手愛心的去抖動幀數
+    enterTime: GESTURE_ENTER_TIME,                // 靜態手勢的去抖動（毫秒），見 GestureDetector
+    exitTime: GESTURE_EXIT_TIME,
+    dropoutTime: GESTURE_DROPOUT_TIME,
+    enterConfidence: GESTURE_ENTER_CONFIDENCE,
+    exitConfidence: GESTURE_EXIT_CONFIDENCE,
+    extendedThreshold: EXTENDED_THRESHOLD,
+    thumbExtendedCurl: THUMB_EXTENDED_CURL,
+    openMinFingers: OPEN_MIN_FINGERS,
+    fistMaxFingers: FIST_MAX_FINGERS,
+    pinchThreshold: PINCH_THRESHOLD,
+    pinchMinIndexDistance: PINCH_MIN_INDEX_DISTANCE,
+    thumbsUpRise: THUMBS_UP_RISE,
+    heartTouch: TWO_HAND_HEART_TOUCH,
+    heartRise: TWO_HAND_HEART_RISE,
+    swipeMinDistance: SWIPE_MIN_DISTANCE,
+    waveMinReversals: WAVE_MIN_REVERSALS,
+    waveMinAmplitude: WAVE_MIN_AMPLITUDE,
+    circleMinTurns: CIRCLE_MIN_TURNS,
+    circleMinRadius: CIRCLE_MIN_RADIUS,
+    pushMinGrowth: PUSH_MIN_GROWTH
+};
+// 必須是正整數的閾值
+const INTEGER_THRESHOLDS = ['debounceFrames', 'waveMinReversals', 'openMinFingers', 'fistMaxFingers'];
+// 範圍不是「正數」的閾值：[最小值, 最大值]（含）
+const THRESHOLD_RANGES = {
+    openMinFingers: [0, 5],
+    fistMaxFingers: [0, 5],
+    dropoutTime: [0, Infinity],
+    enterConfidence: [0, 1],
+    exitConfidence: [0, 1]
+};
+
+let thresholds = { ...GESTURE_DEFAULTS };
+
+/**
+ * 檢查閾值是否合法：有限的正數（或 THRESHOLD_RANGES 的範圍），需要整數的項目不能有小數
+ */
+function isValidThreshold(key, value) {
+    if (!Number.isFinite(value)) return false;
+    if (INTEGER_THRESHOLDS.includes(key) && !Number.isInteger(value)) return false;
+
+    const range = THRESHOLD_RANGES[key];
+    return range ? value >= range[0] && value <= range[1] : value > 0;
+}
+
+/**
+ * 檢查某個閾值名稱與值是否可以傳給 setGestureThresholds（例如匯入預設組時先過濾）
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidGestureThreshold(key, value) {
+    return key in GESTURE_DEFAULTS && isValidThreshold(key, value);
+}
+
+/**
+ * 覆寫手勢判斷閾值，立即套用到所有偵測器
+ * 不合法的項目（未知名稱、非正數、需要整數卻有小數、超出範圍）會印出警告並略過
+ *
+ * @param {Object} partial - GESTURE_DEFAULTS 的部分項目
+ */
+export function setGestureThresholds(partial = {}) {
+    for (const [key, value] of Object.entries(partial)) {
+        if (!(key in GESTURE_DEFAULTS)) {
+            console.warn('Unknown gesture threshold:', key);
+        } else if (!isValidThreshold(key, value)) {
+            console.warn('Invalid gesture threshold:', key, value);
+        } else {
+            thresholds[key] = value;
+        }
+    }
+}
+
+/**
+ * 取得目前的手勢判斷閾值
+ * @returns {Object}
+ */
+export function getGestureThresholds() {
+    return { ...thresholds };
+}
+
+/**
+ * 恢復預設的手勢判斷閾值
+ */
+export function resetGestureThresholds() {
+    thresholds = { ...GESTURE_DEFAULTS };
+}
+
+/**
+ * 偵測器自己指定的去抖動幀數優先，否則使用目前的閾值
+ */
+function getDebounceFrames(debounceFrames) {
+    return debounceFrames !== null ? debounceFrames : thresholds.debounceFrames;
+}
+
+/**
+ * 把數值限制在 0-1
+ */
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * 計算一段軌跡的平均速度（每秒幾個手的大小）
+ * z 為手的大小變化率，正值代表手往鏡頭靠近
+ */
+function getTrackVelocity(track) {
+    const first = track[0];
+    const last = track[track.length - 1];
+    const seconds = Math.max((last.t - first.t) / 1000, 0.001);
+
+    return {
+        x: (last.x - first.x) / seconds,
+        y: (last.y - first.y) / seconds,
+        z: (last.size - first.size) / first.size / seconds
+    };
+}
+
+/**
+ * 動態手勢偵測器
+ * 以滑動時間窗保存手掌中心與食指指尖的軌跡，辨識揮動、揮手、畫圈與推
+ *
+ * 回傳的事件都包含 velocity（每秒幾個手的大小，z 為大小變化率）與 confidence（0-1）：
+ * - { type: 'swipe', direction: 'left' | 'right' | 'up' | 'down' }
+ * - { type: 'wave' }
+ * - { type: 'circle', direction: 'clockwise' | 'counterclockwise', angularVelocity }
+ * - { type: 'push' }
+ */
+export class MotionGestureDetector {
+    constructor() {
+        this.samples = [];        // 原始軌跡：{ t, x, y, tipX, tipY, size }
+        this.cooldownUntil = -Infinity;
+    }
+
+    /**
+     * 處理新的一幀手部資料
+     * @param {Array|null} landmarks - 手部關鍵點（沒有手時為 null，會清除軌跡）
+     * @param {number} timestamp - 這一幀的時間（毫秒）
+     * @returns {Object|null} 偵測到的動態手勢，否則為 null
+     */
+    update(landmarks, timestamp) {
+        if (!landmarks || landmarks.length < 21) {
+            this.samples = [];
+            return null;
+        }
+
+        const size = getHandSize(landmarks);
+        if (size < 0.01) {
+            this.samples = [];
+            return null;
+        }
+
+        const palm = getPalmCenter(landmarks);
+        const tip = landmarks[LANDMARKS.INDEX_TIP];
+        this.samples.push({ t: timestamp, x: palm.x, y: palm.y, tipX: tip.x, tipY: tip.y, size });
+
+        while (this.samples.length > 0 && timestamp - this.samples[0].t > MOTION_HISTORY_MS) {
+            this.samples.shift();
+        }
+
+        if (timestamp < this.cooldownUntil || this.samples.length < 3) {
+            return null;
+        }
+
+        const event = this.detectCircle() || this.detectWave() || this.detectPush() || this.detectSwipe();
+        if (event) {
+            // 清除軌跡，同一段動作不會被再次辨識
+            this.samples = [];
+            this.cooldownUntil = timestamp + MOTION_COOLDOWN_MS;
+        }
+        return event;
+    }
+
+    /**
+     * 取得最近 windowMs 毫秒的軌跡，轉成使用者視角並以平均手的大小為單位
+     * 原始影像未鏡像，所以 X 要反轉；影像 Y 軸向下，所以 Y 也要反轉
+     */
+    getTrack(windowMs) {
+        const now = this.samples[this.samples.length - 1].t;
+        const raw = this.samples.filter(s => now - s.t <= windowMs);
+        const unit = raw.reduce((sum, s) => sum + s.size, 0) / raw.length;
+
+        return raw.map(s => ({
+            t: s.t,
+            x: -s.x / unit,
+            y: -s.y / unit,
+            tipX: -s.tipX / unit,
+            tipY: -s.tipY / unit,
+            size: s.size
+        }));
+    }
+
+    detectSwipe() {
+        const track = this.getTrack(SWIPE_WINDOW_MS);
+        if (track.length < 3) return null;
+
+        const first = track[0];
+        const last = track[track.length - 1];
+        const dx = last.x - first.x;
+        const dy = last.y - first.y;
+        const displacement = Math.hypot(dx, dy);
+
+        let pathLength = 0;
+        for (let i = 1; i < track.length; i++) {
+            pathLength += Math.hypot(track[i].x - track[i - 1].x, track[i].y - track[i - 1].y);
+        }
+
+        const straightness = pathLength > 0 ? displacement / pathLength : 0;
+        const major = Math.max(Math.abs(dx), Math.abs(dy));
+        const minor = Math.min(Math.abs(dx), Math.abs(dy));
+
+        if (displacement < thresholds.swipeMinDistance || straightness < SWIPE_MIN_STRAIGHTNESS
+            || major < minor * SWIPE_AXIS_RATIO) {
+            return null;
+        }
+
+        const direction = Math.abs(dx) > Math.abs(dy)
+            ? (dx > 0 ? 'right' : 'left')
+            : (dy > 0 ? 'up' : 'down');
+
+        return {
+            type: 'swipe',
+            direction,
+            velocity: getTrackVelocity(track),
+            confidence: clamp01(straightness * displacement / (thresholds.swipeMinDistance * 2))
+        };
+    }
+
+    detectWave() {
+        const track = this.getTrack(MOTION_HISTORY_MS);
+
+        // 以擺幅做遲滯，計算左右折返的次數
+        let reversals = 0;
+        let direction = 0;
+        let extreme = track[0].x;
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+
+        for (const s of track) {
+            minX = Math.min(minX, s.x);
+            maxX = Math.max(maxX, s.x);
+            minY = Math.min(minY, s.y);
+            maxY = Math.max(maxY, s.y);
+
+            if (direction === 0) {
+                // 還沒確定方向：離起點超過擺幅才開始計算
+                if (Math.abs(s.x - extreme) > thresholds.waveMinAmplitude) {
+                    direction = Math.sign(s.x - extreme);
+                    extreme = s.x;
+                }
+            } else if ((s.x - extreme) * direction > 0) {
+                extreme = s.x;
+            } else if (Math.abs(s.x - extreme) > thresholds.waveMinAmplitude) {
+                reversals++;
+                direction = -direction;
+                extreme = s.x;
+            }
+        }
+
+        const width = maxX - minX;
+        const verticalRatio = width > 0 ? (maxY - minY) / width : Infinity;
+
+        if (reversals < thresholds.waveMinReversals || verticalRatio > WAVE_MAX_VERTICAL) {
+            return null;
+        }
+
+        return {
+            type: 'wave',
+            velocity: getTrackVelocity(track),
+            confidence: clamp01(reversals / (thresholds.waveMinReversals + 2) * (1 - verticalRatio))
+        };
+    }
+
+    detectCircle() {
+        const track = this.getTrack(MOTION_HISTORY_MS);
+
+        let cx = 0, cy = 0;
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (const s of track) {
+            cx += s.tipX;
+            cy += s.tipY;
+            minX = Math.min(minX, s.tipX);
+            maxX = Math.max(maxX, s.tipX);
+            minY = Math.min(minY, s.tipY);
+            maxY = Math.max(maxY, s.tipY);
+        }
+        cx /= track.length;
+        cy /= track.length;
+
+        const aspect = Math.min(maxX - minX, maxY - minY) / Math.max(maxX - minX, maxY - minY, 1e-6);
+        if (aspect < CIRCLE_MIN_ASPECT) {
+            return null;
+        }
+
+        // 累積指尖繞中心轉過的角度（逆時針為正）
+        let angle = 0;
+        let previous = Math.atan2(track[0].tipY - cy, track[0].tipX - cx);
+        const radii = [];
+
+        for (const s of track) {
+            const current = Math.atan2(s.tipY - cy, s.tipX - cx);
+            let delta = current - previous;
+            if (delta > Math.PI) delta -= Math.PI * 2;
+            if (delta < -Math.PI) delta += Math.PI * 2;
+            angle += delta;
+            previous = current;
+            radii.push(Math.hypot(s.tipX - cx, s.tipY - cy));
+        }
+
+        const meanRadius = radii.reduce((sum, r) => sum + r, 0) / radii.length;
+        const variance = radii.reduce((sum, r) => sum + (r - meanRadius) ** 2, 0) / radii.length;
+        const spread = meanRadius > 0 ? Math.sqrt(variance) / meanRadius : Infinity;
+
+        if (Math.abs(angle) < thresholds.circleMinTurns * Math.PI * 2 || meanRadius < thresholds.circleMinRadius
+            || spread > CIRCLE_MAX_RADIUS_SPREAD) {
+            return null;
+        }
+
+        const seconds = Math.max((track[track.length - 1].t - track[0].t) / 1000, 0.001);
+
+        return {
+            type: 'circle',
+            direction: angle > 0 ? 'counterclockwise' : 'clockwise',
+            angularVelocity: angle / seconds,
+            velocity: getTrackVelocity(track),
+            confidence: clamp01(Math.abs(angle) / (Math.PI * 2) * (1 - spread))
+        };
+    }
+
+    detectPush() {
+        const track = this.getTrack(PUSH_WINDOW_MS);
+        const first = track[0];
+        const last = track[track.length - 1];
+        const growth = last.size / first.size;
+        const drift = Math.hypot(last.x - first.x, last.y - first.y);
+
+        if (growth < thresholds.pushMinGrowth || drift > PUSH_MAX_DRIFT) {
+            return null;
+        }
+
+        return {
+            type: 'push',
+            velocity: getTrackVelocity(track),
+            confidence: clamp01((growth - 1) / ((thresholds.pushMinGrowth - 1) * 2) * (1 - drift / PUSH_MAX_DRIFT / 2))
+        };
+    }
+
     /**
      * 重置偵測器狀態
      */
     reset() {
-        this.currentState = null;
-        this.pendingState = null;
-        this.pendingCount = 0;
+        this.samples = [];
+        this.cooldownUntil = -Infinity;
     }
 }
@@ -4,7 +4,15 @@
  * 使用 MediaPipe Tasks Vision 官方 SDK
  */
 
-import { GestureDetector } from './gesture-logic.js';
+import {
+    GestureDetector,
+    TwoHandGestureDetector,
+    MotionGestureDetector,
+    estimateHandDistance,
+    getHandOpenness
+} from './gesture-logic.js';
+import { EventEmitter } from './emitter.js';
+import { OneEuroFilter, PointFilter, Clutch, applyDeadZone, mergeFilterOptions, TRACKING_FILTER_DEFAULTS } from './filters.js';
 
 // MediaPipe CDN 路徑
 const MEDIAPIPE_TASKS_VISION_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm';
@@ -12,15 +20,45 @@ const MEDIAPIPE_TASKS_VISION_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/task
 // 模型路徑
 const HAND_LANDMARKER_MODEL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
 
+// 最多同時追蹤的手數
+const MAX_HANDS = 2;
+
+// 五個指尖的索引：大拇指、食指、中指、無名指、小指
+const FINGERTIP_INDICES = [4, 8, 12, 16, 20];
+
+// 手離開畫面多久（毫秒）才發送 handlost，避免偵測偶爾漏掉一兩幀就觸發
+const HAND_LOST_TIMEOUT = 500;
+
 // 全域變數
 let handLandmarker = null;
 let video = null;
-let gestureDetector = null;
+let gestureDetectors = new Map();   // 每隻手各自的去抖動偵測器：'Left' / 'Right' → GestureDetector
+let motionDetectors = new Map();    // 每隻手各自的動態手勢偵測器：'Left' / 'Right' → MotionGestureDetector
+let handFilters = new Map();        // 每隻手的位置濾波器：'Left' / 'Right' → { palm, tips, openness }
+let filterOptions = { ...TRACKING_FILTER_DEFAULTS };
+const clutch = new Clutch();        // 抓取式旋轉控制（filterOptions.clutch 開啟時使用）
+let twoHandDetector = null;
+let trackedHands = [];              // 上一幀看到的手（'Left' / 'Right'）
+let handLastSeen = new Map();       // 已發送 handfound 的手 → 最後看到的時間（毫秒）
+let handLostTimeout = HAND_LOST_TIMEOUT;
 let onHandStateChangeCallback = null;
 let onHandPositionCallback = null;  // 新增：手部位置回調
+let onTwoHandGestureCallback = null;
+let onMotionGestureCallback = null;
+let onFingertipsCallback = null;
 let isRunning = false;
+
+// 事件（on / off 訂閱，可以有多個訂閱者；上面的 callback 仍可使用）
+const events = new EventEmitter(['handfound', 'handlost', 'gesture', 'trackingerror', 'frame']);
 let lastVideoTime = -1;
 
+// 錄製與重播
+const RECORDING_VERSION = 2;        // v2 起每幀包含 handedness
+let recording = null;         // 錄製中的資料 { version, createdAt, frames }
+let recordingStartTime = 0;
+let replayState = null;       // 重播中的狀態 { cancelled }
+let pausedLiveTracking = false; // 重播期間暫停的即時偵測，重播結束後恢復
+
 /**
  * 初始化 webcam 並綁定到 video 元素
  * @param {HTMLVideoElement} videoElement - video DOM 元素
@@ -48,7 +86,9 @@ async function initWebcam(videoElement) {
         });
     } catch (error) {
         console.error('無法存取 webcam:', error);
-        throw new Error('無法存取攝影機，請確認已授權攝影機權限');
+        const trackingError = new Error('無法存取攝影機，請確認已授權攝影機權限');
+        events.emit('trackingerror', { error: trackingError, cause: error, stage: 'webcam' });
+        throw trackingError;
     }
 }
 
@@ -73,7 +113,7 @@ async function initHandLandmarker() {
                 delegate: 'GPU'  // 使用 GPU 加速
             },
             runningMode: 'VIDEO',
-            numHands: 1,  // 只偵測一隻手
+            numHands: MAX_HANDS,
             minHandDetectionConfidence: 0.5,
             minHandPresenceConfidence: 0.5,
             minTrackingConfidence: 0.5
@@ -82,7 +122,9 @@ async function initHandLandmarker() {
         console.log('Hand Landmarker 初始化完成');
     } catch (error) {
         console.error('Hand Landmarker 初始化失敗:', error);
-        throw new Error('MediaPipe 初始化失敗');
+        const trackingError = new Error('MediaPipe 初始化失敗');
+        events.emit('trackingerror', { error: trackingError, cause: error, stage: 'model' });
+        throw trackingError;
     }
 }
 
@@ -119,6 +161,255 @@ function getPalmCenter(landmarks) {
     };
 }
 
+/**
+ * 取得每隻手的左右標籤
+ *
+ * MediaPipe 假設輸入畫面是鏡像的（自拍鏡頭），但送進偵測的是未翻轉的原始畫面
+ * （鏡像只在 CSS 做），所以標籤要左右互換才是使用者真正的左右手。
+ * 兩隻手被判成同一邊，或沒有標籤時，依序補上另一邊。
+ *
+ * @param {Array} handedness - results.handedness（每隻手的分類結果）
+ * @param {number} count - 手的數量
+ * @returns {string[]} 'Left' / 'Right'
+ */
+function getHandLabels(handedness, count) {
+    const labels = [];
+
+    for (let i = 0; i < count; i++) {
+        const category = handedness && handedness[i] && handedness[i][0];
+        const raw = category ? category.categoryName : null;
+        let label = raw === 'Left' ? 'Right' : raw === 'Right' ? 'Left' : null;
+
+        if (!label || labels.includes(label)) {
+            label = labels.includes('Right') ? 'Left' : 'Right';
+        }
+        labels.push(label);
+    }
+
+    return labels;
+}
+
+/**
+ * 取得某隻手的去抖動偵測器，第一次看到時建立
+ */
+function getGestureDetector(hand) {
+    if (!gestureDetectors.has(hand)) {
+        // 建立去抖動的手勢偵測器（連續 5 幀才切換狀態）
+        gestureDetectors.set(hand, new GestureDetector());
+    }
+    return gestureDetectors.get(hand);
+}
+
+/**
+ * 取得某隻手的動態手勢偵測器，第一次看到時建立
+ */
+function getMotionDetector(hand) {
+    if (!motionDetectors.has(hand)) {
+        motionDetectors.set(hand, new MotionGestureDetector());
+    }
+    return motionDetectors.get(hand);
+}
+
+/**
+ * 取得某隻手的濾波器（手掌中心、五個指尖與張開程度），第一次看到時建立
+ */
+function getHandFilters(hand) {
+    if (!handFilters.has(hand)) {
+        handFilters.set(hand, {
+            palm: new PointFilter(filterOptions),
+            tips: FINGERTIP_INDICES.map(() => new PointFilter(filterOptions)),
+            openness: new OneEuroFilter(filterOptions)
+        });
+    }
+    return handFilters.get(hand);
+}
+
+/**
+ * 位置濾波（關閉時直接回傳原始位置）
+ */
+function smoothPoint(filter, point, timestamp) {
+    return filterOptions.enabled ? filter.filter(point, timestamp) : { x: point.x, y: point.y };
+}
+
+/**
+ * 手的張開程度（0 = 握拳，1 = 張開），與位置使用相同的濾波；資料不足時為 null
+ */
+function smoothOpenness(hand, landmarks, timestamp) {
+    const openness = getHandOpenness(landmarks);
+    if (openness === null || !filterOptions.enabled) {
+        return openness;
+    }
+    return Math.max(0, Math.min(1, getHandFilters(hand).openness.filter(openness, timestamp)));
+}
+
+/**
+ * 重置所有手勢偵測器
+ */
+function resetGestureDetectors() {
+    gestureDetectors = new Map();
+    motionDetectors = new Map();
+    handFilters = new Map();
+    clutch.release();
+    twoHandDetector = new TwoHandGestureDetector();
+    for (const hand of handLastSeen.keys()) {
+        events.emit('handlost', { hand });
+    }
+    handLastSeen = new Map();
+    trackedHands = [];
+}
+
+/**
+ * 依這一幀看到的手發送 handfound / handlost
+ * 手第一次出現時立即發送 handfound；消失超過 handLostTimeout 才發送 handlost
+ */
+function updateHandPresence(timestamp) {
+    for (const hand of trackedHands) {
+        if (!handLastSeen.has(hand)) {
+            events.emit('handfound', { hand });
+        }
+        handLastSeen.set(hand, timestamp);
+    }
+
+    for (const [hand, lastSeen] of handLastSeen) {
+        if (!trackedHands.includes(hand) && timestamp - lastSeen >= handLostTimeout) {
+            handLastSeen.delete(hand);
+            // 手回來時從頭判斷手勢，即使與離開前相同也會再次回報（例如閒置吸引模式結束後恢復形狀）
+            gestureDetectors.delete(hand);
+            events.emit('handlost', { hand });
+        }
+    }
+}
+
+/**
+ * 處理一幀偵測結果
+ * webcam 偵測與錄製檔重播都走這個流程，確保行為一致
+ *
+ * @param {Array} handsLandmarks - 每隻手的 21 個關鍵點（即 results.landmarks）
+ * @param {string[]} hands - 每隻手的標籤（'Left' / 'Right'）
+ * @param {number} timestamp - 這一幀的時間（毫秒）
+ */
+function processFrame(handsLandmarks, hands, timestamp) {
+    const count = handsLandmarks ? handsLandmarks.length : 0;
+    trackedHands = hands.slice(0, count);
+    updateHandPresence(timestamp);
+
+    for (let i = 0; i < count; i++) {
+        const landmarks = handsLandmarks[i];
+        const hand = hands[i];
+
+        // 使用這隻手的去抖動手勢偵測器
+        const detector = getGestureDetector(hand);
+        const stateChange = detector.update(landmarks, timestamp);
+
+        // 如果狀態有改變，呼叫 callback
+        if (stateChange) {
+            console.log(`手勢狀態改變（${hand}）:`, stateChange);
+            events.emit('gesture', { kind: 'pose', type: stateChange, hand, detail: detector.getStatus() });
+            if (onHandStateChangeCallback) {
+                onHandStateChangeCallback(stateChange, hand);
+            }
+        }
+
+        // 動態手勢（揮動、揮手、畫圈、推）
+        const motion = getMotionDetector(hand).update(landmarks, timestamp);
+        if (motion) {
+            console.log(`動態手勢（${hand}）:`, motion.type, motion.direction || '');
+            events.emit('gesture', { kind: 'motion', type: motion.type, hand, detail: motion });
+            if (onMotionGestureCallback) {
+                onMotionGestureCallback(motion, hand);
+            }
+        }
+
+        // 新增：計算並回報手部位置（用於 3D 旋轉控制）
+        if (onHandPositionCallback) {
+            // 先濾掉關鍵點的抖動
+            const palmCenter = smoothPoint(getHandFilters(hand).palm, getPalmCenter(landmarks), timestamp);
+
+            // 將座標從 0-1 轉換為 -1 到 1
+            // 注意：webcam 是鏡像的，所以 X 需要反轉
+            let normX = (palmCenter.x - 0.5) * 2;  // 不反轉，因為在 CSS 已經鏡像
+            let normY = (palmCenter.y - 0.5) * 2;
+
+            if (filterOptions.clutch) {
+                // 抓取式：握拳時抓住場景，移動手從目前的角度繼續旋轉；張開手時場景停在原處
+                const grabbing = detector.getState() === 'fist';
+                ({ x: normX, y: normY } = clutch.update(hand, grabbing, { x: normX, y: normY }, filterOptions.clutchGain));
+            } else {
+                // 絕對式：手在畫面中心附近時不旋轉
+                normX = applyDeadZone(normX, filterOptions.deadZone);
+                normY = applyDeadZone(normY, filterOptions.deadZone);
+            }
+
+            // 手到鏡頭的相對距離（1 為舒適距離），用於鏡頭縮放
+            const depth = estimateHandDistance(landmarks);
+
+            onHandPositionCallback(normX, normY, hand, depth);
+        }
+    }
+
+    // 每幀回報所有手的指尖位置（沒有手時為空陣列，讓力場可以移除）
+    if (onFingertipsCallback) {
+        const fingertips = [];
+        for (let i = 0; i < count; i++) {
+            const filters = getHandFilters(hands[i]).tips;
+            fingertips.push({
+                hand: hands[i],
+                tips: FINGERTIP_INDICES.map((idx, j) => smoothPoint(filters[j], handsLandmarks[i][idx], timestamp))
+            });
+        }
+        onFingertipsCallback(fingertips);
+    }
+
+    // 離開畫面的手清除動態手勢軌跡與位置濾波，放開抓取
+    for (const [hand, detector] of motionDetectors) {
+        if (!trackedHands.includes(hand)) {
+            detector.update(null, timestamp);
+        }
+    }
+    for (const hand of handFilters.keys()) {
+        if (!trackedHands.includes(hand)) {
+            handFilters.delete(hand);
+        }
+    }
+    if (clutch.owner !== null && !trackedHands.includes(clutch.owner)) {
+        clutch.release();
+    }
+
+    // 雙手手勢（固定以左手、右手的順序傳入）
+    const left = count > 0 ? handsLandmarks[hands.indexOf('Left')] || null : null;
+    const right = count > 0 ? handsLandmarks[hands.indexOf('Right')] || null : null;
+    const twoHandEvents = twoHandDetector.update(left, right);
+
+    for (const event of twoHandEvents) {
+        // 雙手縮放中的 spread 每幀都有，不當成手勢事件
+        if (event.type !== 'spread') {
+            events.emit('gesture', { kind: 'twohand', type: event.type, hand: null, detail: event });
+        }
+        if (onTwoHandGestureCallback) {
+            onTwoHandGestureCallback(event);
+        }
+    }
+
+    events.emit('frame', {
+        hands: trackedHands.slice(),
+        landmarks: count > 0 ? handsLandmarks.slice(0, count) : [],
+        poses: trackedHands.map(hand => getGestureDetector(hand).getStatus()),
+        openness: trackedHands.map((hand, i) => smoothOpenness(hand, handsLandmarks[i], timestamp)),
+        timestamp
+    });
+}
+
+/**
+ * 把一幀的關鍵點加入錄製資料（只保留 x / y / z 與左右手標籤）
+ */
+function recordFrame(handsLandmarks, hands, timestamp) {
+    recording.frames.push({
+        t: Math.round(timestamp - recordingStartTime),
+        landmarks: (handsLandmarks || []).map(hand => hand.map(p => ({ x: p.x, y: p.y, z: p.z }))),
+        handedness: hands.slice(0, handsLandmarks ? handsLandmarks.length : 0)
+    });
+}
+
 /**
  * 偵測迴圈 - 每幀從 video 抓取畫面進行手勢偵測
  */
@@ -133,36 +424,18 @@ function detectLoop() {
 
         try {
             // 使用 Hand Landmarker 偵測手部
-            const results = handLandmarker.detectForVideo(video, performance.now());
-
-            // 如果有偵測到手
-            if (results.landmarks && results.landmarks.length > 0) {
-                // 取得第一隻手的 landmarks
-                const landmarks = results.landmarks[0];
-
-                // 使用去抖動的手勢偵測器
-                const stateChange = gestureDetector.update(landmarks);
-
-                // 如果狀態有改變，呼叫 callback
-                if (stateChange && onHandStateChangeCallback) {
-                    console.log('手勢狀態改變:', stateChange);
-                    onHandStateChangeCallback(stateChange);
-                }
+            const timestamp = performance.now();
+            const results = handLandmarker.detectForVideo(video, timestamp);
+            const count = results.landmarks ? results.landmarks.length : 0;
+            const hands = getHandLabels(results.handedness || results.handednesses, count);
 
-                // 新增：計算並回報手部位置（用於 3D 旋轉控制）
-                if (onHandPositionCallback) {
-                    const palmCenter = getPalmCenter(landmarks);
-
-                    // 將座標從 0-1 轉換為 -1 到 1
-                    // 注意：webcam 是鏡像的，所以 X 需要反轉
-                    const normX = (palmCenter.x - 0.5) * 2;  // 不反轉，因為在 CSS 已經鏡像
-                    const normY = (palmCenter.y - 0.5) * 2;
-
-                    onHandPositionCallback(normX, normY);
-                }
+            if (recording) {
+                recordFrame(results.landmarks, hands, timestamp);
             }
+            processFrame(results.landmarks, hands, timestamp);
         } catch (error) {
             console.error('手勢偵測錯誤:', error);
+            events.emit('trackingerror', { error, stage: 'detect' });
         }
     }
 
@@ -172,7 +445,7 @@ function detectLoop() {
 
 /**
  * 開始手勢追蹤
- * @param {Function} onHandStateChange - 狀態改變時的 callback，參數為 'open' 或 'fist'
+ * @param {Function} onHandStateChange - 狀態改變時的 callback，參數為 (手勢名稱, 'Left' | 'Right')
  * @param {HTMLVideoElement} [videoElement] - 可選的 video 元素，預設使用 #webcam
  * @returns {Promise<void>}
  */
@@ -180,8 +453,8 @@ export async function startHandTracking(onHandStateChange, videoElement = null)
     // 設定 callback
     onHandStateChangeCallback = onHandStateChange;
 
-    // 建立去抖動的手勢偵測器（連續 5 幀才切換狀態）
-    gestureDetector = new GestureDetector(5);
+    // 建立每隻手的去抖動手勢偵測器
+    resetGestureDetectors();
 
     // 取得 video 元素
     video = videoElement || document.getElementById('webcam');
@@ -222,12 +495,121 @@ export async function startHandTracking(onHandStateChange, videoElement = null)
 
 /**
  * 設定手部位置回調（用於 3D 旋轉控制）
- * @param {Function} callback - 回調函式，參數為 (normX, normY)，範圍 -1 到 1
+ * @param {Function} callback - 回調函式，參數為 (normX, normY, hand, depth)
+ *   normX / normY 範圍 -1 到 1（經過濾波與中心死區，或抓取式控制的結果，見 setTrackingFilterOptions），hand 為 'Left' / 'Right'，
+ *   depth 為手到鏡頭的相對距離（1 為舒適距離，見 estimateHandDistance），無法估計時為 null
  */
 export function setHandPositionCallback(callback) {
     onHandPositionCallback = callback;
 }
 
+/**
+ * 設定雙手手勢回調
+ * @param {Function} callback - 回調函式，參數為事件物件：
+ *   { type: 'heart' }、{ type: 'spreadstart' }、{ type: 'spread', scale }、{ type: 'spreadend' }
+ */
+export function setTwoHandGestureCallback(callback) {
+    onTwoHandGestureCallback = callback;
+}
+
+/**
+ * 設定動態手勢回調
+ * @param {Function} callback - 回調函式，參數為 (事件, 'Left' | 'Right')，事件格式見 MotionGestureDetector：
+ *   { type: 'swipe' | 'wave' | 'circle' | 'push', direction, velocity, confidence }
+ */
+export function setMotionGestureCallback(callback) {
+    onMotionGestureCallback = callback;
+}
+
+/**
+ * 設定指尖位置回調（用於手指力場）
+ * 每幀都會呼叫一次，沒有手時參數為空陣列
+ * @param {Function} callback - 參數為 [{ hand, tips }]，tips 依序為大拇指、食指、中指、無名指、小指，
+ *   座標為原始（未鏡像）影像的 0-1 座標 { x, y }（經過與手掌相同的濾波）
+ */
+export function setFingertipsCallback(callback) {
+    onFingertipsCallback = callback;
+}
+
+/**
+ * 訂閱手勢追蹤的事件（可以有多個訂閱者）
+ * - handfound / handlost：{ hand } 某隻手進入畫面 / 離開畫面超過 handLostTimeout（見 setHandLostTimeout）
+ * - gesture：{ kind, type, hand, detail } 手勢；kind 為 'pose'（靜態手勢，type 為手勢名稱，detail 為信心與切換進度）、
+ *   'motion'（動態手勢，detail 為 MotionGestureDetector 的事件）或 'twohand'（雙手手勢，hand 為 null）
+ * - trackingerror：{ error, cause, stage } 'webcam' / 'model' 啟動失敗（cause 為原始錯誤），或 'detect' 單幀偵測錯誤
+ * - frame：{ hands, landmarks, poses, openness, timestamp } 每處理完一幀偵測結果（錄製檔重播時也會發送），
+ *   landmarks[i] 為 hands[i] 的 21 個關鍵點，poses[i] 為它的手勢信心與切換進度（GestureDetector 的 getStatus），
+ *   openness[i] 為它的張開程度（0 = 握拳，1 = 張開，經過位置濾波；見 getHandOpenness）
+ *
+ * @param {string} type - 事件名稱
+ * @param {Function} listener - 參數為事件資料
+ * @returns {Function} 取消訂閱的函式
+ */
+export function on(type, listener) {
+    return events.on(type, listener);
+}
+
+/**
+ * 取消訂閱手勢追蹤的事件
+ * @param {string} type - 事件名稱
+ * @param {Function} listener - 訂閱時的函式
+ */
+export function off(type, listener) {
+    events.off(type, listener);
+}
+
+/**
+ * 設定手離開畫面多久才發送 handlost
+ * @param {number} ms - 毫秒，0 為離開的那一幀就發送
+ */
+export function setHandLostTimeout(ms) {
+    if (!(ms >= 0)) {
+        console.warn('Invalid hand lost timeout:', ms);
+        return;
+    }
+    handLostTimeout = ms;
+}
+
+/**
+ * 調整手部位置的濾波、中心死區與抓取式控制（見 filters.js 的 TRACKING_FILTER_DEFAULTS）
+ * 不合法的項目印出警告並略過；調整後濾波器重新開始
+ *
+ * @param {Object} partial - TRACKING_FILTER_DEFAULTS 的部分項目
+ */
+export function setTrackingFilterOptions(partial) {
+    const wasClutch = filterOptions.clutch;
+    filterOptions = mergeFilterOptions(partial, filterOptions);
+    handFilters = new Map();
+    if (wasClutch !== filterOptions.clutch) {
+        clutch.release();
+    }
+}
+
+/**
+ * 取得目前的濾波選項
+ * @returns {Object}
+ */
+export function getTrackingFilterOptions() {
+    return { ...filterOptions };
+}
+
+/**
+ * 取得目前在畫面中的手（已發送 handfound、還沒發送 handlost）
+ * 與 getTrackedHands 不同，短暫漏掉幾幀偵測時仍算在畫面中
+ * @returns {string[]}
+ */
+export function getPresentHands() {
+    return Array.from(handLastSeen.keys());
+}
+
+/**
+ * 取得上一幀偵測到的手
+ * @returns {string[]} 例如 ['Right']、['Left', 'Right']，沒有手時為空陣列
+ */
+export function getTrackedHands() {
+    return trackedHands.slice();
+}
+
 /**
  * 停止手勢追蹤
  */
@@ -243,6 +625,202 @@ export function stopHandTracking() {
     console.log('手勢追蹤已停止');
 }
 
+/**
+ * 開始錄製每一幀的手部關鍵點
+ * 沒有偵測到手的幀也會記錄（landmarks 為空陣列），重播時才能還原手離開畫面的時間
+ * 每幀也記錄每隻手的左右標籤（handedness）
+ */
+export function startRecording() {
+    recording = {
+        version: RECORDING_VERSION,
+        createdAt: new Date().toISOString(),
+        frames: []
+    };
+    recordingStartTime = performance.now();
+    console.log('開始錄製手部關鍵點');
+}
+
+/**
+ * 停止錄製
+ * @returns {Object|null} 錄製資料 { version, createdAt, frames: [{ t, landmarks, handedness }] }
+ */
+export function stopRecording() {
+    const result = recording;
+    recording = null;
+
+    if (result) {
+        console.log(`錄製結束，共 ${result.frames.length} 幀`);
+    }
+    return result;
+}
+
+/**
+ * 是否正在錄製
+ * @returns {boolean}
+ */
+export function isRecording() {
+    return recording !== null;
+}
+
+/**
+ * 把錄製資料下載成 JSON 檔
+ * @param {Object} data - stopRecording() 的回傳值
+ * @param {string} [filename] - 檔名
+ */
+export function downloadRecording(data, filename = `hand-recording-${Date.now()}.json`) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 載入錄製檔
+ * @param {string|Blob} source - 錄製檔網址，或使用者選擇的 File
+ * @returns {Promise<Object>} 錄製資料
+ */
+export async function loadRecording(source) {
+    let text;
+
+    if (typeof source === 'string') {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error('無法載入錄製檔：' + source);
+        }
+        text = await response.text();
+    } else {
+        text = await source.text();
+    }
+
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.frames)) {
+        throw new Error('錄製檔格式錯誤');
+    }
+    return data;
+}
+
+/**
+ * 重播錄製檔，取代 webcam 與 MediaPipe
+ * 關鍵點會經過與即時偵測相同的 GestureDetector 與 callback 流程
+ *
+ * @param {Object} data - 錄製資料
+ * @param {Function} onHandStateChange - 狀態改變時的 callback，參數為 (手勢名稱, 'Left' | 'Right')
+ * @param {Object} [options]
+ * @param {string} [options.speed='realtime'] - 'realtime' 依原本時間播放，'max' 盡快跑完
+ * @param {boolean} [options.loop=false] - 播完後是否從頭重播
+ * @returns {Promise<void>} 播放結束（或被 stopReplay 中止）時 resolve
+ */
+export function startReplay(data, onHandStateChange, options = {}) {
+    const { speed = 'realtime', loop = false } = options;
+
+    stopReplay();
+
+    // 重播期間暫停即時偵測，避免兩個來源同時送入偵測器
+    if (isRunning) {
+        isRunning = false;
+        pausedLiveTracking = true;
+    }
+
+    onHandStateChangeCallback = onHandStateChange;
+    resetGestureDetectors();
+
+    const state = { cancelled: false };
+    replayState = state;
+
+    console.log(`開始重播錄製檔，共 ${data.frames.length} 幀（${speed}）`);
+
+    return new Promise((resolve) => {
+        let index = 0;
+        let startTime = performance.now();
+
+        const finish = () => {
+            if (!state.cancelled && loop && data.frames.length > 0) {
+                index = 0;
+                startTime = performance.now();
+                resetGestureDetectors();
+                return false;
+            }
+            if (replayState === state) {
+                replayState = null;
+                resumeLiveTracking();
+            }
+            console.log('錄製檔重播結束');
+            resolve();
+            return true;
+        };
+
+        if (speed === 'max') {
+            // 盡快跑完：每批處理一部分幀後讓出主執行緒，避免畫面卡死
+            const BATCH_SIZE = 500;
+            const runBatch = () => {
+                if (state.cancelled) return finish();
+
+                const end = Math.min(index + BATCH_SIZE, data.frames.length);
+                for (; index < end; index++) {
+                    replayFrame(data.frames[index]);
+                }
+
+                if (index >= data.frames.length && finish()) return;
+                setTimeout(runBatch, 0);
+            };
+            runBatch();
+        } else {
+            // 依原本的時間戳播放
+            const step = () => {
+                if (state.cancelled) return finish();
+
+                const elapsed = performance.now() - startTime;
+                while (index < data.frames.length && data.frames[index].t <= elapsed) {
+                    replayFrame(data.frames[index]);
+                    index++;
+                }
+
+                if (index >= data.frames.length && finish()) return;
+                requestAnimationFrame(step);
+            };
+            step();
+        }
+    });
+}
+
+/**
+ * 重播一幀錄製資料
+ * v1 錄製檔沒有 handedness，依序補上標籤
+ */
+function replayFrame(frame) {
+    const count = frame.landmarks ? frame.landmarks.length : 0;
+    const hands = frame.handedness || getHandLabels(null, count);
+    processFrame(frame.landmarks, hands, frame.t);
+}
+
+/**
+ * 停止重播
+ */
+export function stopReplay() {
+    if (replayState) {
+        replayState.cancelled = true;
+        replayState = null;
+        resumeLiveTracking();
+    }
+}
+
+/**
+ * 恢復重播前暫停的即時偵測
+ */
+function resumeLiveTracking() {
+    if (!pausedLiveTracking) return;
+
+    pausedLiveTracking = false;
+    resetGestureDetectors();
+    isRunning = true;
+    detectLoop();
+}
+
 /**
  * 更新狀態顯示
  * @param {string} message - 狀態訊息
@@ -0,0 +1,186 @@
+/**
+ * image-points.js
+ * 把 PNG / SVG 等圖片的剪影取樣成粒子目標座標，粒子顏色取自圖片像素
+ */
+
+// ===== 圖片形狀預設參數 =====
+const IMAGE_DEFAULTS = {
+    sampleBy: 'alpha',     // 'alpha'：依透明度取樣；'luminance'：依亮度取樣
+    threshold: 0.5,        // 0-1，超過此值的像素才視為形狀
+    invert: false,         // 反轉判斷（例如白底黑字的 logo 搭配 luminance）
+    edgeWeight: 0.3,       // 0-1，越大粒子越集中在輪廓邊緣
+    depth: 0.35,           // Z 軸擠出厚度
+    extrudeByValue: false, // 依像素值決定 Z 軸前後（越亮越靠前）
+    maxSize: 256,          // 光柵化的最大邊長（px）
+    worldWidth: 8,         // 圖片在 3D 場景中的最大寬度
+    worldHeight: 6,        // 圖片在 3D 場景中的最大高度
+    minLightness: 0.3      // 太暗的像素顏色會被提亮，避免在深色背景上看不見
+};
+// ============================
+
+// 邊緣像素在 edgeWeight = 1 時的最大權重倍數
+const EDGE_BOOST = 10;
+
+/**
+ * 載入圖片
+ * @param {string|Blob} source - 圖片網址，或使用者選擇的 File / Blob
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(source) {
+    const isBlob = typeof Blob !== 'undefined' && source instanceof Blob;
+    const url = isBlob ? URL.createObjectURL(source) : source;
+
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            if (isBlob) URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            if (isBlob) URL.revokeObjectURL(url);
+            reject(new Error('無法載入圖片'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * 把圖片畫到 canvas 上並取得像素資料
+ * SVG 沒有固定尺寸時，以 maxSize 為邊長
+ */
+function rasterizeImage(image, maxSize) {
+    const sourceWidth = image.naturalWidth || image.width || maxSize;
+    const sourceHeight = image.naturalHeight || image.height || maxSize;
+    const fit = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+    const width = Math.max(1, Math.round(sourceWidth * fit));
+    const height = Math.max(1, Math.round(sourceHeight * fit));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, width, height);
+
+    return { data: ctx.getImageData(0, 0, width, height).data, width, height };
+}
+
+/**
+ * 計算每個像素的取樣值（0-1）
+ */
+function getPixelValues(data, width, height, options) {
+    const values = new Float32Array(width * height);
+
+    for (let i = 0; i < width * height; i++) {
+        const alpha = data[i * 4 + 3] / 255;
+        let value;
+
+        if (options.sampleBy === 'luminance') {
+            const luminance = (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+            // 透明像素不算亮
+            value = luminance * alpha;
+        } else {
+            value = alpha;
+        }
+
+        values[i] = options.invert ? 1 - value : value;
+    }
+
+    return values;
+}
+
+/**
+ * 生成圖片剪影座標與顏色
+ *
+ * 取樣方式：
+ * 1. 每個像素依取樣值判斷是否屬於形狀
+ * 2. 形狀內的像素若有鄰居不屬於形狀，視為邊緣，依 edgeWeight 提高權重
+ * 3. 依權重做累積分佈抽樣，並在像素內做次像素抖動
+ *
+ * @param {number} count - 粒子數量
+ * @param {HTMLImageElement} image - 已載入的圖片
+ * @param {Object} [options] - 覆寫 IMAGE_DEFAULTS
+ * @param {Function} [rng] - 偽隨機數產生器，預設 Math.random
+ * @returns {{ points: Float32Array, colors: Float32Array }|null} 沒有任何像素超過門檻時為 null，
+ *          registerShape 會退回星空，不會變成原點上的一個黑點
+ */
+export function generateImagePoints(count, image, options = {}, rng = Math.random) {
+    const opts = { ...IMAGE_DEFAULTS, ...options };
+
+    const { data, width, height } = rasterizeImage(image, opts.maxSize);
+    const values = getPixelValues(data, width, height, opts);
+
+    const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height
+        && values[y * width + x] > opts.threshold;
+
+    // 收集形狀內的像素與累積權重
+    const pixels = [];
+    const cumulative = [];
+    let totalWeight = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!inside(x, y)) continue;
+
+            const isEdge = !inside(x - 1, y) || !inside(x + 1, y) || !inside(x, y - 1) || !inside(x, y + 1);
+            totalWeight += isEdge ? 1 + opts.edgeWeight * (EDGE_BOOST - 1) : 1;
+
+            pixels.push(y * width + x);
+            cumulative.push(totalWeight);
+        }
+    }
+
+    if (pixels.length === 0) {
+        console.warn('圖片沒有超過門檻的像素，請調整 threshold 或 sampleBy');
+        return null;
+    }
+
+    const points = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const scale = Math.min(opts.worldWidth / width, opts.worldHeight / height);
+
+    for (let i = 0; i < count; i++) {
+        // 二分搜尋累積權重
+        const r = rng() * totalWeight;
+        let lo = 0;
+        let hi = cumulative.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (cumulative[mid] < r) lo = mid + 1;
+            else hi = mid;
+        }
+
+        const pixel = pixels[lo];
+        const px = pixel % width + rng();
+        const py = Math.floor(pixel / width) + rng();
+
+        // Z 軸擠出：固定厚度，或依像素值前後分層
+        const z = opts.extrudeByValue
+            ? (values[pixel] - 0.5) * opts.depth * 2 + (rng() - 0.5) * opts.depth * 0.2
+            : (rng() - 0.5) * opts.depth;
+
+        points[i * 3] = (px - width / 2) * scale;
+        points[i * 3 + 1] = (height / 2 - py) * scale;  // canvas 的 Y 軸向下
+        points[i * 3 + 2] = z;
+
+        // 顏色取自像素，太暗的提亮到 minLightness
+        let red = data[pixel * 4] / 255;
+        let green = data[pixel * 4 + 1] / 255;
+        let blue = data[pixel * 4 + 2] / 255;
+        const brightest = Math.max(red, green, blue);
+
+        if (brightest < opts.minLightness) {
+            const lift = opts.minLightness - brightest;
+            red += lift;
+            green += lift;
+            blue += lift;
+        }
+
+        colors[i * 3] = red;
+        colors[i * 3 + 1] = green;
+        colors[i * 3 + 2] = blue;
+    }
+
+    console.log(`Image points generated: ${width}x${height}, ${pixels.length} pixels`);
+    return { points, colors };
+}
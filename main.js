@@ -3,36 +3,290 @@
  * 主程式：串接 3D 粒子場景與手勢偵測
  */
 
-import { initParticles, setMode, setRotationFromHand } from './particles.js';
-import { startHandTracking, setHandPositionCallback } from './hand-tracking.js';
+import {
+    initParticles,
+    setMode,
+    getMode,
+    setModeBlend,
+    getModeBlend,
+    getRegisteredShapes,
+    setRotationFromHand,
+    spinScene,
+    explode,
+    setZoom,
+    getZoom,
+    setForcePoints,
+    setShapeScale,
+    getShapeScale,
+    setText,
+    registerImageShape,
+    registerModelShape,
+    resetParticles,
+    setPalette,
+    getPalettes,
+    getPaletteAssignments,
+    setAutoRotate,
+    on as onParticleEvent
+} from './particles.js';
+import {
+    startHandTracking,
+    setHandPositionCallback,
+    setTwoHandGestureCallback,
+    setMotionGestureCallback,
+    setFingertipsCallback,
+    getTrackedHands,
+    startRecording,
+    stopRecording,
+    isRecording,
+    downloadRecording,
+    loadRecording,
+    startReplay,
+    getPresentHands,
+    on as onTrackingEvent
+} from './hand-tracking.js';
+import { setupSettingsPanel, toggleSettingsPanel } from './settings-panel.js';
+import { setupCalibration, startCalibration, cancelCalibration, isCalibrating } from './calibration-ui.js';
+import { validateBindings, parseBindings, resolveBinding, getMotionInput, getKeyInput } from './bindings.js';
+import { AttractMode, ATTRACT_DEFAULTS } from './attract.js';
+
+// 輸入 → 動作對應表的 JSON 檔（檔案不存在時使用 bindings.js 的預設值，也可用 ?bindings=網址 指定）
+const BINDINGS_URL = 'bindings.json';
+
+// 可拖放的 3D 模型副檔名
+const MODEL_EXTENSIONS = ['obj', 'ply', 'gltf', 'glb'];
+
+// 捏合手勢顯示的預設文字
+const DEFAULT_TEXT = 'LOVE';
+
+// 雙手都在畫面中時，這隻手只負責旋轉，另一隻手只負責切換形狀
+const ROTATION_HAND = 'Right';
+
+// 畫圈手勢的角速度轉換成場景自轉速度的比例（spin 動作沒有指定 factor 時）
+const CIRCLE_SPIN_FACTOR = 0.8;
+
+// 滑鼠滾輪每一格（deltaY = 100）的縮放倍率
+const WHEEL_ZOOM_STEP = 1.1;
+
+// 閒置吸引模式：輪流展示的形狀與自轉速度（弧度 / 秒）
+// 進入的時間預設為 ATTRACT_DEFAULTS.idleDelay 秒，可用 ?attract=秒數 調整（0 為關閉）
+const ATTRACT_SHAPES = ['heart', 'star', 'sphere', 'torus', 'dna', 'ring'];
+const ATTRACT_SPIN_SPEED = 0.35;
+
+// 愛心 ↔ 星空的切換方式，可用 ?modeControl=snap 調整
+// 'blend'：依手的張開程度連續混合（慢慢張開手，愛心逐漸展開成星空）；'snap'：握拳 / 張開手確認後才切換
+const MODE_CONTROLS = ['blend', 'snap'];
+const DEFAULT_MODE_CONTROL = 'blend';
+const BLEND_SHAPES = ['heart', 'space'];  // 張開程度 0 與 1 對應的形狀
+
+// 手指力場：false 只用食指，true 五根手指都是力場
+const FORCE_ALL_FINGERTIPS = false;
+const INDEX_TIP = 1;  // tips 陣列中食指的位置
 
 // 目前的手勢狀態
 let currentGestureState = null;
 
+// 雙手縮放開始時的形狀大小
+let spreadBaseScale = 1;
+
+// 輸入 → 動作對應表（見 bindings.js）
+let bindings = validateBindings({}).bindings;
+
+// 鎖定時手部位置與拖曳不再控制旋轉
+let rotationLocked = false;
+
+// 手勢追蹤已啟動（錄製需要攝影機）
+let trackingActive = false;
+
+// 閒置吸引模式的計時與目前展示的形狀
+const attract = new AttractMode();
+let attractShapeIndex = -1;
+
+/**
+ * 依對應表執行某個輸入的所有動作
+ *
+ * @param {string} input - 輸入名稱，例如 'pose:fist'、'swipe:left'、'key:s'、'click'
+ * @param {Object} [event] - 原始事件（例如畫圈的 angularVelocity）
+ * @param {Function} [filter] - 只執行 filter(action) 為 true 的動作，省略時全部執行
+ * @returns {boolean} 是否有執行任何動作
+ */
+function handleInput(input, event = {}, filter = null) {
+    // 校正時會要求張開手、握拳，這段期間只處理按鍵
+    if (isCalibrating() && !input.startsWith('key:')) {
+        return false;
+    }
+
+    const actions = resolveBinding(bindings, input).filter(action => !filter || filter(action));
+    for (const action of actions) {
+        runAction(action, event);
+    }
+    return actions.length > 0;
+}
+
+/**
+ * 執行一個動作（格式見 bindings.js 的 BINDING_ACTIONS）
+ * 有 message 時以它取代預設的提示訊息
+ */
+function runAction(action, event) {
+    const notify = (message) => showNotification(action.message || message);
+
+    switch (action.action) {
+        case 'setMode':
+            setMode(action.mode);
+            notify('✨ ' + action.mode);
+            break;
+
+        case 'cycleShape':
+            cycleShape(action.step || 1, action.shapes, action.message);
+            break;
+
+        case 'setPalette':
+            setPalette(action.palette, action.mode);
+            notify('🎨 ' + action.palette);
+            break;
+
+        case 'cyclePalette': {
+            const palettes = getPalettes();
+            const index = palettes.findIndex(palette => palette.name === getPaletteAssignments().default);
+            const step = action.step || 1;
+            const next = palettes[(index + step + palettes.length) % palettes.length];
+            setPalette(next.name);
+            notify('🎨 ' + next.label);
+            break;
+        }
+
+        case 'burst':
+            explode(action.speed);
+            notify('💥 炸開');
+            break;
+
+        case 'reset':
+            resetParticles(action.seed);
+            notify('🔁 重新生成粒子');
+            break;
+
+        case 'spin': {
+            const factor = action.factor !== undefined ? action.factor : CIRCLE_SPIN_FACTOR;
+            const speed = action.speed !== undefined ? action.speed : (event.angularVelocity || 0) * factor;
+            spinScene(speed);
+            notify('🔄 旋轉');
+            break;
+        }
+
+        case 'toggleRotationLock':
+            rotationLocked = !rotationLocked;
+            notify(rotationLocked ? '🔒 旋轉已鎖定' : '🔓 旋轉已解鎖');
+            break;
+
+        case 'toggleSettings':
+            toggleSettingsPanel();
+            break;
+
+        case 'toggleRecording':
+            toggleRecording();
+            break;
+
+        case 'toggleCalibration':
+            if (isCalibrating()) {
+                cancelCalibration();
+            } else {
+                startGestureCalibration();
+            }
+            break;
+
+        default:
+            console.warn('Unknown action:', action.action);
+    }
+}
+
+/**
+ * 讀取輸入對應表（與預設值合併）
+ * 預設的 bindings.json 不存在時直接使用預設值；指定的檔案讀取失敗時顯示錯誤
+ *
+ * @param {string} url - 對應表 JSON 的網址
+ * @param {boolean} optional - 檔案不存在時是否略過
+ */
+async function loadBindings(url, optional) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            if (optional && response.status === 404) {
+                console.log('沒有 ' + url + '，使用預設的輸入對應');
+                return;
+            }
+            throw new Error(`無法載入對應表（HTTP ${response.status}）：${url}`);
+        }
+
+        const result = parseBindings(await response.text());
+        for (const error of result.errors) {
+            console.warn('Invalid binding (' + url + '):', error);
+        }
+        bindings = result.bindings;
+        console.log('輸入對應表已載入:', url);
+    } catch (error) {
+        // 直接開啟檔案（file://）時 fetch 會失敗，同樣使用預設值
+        if (optional && error instanceof TypeError) {
+            console.log('無法讀取 ' + url + '，使用預設的輸入對應');
+            return;
+        }
+        console.error('輸入對應表載入失敗:', error);
+        showNotification('⚠️ ' + error.message);
+    }
+}
+
+/**
+ * 手部或滑鼠控制旋轉（旋轉鎖定時忽略）
+ */
+function rotateFromInput(normX, normY) {
+    if (rotationLocked) return;
+    setRotationFromHand(normX, normY);
+}
+
 /**
  * 手勢狀態改變時的處理函式
  * 只在狀態真正改變時才呼叫粒子系統的 setMode
  *
- * @param {string} state - 'open' 或 'fist'
+ * @param {string} state - 'open'、'fist'、'point'、'peace'、'three'、'thumbs_up'、'ok' 或 'pinch'
+ * @param {string} [hand] - 產生手勢的手：'Left' 或 'Right'
  */
-function onHandStateChange(state) {
+function onHandStateChange(state, hand) {
+    // 雙手模式下，旋轉手的手勢不切換形狀
+    if (hand === ROTATION_HAND && getTrackedHands().length > 1) {
+        return;
+    }
+
     // 只在狀態真正改變時處理
     if (state === currentGestureState) {
         return;
     }
 
-    console.log(`手勢狀態從 ${currentGestureState} 變為 ${state}`);
+    console.log(`手勢狀態從 ${currentGestureState} 變為 ${state}（${hand || '單手'}）`);
     currentGestureState = state;
 
-    // 根據手勢狀態切換粒子模式
-    if (state === 'fist') {
-        // 握拳 → 愛心聚合
-        setMode('heart');
-        showNotification('✊ 握拳 → 3D 愛心聚合中...');
-    } else if (state === 'open') {
-        // 張開手 → 愛心炸開變星空
-        setMode('space');
-        showNotification('🖐️ 張開手 → 3D 星空散開中...');
+    // 依對應表執行（預設：握拳 → 愛心聚合；張開手 → 愛心炸開變星空；其他手勢 → 對應形狀）
+    // 混合中由張開程度決定愛心與星空，只略過切換到這兩個形狀的 setMode，其他重新對應的動作照常執行
+    const blending = getModeBlend() !== null;
+    handleInput('pose:' + state, {}, action => !blending
+        || !(action.action === 'setMode' && BLEND_SHAPES.includes(action.mode)));
+}
+
+/**
+ * 每幀依手的張開程度混合愛心與星空（modeControl 為 'blend' 時）
+ * 目前是其他形狀時（例如比 YA 的星星）不混合，握拳或張開手切回愛心 / 星空後才繼續
+ *
+ * @param {Object} frame - hand-tracking 的 frame 事件：{ hands, openness }
+ */
+function onHandOpenness({ hands, openness }) {
+    if (hands.length === 0 || isCalibrating() || attract.active) {
+        return;
+    }
+    if (!getModeBlend() && !BLEND_SHAPES.includes(getMode())) {
+        return;
+    }
+
+    // 雙手模式下，由切換形狀的手（不是旋轉手）控制
+    const index = hands.length > 1 ? hands.findIndex(hand => hand !== ROTATION_HAND) : 0;
+    if (openness[index] !== null) {
+        setModeBlend(openness[index], BLEND_SHAPES[0], BLEND_SHAPES[1]);
     }
 }
 
@@ -42,10 +296,168 @@ function onHandStateChange(state) {
  *
  * @param {number} normX - 正規化 X 座標 (-1 到 1)
  * @param {number} normY - 正規化 Y 座標 (-1 到 1)
+ * @param {string} [hand] - 'Left' 或 'Right'
+ * @param {number|null} [depth] - 手到鏡頭的相對距離（1 為舒適距離）
  */
-function onHandPosition(normX, normY) {
+function onHandPosition(normX, normY, hand, depth) {
+    // 雙手模式下，只有旋轉手控制旋轉與縮放
+    if (hand && hand !== ROTATION_HAND && getTrackedHands().length > 1) {
+        return;
+    }
+
     // 將手部位置傳給 3D 場景，用於旋轉控制
-    setRotationFromHand(normX, normY);
+    rotateFromInput(normX, normY);
+
+    // 手靠近鏡頭 → 拉近；手遠離鏡頭 → 拉遠
+    if (depth) {
+        setZoom(1 / depth);
+    }
+}
+
+/**
+ * 指尖位置更新時的處理函式
+ * 把指尖轉成螢幕座標交給粒子力場
+ *
+ * @param {Array} fingertips - [{ hand, tips }]，tips 為原始影像的 0-1 座標
+ */
+function onFingertips(fingertips) {
+    const points = [];
+
+    for (const { tips } of fingertips) {
+        const used = FORCE_ALL_FINGERTIPS ? tips : [tips[INDEX_TIP]];
+        for (const tip of used) {
+            // 使用者看到的是鏡像畫面，X 要反轉；影像 Y 軸向下，螢幕座標 Y 軸向上
+            points.push({ x: 1 - tip.x * 2, y: 1 - tip.y * 2 });
+        }
+    }
+
+    setForcePoints(points);
+}
+
+/**
+ * 動態手勢的處理函式，依對應表執行
+ * 預設：左右揮動 → 切換上一個 / 下一個形狀；畫圈 → 場景依畫圈方向自轉；往前推 → 粒子炸開
+ *
+ * @param {Object} event - { type: 'swipe' | 'wave' | 'circle' | 'push', direction, velocity, confidence }
+ * @param {string} hand - 'Left' 或 'Right'
+ */
+function onMotionGesture(event, hand) {
+    // 雙手模式下，旋轉手只能畫圈（自轉），不能切換形狀
+    if (event.type !== 'circle' && hand === ROTATION_HAND && getTrackedHands().length > 1) {
+        return;
+    }
+
+    handleInput(getMotionInput(event), event);
+}
+
+/**
+ * 依序切換到上一個 / 下一個形狀
+ * @param {number} step - 1 為下一個，-1 為上一個
+ * @param {string[]} [shapes] - 要輪流的形狀，預設為所有已註冊的形狀（依註冊順序）
+ * @param {string} [message] - 提示訊息，預設顯示形狀名稱
+ */
+function cycleShape(step, shapes = getRegisteredShapes(), message) {
+    const index = shapes.indexOf(getMode());
+    // 目前的形狀不在清單中時，從頭（或尾）開始
+    const next = index < 0
+        ? shapes[step > 0 ? 0 : shapes.length - 1]
+        : shapes[((index + step) % shapes.length + shapes.length) % shapes.length];
+
+    setMode(next);
+    showNotification(message || (step > 0 ? '👉 ' : '👈 ') + next);
+}
+
+/**
+ * 雙手手勢的處理函式
+ * 雙手比愛心 → 愛心；雙手張開後拉開 / 靠近 → 放大 / 縮小形狀
+ *
+ * @param {Object} event - { type: 'heart' | 'spreadstart' | 'spread' | 'spreadend', scale }
+ */
+function onTwoHandGesture(event) {
+    switch (event.type) {
+        case 'heart':
+            currentGestureState = null;
+            handleInput('twohand:heart');
+            break;
+        case 'spreadstart':
+            spreadBaseScale = getShapeScale();
+            break;
+        case 'spread':
+            setShapeScale(spreadBaseScale * event.scale);
+            break;
+        case 'spreadend':
+            console.log('雙手縮放結束，大小：' + getShapeScale().toFixed(2));
+            break;
+    }
+}
+
+/**
+ * 設定閒置吸引模式
+ * 沒有手、也沒有滑鼠 / 觸控 / 按鍵操作一段時間後，場景緩慢自轉、輪流展示形狀並顯示邀請提示；
+ * 手一出現（或有任何操作）就立即交還控制
+ *
+ * @param {number} idleDelay - 沒有人多久（秒）後進入，0 為關閉
+ */
+function setupAttractMode(idleDelay) {
+    attract.idleDelay = idleDelay;
+
+    onParticleEvent('frame', ({ dt }) => handleAttractEvent(attract.update(dt)));
+    onTrackingEvent('handfound', () => handleAttractEvent(attract.setPresence(true)));
+    onTrackingEvent('handlost', () => handleAttractEvent(attract.setPresence(getPresentHands().length > 0)));
+
+    const wake = () => handleAttractEvent(attract.activity());
+    for (const type of ['pointerdown', 'pointermove', 'wheel', 'keydown', 'touchstart']) {
+        window.addEventListener(type, wake, { passive: true });
+    }
+}
+
+/**
+ * 處理 AttractMode 回傳的事件
+ * @param {'start' | 'cycle' | 'stop' | null} event
+ */
+function handleAttractEvent(event) {
+    switch (event) {
+        case 'start':
+            console.log('進入閒置吸引模式');
+            // 回到正面，再慢慢自轉
+            setRotationFromHand(0, 0);
+            setAutoRotate(ATTRACT_SPIN_SPEED);
+            toggleAttractHint(true);
+            showNextAttractShape();
+            break;
+        case 'cycle':
+            showNextAttractShape();
+            break;
+        case 'stop':
+            console.log('離開閒置吸引模式');
+            setAutoRotate(0);
+            toggleAttractHint(false);
+            // 讓手目前的手勢重新觸發對應的動作
+            currentGestureState = null;
+            break;
+    }
+}
+
+/**
+ * 吸引模式中切換到下一個展示的形狀（略過沒有註冊的形狀）
+ */
+function showNextAttractShape() {
+    const shapes = ATTRACT_SHAPES.filter(shape => getRegisteredShapes().includes(shape));
+    if (shapes.length === 0) return;
+
+    attractShapeIndex = (attractShapeIndex + 1) % shapes.length;
+    setMode(shapes[attractShapeIndex]);
+}
+
+/**
+ * 顯示 / 隱藏吸引模式的邀請提示
+ * @param {boolean} visible
+ */
+function toggleAttractHint(visible) {
+    const hint = document.getElementById('attract-hint');
+    if (hint) {
+        hint.classList.toggle('active', visible);
+    }
 }
 
 /**
@@ -87,15 +499,67 @@ async function init() {
 
     // 1. 初始化 3D 粒子系統，預設為星空模式
     initParticles(container);
+    setText(DEFAULT_TEXT);
     setMode('space');
     console.log('3D 粒子系統已初始化，預設模式：星空');
 
+    // 拖放圖片檔即可讓粒子排成該圖片
+    setupFileDrop();
+
+    // 滑鼠滾輪與雙指捏合縮放鏡頭
+    setupZoomControls(container);
+
+    // 手勢校正（預設按 C 開始），套用上次儲存的結果；要在設定面板之前，「恢復初始值」才包含校正
+    setupCalibration({ onMessage: showNotification });
+
+    // 設定面板（預設按 S 開關）
+    setupSettingsPanel({ onMessage: showNotification, onCalibrate: startGestureCalibration });
+
+    // 輸入對應表：網址有 ?bindings=檔案 時使用該檔案，否則讀取 bindings.json（可省略）
+    const params = new URLSearchParams(window.location.search);
+    const bindingsSource = params.get('bindings');
+    await loadBindings(bindingsSource || BINDINGS_URL, !bindingsSource);
+    setupKeyboardShortcuts();
+
+    // 閒置吸引模式：?attract=秒數 調整進入的時間，0 為關閉
+    const attractDelay = params.has('attract') ? Number(params.get('attract')) : ATTRACT_DEFAULTS.idleDelay;
+    if (Number.isFinite(attractDelay) && attractDelay >= 0) {
+        setupAttractMode(attractDelay);
+    } else {
+        console.warn('Invalid attract delay:', params.get('attract'));
+        setupAttractMode(ATTRACT_DEFAULTS.idleDelay);
+    }
+
+    // 愛心 ↔ 星空：?modeControl=snap 改回握拳 / 張開手確認後才切換
+    let modeControl = params.has('modeControl') ? params.get('modeControl') : DEFAULT_MODE_CONTROL;
+    if (!MODE_CONTROLS.includes(modeControl)) {
+        console.warn('Invalid mode control:', modeControl);
+        modeControl = DEFAULT_MODE_CONTROL;
+    }
+    if (modeControl === 'blend') {
+        onTrackingEvent('frame', onHandOpenness);
+    }
+
+    // 設定手部位置回調（用於 3D 旋轉控制）
+    setHandPositionCallback(onHandPosition);
+    setTwoHandGestureCallback(onTwoHandGesture);
+    setMotionGestureCallback(onMotionGesture);
+    setFingertipsCallback(onFingertips);
+
+    // 網址有 ?replay=檔案 時，用錄製檔取代攝影機
+    const replaySource = params.get('replay');
+    if (replaySource) {
+        await replayFrom(replaySource, {
+            speed: params.get('replaySpeed') || 'realtime',
+            loop: params.has('replayLoop')
+        });
+        return;
+    }
+
     // 2. 啟動手勢追蹤
     try {
-        // 設定手部位置回調（用於 3D 旋轉控制）
-        setHandPositionCallback(onHandPosition);
-
         await startHandTracking(onHandStateChange, webcam);
+        trackingActive = true;
         console.log('手勢追蹤已啟動');
     } catch (error) {
         console.error('手勢追蹤啟動失敗:', error);
@@ -107,6 +571,141 @@ async function init() {
     }
 }
 
+/**
+ * 以錄製檔取代攝影機進行重播
+ * @param {string|File} source - 錄製檔網址或 File
+ * @param {Object} [options] - { speed: 'realtime' | 'max', loop }
+ */
+async function replayFrom(source, options = {}) {
+    try {
+        const data = await loadRecording(source);
+        currentGestureState = null;
+        showNotification(`▶️ 重播錄製檔（${data.frames.length} 幀）`);
+        await startReplay(data, onHandStateChange, options);
+    } catch (error) {
+        console.error('錄製檔重播失敗:', error);
+        showNotification('⚠️ ' + error.message);
+    }
+}
+
+/**
+ * 開始錄製手部關鍵點，再呼叫一次停止並下載 JSON 檔
+ */
+function toggleRecording() {
+    if (!trackingActive) {
+        showNotification('⚠️ 手勢追蹤未啟動，無法錄製');
+        return;
+    }
+
+    if (isRecording()) {
+        const data = stopRecording();
+        downloadRecording(data);
+        showNotification(`💾 錄製完成，共 ${data.frames.length} 幀`);
+    } else {
+        startRecording();
+        showNotification('⏺️ 錄製中…再按一次停止');
+    }
+}
+
+/**
+ * 開始手勢校正（需要攝影機）
+ */
+function startGestureCalibration() {
+    if (!trackingActive) {
+        showNotification('⚠️ 手勢追蹤未啟動，無法校正');
+        return;
+    }
+
+    startCalibration();
+}
+
+/**
+ * 設定鍵盤快捷鍵，依對應表執行（預設：S 開關設定面板、R 錄製）
+ * Ctrl / Cmd / Alt 組合鍵與按住不放的重複觸發不處理
+ */
+function setupKeyboardShortcuts() {
+    window.addEventListener('keydown', (e) => {
+        if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+
+        if (handleInput(getKeyInput(e.key))) {
+            e.preventDefault();
+        }
+    });
+}
+
+/**
+ * 設定檔案拖放
+ * 把 PNG / SVG 等圖片拖進視窗，粒子就會排成該圖片的剪影
+ * 把 OBJ / PLY / glTF 模型拖進視窗，粒子就會排成該模型的表面
+ * 把手部關鍵點錄製檔（.json）拖進視窗，就會重播該錄製檔
+ */
+function setupFileDrop() {
+    window.addEventListener('dragover', (e) => {
+        e.preventDefault();
+    });
+
+    window.addEventListener('drop', async (e) => {
+        e.preventDefault();
+
+        const file = e.dataTransfer && e.dataTransfer.files[0];
+        if (!file) return;
+
+        const extension = file.name.split('.').pop().toLowerCase();
+
+        try {
+            if (extension === 'json') {
+                await replayFrom(file);
+            } else if (MODEL_EXTENSIONS.includes(extension)) {
+                await registerModelShape('model', file);
+                setMode('model');
+                showNotification('🧊 粒子排列成模型：' + file.name);
+            } else if (file.type.startsWith('image/')) {
+                await registerImageShape('image', file);
+                setMode('image');
+                showNotification('🖼️ 粒子排列成圖片：' + file.name);
+            } else {
+                showNotification('⚠️ 不支援的檔案類型：' + file.name);
+            }
+        } catch (error) {
+            console.error('檔案載入失敗:', error);
+            showNotification('⚠️ ' + error.message);
+        }
+    });
+}
+
+/**
+ * 設定鏡頭縮放操作
+ * 滑鼠滾輪往前 → 拉近；觸控雙指張開 → 拉近
+ * @param {HTMLElement} container - 容器元素
+ */
+function setupZoomControls(container) {
+    container.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        setZoom(getZoom() * Math.pow(WHEEL_ZOOM_STEP, -e.deltaY / 100));
+    }, { passive: false });
+
+    let pinchStartDistance = 0;
+    let pinchStartZoom = 1;
+
+    const getTouchDistance = (touches) => Math.hypot(
+        touches[0].clientX - touches[1].clientX,
+        touches[0].clientY - touches[1].clientY
+    );
+
+    container.addEventListener('touchstart', (e) => {
+        if (e.touches.length === 2) {
+            pinchStartDistance = getTouchDistance(e.touches);
+            pinchStartZoom = getZoom();
+        }
+    });
+
+    container.addEventListener('touchmove', (e) => {
+        if (e.touches.length === 2 && pinchStartDistance > 0) {
+            setZoom(pinchStartZoom * getTouchDistance(e.touches) / pinchStartDistance);
+        }
+    });
+}
+
 /**
  * 設定備用的滑鼠/觸控互動
  * 當手勢追蹤無法使用時，提供替代的互動方式
@@ -116,7 +715,6 @@ function setupFallbackInteraction(container) {
     console.log('啟用備用互動模式（滑鼠/觸控）');
     showNotification('💡 點擊切換模式，拖曳旋轉 3D');
 
-    let isHeartMode = false;
     let isDragging = false;
     let lastMouseX = 0;
     let lastMouseY = 0;
@@ -128,14 +726,20 @@ function setupFallbackInteraction(container) {
             return;
         }
 
-        isHeartMode = !isHeartMode;
-        if (isHeartMode) {
-            setMode('heart');
-            showNotification('❤️ 3D 愛心模式');
-        } else {
-            setMode('space');
-            showNotification('✨ 3D 星空模式');
-        }
+        handleInput('click');
+    });
+
+    // 滑鼠游標與手指一樣是力場
+    container.addEventListener('mousemove', (e) => {
+        const rect = container.getBoundingClientRect();
+        setForcePoints([{
+            x: (e.clientX - rect.left) / rect.width * 2 - 1,
+            y: 1 - (e.clientY - rect.top) / rect.height * 2
+        }]);
+    });
+
+    container.addEventListener('mouseleave', () => {
+        setForcePoints([]);
     });
 
     // 滑鼠拖曳旋轉
@@ -155,7 +759,7 @@ function setupFallbackInteraction(container) {
         const normX = deltaX / window.innerWidth * 20;
         const normY = deltaY / window.innerHeight * 20;
 
-        setRotationFromHand(normX, normY);
+        rotateFromInput(normX, normY);
 
         lastMouseX = e.clientX;
         lastMouseY = e.clientY;
@@ -168,23 +772,27 @@ function setupFallbackInteraction(container) {
     // 觸控支援
     let touchStartX = 0;
     let touchStartY = 0;
+    let isMultiTouch = false;  // 雙指捏合縮放中，放開手指時不算點擊也不旋轉
 
     container.addEventListener('touchstart', (e) => {
         if (e.touches.length === 1) {
             touchStartX = e.touches[0].clientX;
             touchStartY = e.touches[0].clientY;
+            isMultiTouch = false;
+        } else {
+            isMultiTouch = true;
         }
     });
 
     container.addEventListener('touchmove', (e) => {
-        if (e.touches.length === 1) {
+        if (e.touches.length === 1 && !isMultiTouch) {
             const deltaX = e.touches[0].clientX - touchStartX;
             const deltaY = e.touches[0].clientY - touchStartY;
 
             const normX = deltaX / window.innerWidth * 20;
             const normY = deltaY / window.innerHeight * 20;
 
-            setRotationFromHand(normX, normY);
+            rotateFromInput(normX, normY);
 
             touchStartX = e.touches[0].clientX;
             touchStartY = e.touches[0].clientY;
@@ -193,18 +801,11 @@ function setupFallbackInteraction(container) {
 
     container.addEventListener('touchend', (e) => {
         // 雙擊切換模式
-        if (e.changedTouches.length === 1) {
+        if (e.changedTouches.length === 1 && !isMultiTouch) {
             // 簡單的點擊檢測
             const touch = e.changedTouches[0];
             if (Math.abs(touch.clientX - touchStartX) < 10 && Math.abs(touch.clientY - touchStartY) < 10) {
-                isHeartMode = !isHeartMode;
-                if (isHeartMode) {
-                    setMode('heart');
-                    showNotification('❤️ 3D 愛心模式');
-                } else {
-                    setMode('space');
-                    showNotification('✨ 3D 星空模式');
-                }
+                handleInput('tap');
             }
         }
     });
@@ -0,0 +1,489 @@
+/**
+ * model-points.js
+ * 讀取 OBJ / PLY / glTF 3D 模型，在三角形表面上均勻取樣出粒子目標座標
+ *
+ * 模型統一轉成 { positions: Float32Array, indices: Uint32Array } 的三角網格，
+ * indices 為空時視為點雲，直接從頂點取樣。
+ */
+
+// ===== 模型形狀預設參數 =====
+const MODEL_DEFAULTS = {
+    volumeFill: 0,     // 0-1，有多少比例的粒子填在模型內部
+    surfaceNoise: 0.01, // 表面隨機偏移（相對於正規化後的大小）
+    bounds: { x: 3.9, y: 3.3, z: 1.9 }  // 正規化後的半寬、半高、半深（與預設愛心相同）
+};
+// ============================
+
+const GLB_MAGIC = 0x46546C67;     // 'glTF'
+const GLB_CHUNK_JSON = 0x4E4F534A; // 'JSON'
+const GLB_CHUNK_BIN = 0x004E4942;  // 'BIN\0'
+
+// glTF accessor 元件型別 → TypedArray
+const GLTF_COMPONENT_TYPES = {
+    5121: Uint8Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array
+};
+
+// PLY 屬性型別 → [DataView 讀取方法, 位元組數]
+const PLY_TYPES = {
+    char: ['getInt8', 1], int8: ['getInt8', 1],
+    uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+    short: ['getInt16', 2], int16: ['getInt16', 2],
+    ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+    int: ['getInt32', 4], int32: ['getInt32', 4],
+    uint: ['getUint32', 4], uint32: ['getUint32', 4],
+    float: ['getFloat32', 4], float32: ['getFloat32', 4],
+    double: ['getFloat64', 8], float64: ['getFloat64', 8]
+};
+
+/**
+ * 解析 OBJ 文字檔
+ * 只讀取 v 與 f，多邊形以扇形拆成三角形，支援負索引
+ * @param {string} text - OBJ 檔內容
+ * @returns {{ positions: Float32Array, indices: Uint32Array }}
+ */
+export function parseOBJ(text) {
+    const positions = [];
+    const indices = [];
+
+    for (const rawLine of text.split('\n')) {
+        const parts = rawLine.trim().split(/\s+/);
+
+        if (parts[0] === 'v') {
+            positions.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+        } else if (parts[0] === 'f') {
+            const vertexCount = positions.length / 3;
+            const face = parts.slice(1).map(token => {
+                const index = parseInt(token.split('/')[0], 10);
+                return index < 0 ? vertexCount + index : index - 1;
+            });
+
+            for (let i = 1; i < face.length - 1; i++) {
+                indices.push(face[0], face[i], face[i + 1]);
+            }
+        }
+    }
+
+    return { positions: new Float32Array(positions), indices: new Uint32Array(indices) };
+}
+
+/**
+ * 解析 PLY 檔（ascii、binary_little_endian、binary_big_endian）
+ * 只讀取 vertex 的 x / y / z 與 face 的頂點索引，其他元素會被略過
+ * @param {ArrayBuffer} buffer - PLY 檔內容
+ * @returns {{ positions: Float32Array, indices: Uint32Array }}
+ */
+export function parsePLY(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const headerText = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 4096)));
+    const headerEnd = headerText.indexOf('end_header');
+
+    if (!headerText.startsWith('ply') || headerEnd < 0) {
+        throw new Error('不是有效的 PLY 檔');
+    }
+
+    // 解析 header：格式與元素定義
+    let format = 'ascii';
+    const elements = [];
+
+    for (const line of headerText.slice(0, headerEnd).split('\n')) {
+        const parts = line.trim().split(/\s+/);
+
+        if (parts[0] === 'format') {
+            format = parts[1];
+        } else if (parts[0] === 'element') {
+            elements.push({ name: parts[1], count: parseInt(parts[2], 10), properties: [] });
+        } else if (parts[0] === 'property' && elements.length > 0) {
+            const properties = elements[elements.length - 1].properties;
+            if (parts[1] === 'list') {
+                properties.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+            } else {
+                properties.push({ name: parts[2], list: false, type: parts[1] });
+            }
+        }
+    }
+
+    const positions = [];
+    const indices = [];
+    const bodyStart = headerEnd + 'end_header'.length + 1;
+
+    // 依格式建立「讀下一個數值」的函式
+    let readValue;
+
+    if (format === 'ascii') {
+        const tokens = new TextDecoder().decode(bytes.subarray(bodyStart)).trim().split(/\s+/);
+        let cursor = 0;
+        readValue = () => parseFloat(tokens[cursor++]);
+    } else {
+        const view = new DataView(buffer);
+        const littleEndian = format === 'binary_little_endian';
+        let offset = bodyStart;
+        readValue = (type) => {
+            const [method, size] = PLY_TYPES[type];
+            const value = view[method](offset, littleEndian);
+            offset += size;
+            return value;
+        };
+    }
+
+    for (const element of elements) {
+        for (let i = 0; i < element.count; i++) {
+            const vertex = {};
+
+            for (const property of element.properties) {
+                if (property.list) {
+                    const length = readValue(property.countType);
+                    const face = [];
+                    for (let j = 0; j < length; j++) {
+                        face.push(readValue(property.type));
+                    }
+                    if (element.name === 'face') {
+                        for (let j = 1; j < face.length - 1; j++) {
+                            indices.push(face[0], face[j], face[j + 1]);
+                        }
+                    }
+                } else {
+                    vertex[property.name] = readValue(property.type);
+                }
+            }
+
+            if (element.name === 'vertex') {
+                positions.push(vertex.x || 0, vertex.y || 0, vertex.z || 0);
+            }
+        }
+    }
+
+    return { positions: new Float32Array(positions), indices: new Uint32Array(indices) };
+}
+
+/**
+ * 4x4 矩陣相乘（column-major，與 glTF 相同）
+ */
+function multiplyMatrices(a, b) {
+    const out = new Array(16);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) {
+                sum += a[k * 4 + row] * b[col * 4 + k];
+            }
+            out[col * 4 + row] = sum;
+        }
+    }
+    return out;
+}
+
+/**
+ * 取得 glTF 節點的本地變換矩陣（matrix 或 translation / rotation / scale）
+ */
+function getNodeMatrix(node) {
+    if (node.matrix) return node.matrix;
+
+    const [tx, ty, tz] = node.translation || [0, 0, 0];
+    const [qx, qy, qz, qw] = node.rotation || [0, 0, 0, 1];
+    const [sx, sy, sz] = node.scale || [1, 1, 1];
+
+    return [
+        (1 - 2 * (qy * qy + qz * qz)) * sx, 2 * (qx * qy + qz * qw) * sx, 2 * (qx * qz - qy * qw) * sx, 0,
+        2 * (qx * qy - qz * qw) * sy, (1 - 2 * (qx * qx + qz * qz)) * sy, 2 * (qy * qz + qx * qw) * sy, 0,
+        2 * (qx * qz + qy * qw) * sz, 2 * (qy * qz - qx * qw) * sz, (1 - 2 * (qx * qx + qy * qy)) * sz, 0,
+        tx, ty, tz, 1
+    ];
+}
+
+/**
+ * 讀取 glTF accessor 的資料（展開 byteStride）
+ */
+function readAccessor(gltf, buffers, accessorIndex) {
+    const accessor = gltf.accessors[accessorIndex];
+    const bufferView = gltf.bufferViews[accessor.bufferView];
+    const ArrayType = GLTF_COMPONENT_TYPES[accessor.componentType];
+    const itemSize = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[accessor.type];
+
+    if (!ArrayType || !itemSize || !bufferView) {
+        throw new Error('不支援的 glTF accessor');
+    }
+
+    const buffer = buffers[bufferView.buffer];
+    const byteOffset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+    const elementBytes = ArrayType.BYTES_PER_ELEMENT * itemSize;
+    const stride = bufferView.byteStride || elementBytes;
+
+    // 緊密排列且對齊時可以直接複製
+    if (stride === elementBytes && byteOffset % ArrayType.BYTES_PER_ELEMENT === 0) {
+        return new ArrayType(buffer, byteOffset, accessor.count * itemSize).slice();
+    }
+
+    // 交錯排列：逐個元素複製位元組
+    const source = new Uint8Array(buffer);
+    const out = new ArrayType(accessor.count * itemSize);
+    const outBytes = new Uint8Array(out.buffer);
+
+    for (let i = 0; i < accessor.count; i++) {
+        const start = byteOffset + i * stride;
+        outBytes.set(source.subarray(start, start + elementBytes), i * elementBytes);
+    }
+
+    return out;
+}
+
+/**
+ * 解析 glTF（.gltf JSON 內嵌 data URI，或 .glb 二進位）
+ * 會套用節點的變換矩陣；外部 .bin 檔因為只讀單一本地檔案而不支援
+ * @param {ArrayBuffer} buffer - 檔案內容
+ * @returns {{ positions: Float32Array, indices: Uint32Array }}
+ */
+export function parseGLTF(buffer) {
+    const view = new DataView(buffer);
+    let gltf;
+    const buffers = [];
+
+    if (buffer.byteLength >= 12 && view.getUint32(0, true) === GLB_MAGIC) {
+        // GLB：12 bytes header 之後是 JSON chunk 與 BIN chunk
+        let offset = 12;
+        while (offset < buffer.byteLength) {
+            const chunkLength = view.getUint32(offset, true);
+            const chunkType = view.getUint32(offset + 4, true);
+            const chunk = buffer.slice(offset + 8, offset + 8 + chunkLength);
+
+            if (chunkType === GLB_CHUNK_JSON) {
+                gltf = JSON.parse(new TextDecoder().decode(chunk));
+            } else if (chunkType === GLB_CHUNK_BIN) {
+                buffers[0] = chunk;
+            }
+            offset += 8 + chunkLength;
+        }
+    } else {
+        gltf = JSON.parse(new TextDecoder().decode(buffer));
+    }
+
+    if (!gltf || !gltf.meshes) {
+        throw new Error('glTF 檔中沒有網格');
+    }
+
+    (gltf.buffers || []).forEach((entry, i) => {
+        if (buffers[i]) return;
+        const match = entry.uri && entry.uri.match(/^data:.*?;base64,(.*)$/);
+        if (!match) {
+            throw new Error('不支援外部 buffer，請使用 .glb 或內嵌資料的 .gltf');
+        }
+        const binary = atob(match[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let j = 0; j < binary.length; j++) {
+            bytes[j] = binary.charCodeAt(j);
+        }
+        buffers[i] = bytes.buffer;
+    });
+
+    const positions = [];
+    const indices = [];
+
+    const addMesh = (meshIndex, matrix) => {
+        for (const primitive of gltf.meshes[meshIndex].primitives) {
+            // 只處理三角形（mode 4 或未指定）
+            if (primitive.mode !== undefined && primitive.mode !== 4) continue;
+            if (primitive.attributes.POSITION === undefined) continue;
+
+            const local = readAccessor(gltf, buffers, primitive.attributes.POSITION);
+            const base = positions.length / 3;
+
+            for (let i = 0; i < local.length; i += 3) {
+                const x = local[i], y = local[i + 1], z = local[i + 2];
+                positions.push(
+                    matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12],
+                    matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13],
+                    matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14]
+                );
+            }
+
+            if (primitive.indices !== undefined) {
+                for (const index of readAccessor(gltf, buffers, primitive.indices)) {
+                    indices.push(base + index);
+                }
+            } else {
+                for (let i = 0; i < local.length / 3; i++) {
+                    indices.push(base + i);
+                }
+            }
+        }
+    };
+
+    const visit = (nodeIndex, parentMatrix) => {
+        const node = gltf.nodes[nodeIndex];
+        const matrix = multiplyMatrices(parentMatrix, getNodeMatrix(node));
+        if (node.mesh !== undefined) addMesh(node.mesh, matrix);
+        for (const child of node.children || []) visit(child, matrix);
+    };
+
+    const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    const scene = gltf.scenes && gltf.scenes[gltf.scene || 0];
+
+    if (scene && gltf.nodes) {
+        for (const nodeIndex of scene.nodes) visit(nodeIndex, identity);
+    } else {
+        gltf.meshes.forEach((_, i) => addMesh(i, identity));
+    }
+
+    return { positions: new Float32Array(positions), indices: new Uint32Array(indices) };
+}
+
+/**
+ * 依副檔名解析模型
+ * @param {ArrayBuffer} buffer - 檔案內容
+ * @param {string} fileName - 檔名（用於判斷格式）
+ * @returns {{ positions: Float32Array, indices: Uint32Array }}
+ */
+export function parseModel(buffer, fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+
+    switch (extension) {
+        case 'obj':
+            return parseOBJ(new TextDecoder().decode(buffer));
+        case 'ply':
+            return parsePLY(buffer);
+        case 'gltf':
+        case 'glb':
+            return parseGLTF(buffer);
+        default:
+            throw new Error('不支援的模型格式：' + extension);
+    }
+}
+
+/**
+ * 載入模型檔
+ * @param {string|File} source - 模型網址，或使用者選擇的 File
+ * @returns {Promise<{ positions: Float32Array, indices: Uint32Array }>}
+ */
+export async function loadModel(source) {
+    if (typeof source === 'string') {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error('無法載入模型：' + source);
+        }
+        return parseModel(await response.arrayBuffer(), source.split('?')[0]);
+    }
+    return parseModel(await source.arrayBuffer(), source.name);
+}
+
+/**
+ * 在模型表面取樣粒子座標
+ *
+ * 取樣方式：
+ * 1. 依三角形面積建立累積分佈，大三角形分到較多粒子（面積加權）
+ * 2. 在三角形內用重心座標均勻取點（sqrt 技巧避免集中在頂點）
+ * 3. volumeFill 比例的粒子往模型中心內縮，做出近似的體積填充
+ *    （以中心為基準縮放，對凹陷很深的模型只是近似）
+ * 4. 最後置中並等比縮放到 bounds 範圍內，與愛心大小一致
+ *
+ * @param {number} count - 粒子數量
+ * @param {{ positions: Float32Array, indices: Uint32Array }} mesh - 三角網格
+ * @param {Object} [options] - 覆寫 MODEL_DEFAULTS
+ * @param {Function} [rng] - 偽隨機數產生器，預設 Math.random
+ * @returns {Float32Array|null} count * 3 的座標陣列；模型沒有頂點時為 null，
+ *                              registerShape 會退回星空，不會讓粒子全部擠在原點
+ */
+export function generateModelPoints(count, mesh, options = {}, rng = Math.random) {
+    const opts = { ...MODEL_DEFAULTS, ...options };
+    const { positions, indices } = mesh;
+    const triangleCount = Math.floor(indices.length / 3);
+    const vertexCount = Math.floor(positions.length / 3);
+
+    if (vertexCount === 0) {
+        console.warn('模型沒有頂點');
+        return null;
+    }
+
+    const points = new Float32Array(count * 3);
+
+    // 建立三角形面積的累積分佈
+    const cumulative = new Float64Array(triangleCount);
+    let totalArea = 0;
+
+    for (let t = 0; t < triangleCount; t++) {
+        const a = indices[t * 3] * 3, b = indices[t * 3 + 1] * 3, c = indices[t * 3 + 2] * 3;
+        const abx = positions[b] - positions[a], aby = positions[b + 1] - positions[a + 1], abz = positions[b + 2] - positions[a + 2];
+        const acx = positions[c] - positions[a], acy = positions[c + 1] - positions[a + 1], acz = positions[c + 2] - positions[a + 2];
+        const cx = aby * acz - abz * acy;
+        const cy = abz * acx - abx * acz;
+        const cz = abx * acy - aby * acx;
+
+        totalArea += Math.sqrt(cx * cx + cy * cy + cz * cz) / 2;
+        cumulative[t] = totalArea;
+    }
+
+    const usePointCloud = totalArea === 0;
+
+    for (let i = 0; i < count; i++) {
+        let x, y, z;
+
+        if (usePointCloud) {
+            // 沒有面（點雲）：直接取頂點
+            const v = Math.floor(rng() * vertexCount) * 3;
+            x = positions[v];
+            y = positions[v + 1];
+            z = positions[v + 2];
+        } else {
+            // 二分搜尋面積累積分佈
+            const r = rng() * totalArea;
+            let lo = 0;
+            let hi = triangleCount - 1;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (cumulative[mid] < r) lo = mid + 1;
+                else hi = mid;
+            }
+
+            const a = indices[lo * 3] * 3, b = indices[lo * 3 + 1] * 3, c = indices[lo * 3 + 2] * 3;
+            const s = Math.sqrt(rng());
+            const t = rng();
+            const wa = 1 - s;
+            const wb = s * (1 - t);
+            const wc = s * t;
+
+            x = positions[a] * wa + positions[b] * wb + positions[c] * wc;
+            y = positions[a + 1] * wa + positions[b + 1] * wb + positions[c + 1] * wc;
+            z = positions[a + 2] * wa + positions[b + 2] * wb + positions[c + 2] * wc;
+        }
+
+        points[i * 3] = x;
+        points[i * 3 + 1] = y;
+        points[i * 3 + 2] = z;
+    }
+
+    // 計算包圍盒
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < count * 3; i++) {
+        const axis = i % 3;
+        if (points[i] < min[axis]) min[axis] = points[i];
+        if (points[i] > max[axis]) max[axis] = points[i];
+    }
+
+    const center = [0, 1, 2].map(axis => (min[axis] + max[axis]) / 2);
+    const half = [opts.bounds.x, opts.bounds.y, opts.bounds.z];
+
+    // 等比縮放：取最受限制的軸，扁平的軸（範圍為 0）不參與
+    let scale = Infinity;
+    for (let axis = 0; axis < 3; axis++) {
+        const extent = (max[axis] - min[axis]) / 2;
+        if (extent > 1e-9) scale = Math.min(scale, half[axis] / extent);
+    }
+    if (!Number.isFinite(scale)) scale = 1;
+
+    const noise = opts.surfaceNoise * Math.max(...half);
+
+    for (let i = 0; i < count; i++) {
+        // 內部填充：往中心內縮，立方根讓體積內分佈均勻
+        const shrink = rng() < opts.volumeFill ? Math.cbrt(rng()) : 1;
+
+        for (let axis = 0; axis < 3; axis++) {
+            const value = (points[i * 3 + axis] - center[axis]) * scale * shrink;
+            points[i * 3 + axis] = value + (rng() - 0.5) * noise;
+        }
+    }
+
+    console.log(`Model points generated: ${triangleCount} triangles, ${vertexCount} vertices`);
+    return points;
+}
@@ -0,0 +1,360 @@
+/**
+ * palettes.js
+ * 粒子調色盤：內建配色、自訂配色的整理，以及依調色盤生成粒子顏色
+ * 純邏輯，不依賴 Three.js 或 DOM（可以直接在 Node 中測試）
+ *
+ * 調色盤格式：
+ * {
+ *     label: '情人節紅',              // 顯示名稱
+ *     background: '#12000a',          // 場景背景色
+ *     core: [色票...],                // 內層（亮）粒子
+ *     halo: [色票...],                // 外層（光暈）粒子
+ *     gradient: ['#hex', ...],        // 依位置上色時的漸層（由下到上 / 由內到外）
+ *     colorBy: 'layer'                // 預設上色方式：'layer' 內外層、'y' 沿 Y 軸、'radius' 依半徑
+ * }
+ *
+ * 色票可以是 '#rrggbb'，或 HSL 範圍 { h, s, l, weight }
+ * （h / s / l 為 0-1 的數字或 [最小, 最大]，weight 為被選中的相對機率）
+ */
+
+// 上色方式
+export const COLOR_BY_MODES = ['layer', 'y', 'radius'];
+
+// 外層粒子的比例（與 particles.js 的大小分層一致：前 60% 為外層）
+const HALO_RATIO = 0.6;
+
+// '#rrggbb' 色票的亮度變化範圍
+const HEX_LIGHTNESS_JITTER = 0.08;
+
+// 內建調色盤
+export const PALETTES = {
+    classic: {
+        label: '經典紫粉',
+        background: '#080010',
+        core: [
+            { weight: 0.5, h: [0.92, 1.0], s: [0.6, 1.0], l: [0.75, 0.95] },
+            { weight: 0.3, h: 0.95, s: [0.2, 0.5], l: [0.9, 1.0] },
+            { weight: 0.2, h: 0, s: 0, l: [0.95, 1.0] }
+        ],
+        halo: [
+            { weight: 0.4, h: [0.75, 0.85], s: [0.5, 0.8], l: [0.5, 0.7] },
+            { weight: 0.3, h: [0.9, 0.98], s: [0.4, 0.7], l: [0.55, 0.7] },
+            { weight: 0.3, h: [0.8, 0.85], s: [0.3, 0.5], l: [0.6, 0.75] }
+        ],
+        gradient: ['#6a3fbf', '#c45ba8', '#ffc2e2'],
+        colorBy: 'layer'
+    },
+    valentine: {
+        label: '情人節紅',
+        background: '#12000a',
+        core: ['#ff4d6d', '#ff8fa3', '#fff0f3'],
+        halo: ['#c9184a', '#a4133c', '#ff758f'],
+        gradient: ['#800f2f', '#ff4d6d', '#ffccd5'],
+        colorBy: 'layer'
+    },
+    ice: {
+        label: '冰藍',
+        background: '#000814',
+        core: ['#e0fbfc', '#ffffff', '#98f5ff'],
+        halo: ['#3a86ff', '#4cc9f0', '#4361ee'],
+        gradient: ['#1d3557', '#4cc9f0', '#e0fbfc'],
+        colorBy: 'layer'
+    },
+    gold: {
+        label: '金色',
+        background: '#0a0600',
+        core: ['#fff3b0', '#ffd166', '#ffffff'],
+        halo: ['#e09f3e', '#b8860b', '#cc7722'],
+        gradient: ['#7f5539', '#e09f3e', '#fff3b0'],
+        colorBy: 'layer'
+    },
+    rainbow: {
+        label: '彩虹',
+        background: '#05000a',
+        core: [{ h: [0, 1], s: [0.8, 1.0], l: [0.7, 0.85] }],
+        halo: [{ h: [0, 1], s: [0.7, 0.9], l: [0.5, 0.65] }],
+        gradient: ['#ff3b3b', '#ff9f1c', '#ffe74c', '#3bff7a', '#3bc9ff', '#8f5bff', '#ff5bd6'],
+        colorBy: 'y'
+    }
+};
+
+/**
+ * HSL 轉 RGB（0-1）
+ */
+export function hslToRgb(h, s, l) {
+    let r, g, b;
+    if (s === 0) {
+        r = g = b = l;
+    } else {
+        const hue2rgb = (p, q, t) => {
+            if (t < 0) t += 1;
+            if (t > 1) t -= 1;
+            if (t < 1/6) return p + (q - p) * 6 * t;
+            if (t < 1/2) return q;
+            if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+            return p;
+        };
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+        r = hue2rgb(p, q, h + 1/3);
+        g = hue2rgb(p, q, h);
+        b = hue2rgb(p, q, h - 1/3);
+    }
+    return { r, g, b };
+}
+
+/**
+ * RGB 轉 HSL（0-1）
+ */
+function rgbToHsl(r, g, b) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l };
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) {
+        h = (g - b) / d + (g < b ? 6 : 0);
+    } else if (max === g) {
+        h = (b - r) / d + 2;
+    } else {
+        h = (r - g) / d + 4;
+    }
+    return { h: h / 6, s, l };
+}
+
+/**
+ * 解析 '#rrggbb' 或 '#rgb'
+ * @param {string} hex
+ * @returns {{r: number, g: number, b: number}|null} 0-1 的 RGB，格式錯誤時為 null
+ */
+export function parseHexColor(hex) {
+    if (typeof hex !== 'string') return null;
+
+    let digits = hex.startsWith('#') ? hex.slice(1) : hex;
+    if (/^[0-9a-f]{3}$/i.test(digits)) {
+        digits = digits.split('').map(c => c + c).join('');
+    }
+    if (!/^[0-9a-f]{6}$/i.test(digits)) return null;
+
+    const value = parseInt(digits, 16);
+    return {
+        r: ((value >> 16) & 255) / 255,
+        g: ((value >> 8) & 255) / 255,
+        b: (value & 255) / 255
+    };
+}
+
+function isRange(value) {
+    return Array.isArray(value) && value.length === 2 && value.every(v => Number.isFinite(v));
+}
+
+function isChannel(value) {
+    return Number.isFinite(value) || isRange(value);
+}
+
+/**
+ * 整理一個色票，'#rrggbb' 轉成亮度略有變化的 HSL 範圍
+ */
+function normalizeSwatch(swatch) {
+    if (typeof swatch === 'string') {
+        const rgb = parseHexColor(swatch);
+        if (!rgb) return null;
+        const { h, s, l } = rgbToHsl(rgb.r, rgb.g, rgb.b);
+        return {
+            weight: 1,
+            h,
+            s,
+            l: [Math.max(0, l - HEX_LIGHTNESS_JITTER), Math.min(1, l + HEX_LIGHTNESS_JITTER)]
+        };
+    }
+
+    if (!swatch || typeof swatch !== 'object') return null;
+    if (!isChannel(swatch.h) || !isChannel(swatch.s) || !isChannel(swatch.l)) return null;
+
+    const weight = swatch.weight !== undefined ? swatch.weight : 1;
+    if (!(weight > 0)) return null;
+    return { weight, h: swatch.h, s: swatch.s, l: swatch.l };
+}
+
+/**
+ * 取色票的中間色（用於從色票推導漸層）
+ */
+function swatchCenter(swatch) {
+    const mid = value => (Array.isArray(value) ? (value[0] + value[1]) / 2 : value);
+    return hslToRgb(mid(swatch.h) % 1, mid(swatch.s), mid(swatch.l));
+}
+
+/**
+ * 整理自訂調色盤
+ * core / halo / gradient 至少要有一項；缺少的部分由其他項目推導
+ *
+ * @param {Object} spec - 調色盤（格式見檔案開頭）
+ * @returns {Object|null} 整理後的調色盤，不合法時為 null
+ */
+export function normalizePalette(spec) {
+    if (!spec || typeof spec !== 'object') return null;
+
+    const swatches = list => (Array.isArray(list) ? list.map(normalizeSwatch) : []);
+    let core = swatches(spec.core);
+    let halo = swatches(spec.halo);
+    let gradient = Array.isArray(spec.gradient) ? spec.gradient.map(parseHexColor) : [];
+
+    if (core.includes(null) || halo.includes(null) || gradient.includes(null)) return null;
+
+    const background = spec.background !== undefined ? parseHexColor(spec.background) : parseHexColor('#080010');
+    if (!background) return null;
+
+    const colorBy = spec.colorBy !== undefined ? spec.colorBy : (core.length + halo.length > 0 ? 'layer' : 'y');
+    if (!COLOR_BY_MODES.includes(colorBy)) return null;
+
+    if (core.length + halo.length === 0) {
+        if (gradient.length === 0) return null;
+        // 只有漸層：外層取漸層的前段，內層取後段
+        const toSwatch = ({ r, g, b }) => normalizeSwatch(
+            '#' + [r, g, b].map(v => Math.round(v * 255).toString(16).padStart(2, '0')).join('')
+        );
+        const half = Math.ceil(gradient.length / 2);
+        halo = gradient.slice(0, half).map(toSwatch);
+        core = gradient.slice(gradient.length - half).map(toSwatch);
+    }
+    if (core.length === 0) core = halo;
+    if (halo.length === 0) halo = core;
+    if (gradient.length === 0) {
+        gradient = [...halo, ...core].map(swatchCenter);
+    }
+    if (gradient.length === 1) {
+        gradient = [gradient[0], gradient[0]];
+    }
+
+    return {
+        label: typeof spec.label === 'string' && spec.label !== '' ? spec.label : null,
+        background,
+        core,
+        halo,
+        gradient,
+        colorBy
+    };
+}
+
+/**
+ * 依權重選色票，並在 HSL 範圍內取一個顏色
+ * 固定值的通道不消耗隨機數（讓經典調色盤與舊版相同種子的顏色一致）
+ */
+function sampleSwatches(swatches, totalWeight, rng) {
+    let swatch = swatches[swatches.length - 1];
+    if (swatches.length > 1) {
+        const variant = rng() * totalWeight;
+        let acc = 0;
+        for (const candidate of swatches) {
+            acc += candidate.weight;
+            if (variant < acc) {
+                swatch = candidate;
+                break;
+            }
+        }
+    }
+
+    const pick = value => (Array.isArray(value) ? value[0] + rng() * (value[1] - value[0]) : value);
+    const h = pick(swatch.h);
+    const s = pick(swatch.s);
+    const l = pick(swatch.l);
+    return hslToRgb(((h % 1) + 1) % 1, s, l);
+}
+
+/**
+ * 在漸層上取色（t 為 0-1）
+ */
+function sampleGradient(gradient, t) {
+    const position = Math.min(Math.max(t, 0), 1) * (gradient.length - 1);
+    const index = Math.min(Math.floor(position), gradient.length - 2);
+    const f = position - index;
+    const a = gradient[index];
+    const b = gradient[index + 1];
+    return {
+        r: a.r + (b.r - a.r) * f,
+        g: a.g + (b.g - a.g) * f,
+        b: a.b + (b.b - a.b) * f
+    };
+}
+
+/**
+ * 每顆粒子在漸層上的位置（0-1）
+ * 'y'：由最低到最高；'radius'：由中心到最遠
+ */
+function getGradientPositions(count, points, colorBy) {
+    const values = new Float32Array(count);
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let i = 0; i < count; i++) {
+        const x = points[i * 3];
+        const y = points[i * 3 + 1];
+        const z = points[i * 3 + 2];
+        const value = colorBy === 'y' ? y : Math.sqrt(x * x + y * y + z * z);
+        values[i] = value;
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+
+    if (colorBy === 'radius') min = 0;
+    const range = max - min;
+    for (let i = 0; i < count; i++) {
+        values[i] = range > 0 ? (values[i] - min) / range : 0.5;
+    }
+    return values;
+}
+
+/**
+ * 依調色盤生成粒子顏色
+ * 'layer' 時前 60% 為外層（halo）、其餘為內層（core）；
+ * 'y' / 'radius' 時依形狀座標在漸層上取色，內層粒子再稍微提亮保留發光的核心
+ *
+ * @param {number} count - 粒子數
+ * @param {Object} palette - normalizePalette 整理後的調色盤
+ * @param {Object} [options]
+ * @param {string} [options.colorBy] - 上色方式，預設為調色盤的 colorBy
+ * @param {Float32Array} [options.points] - 形狀座標（依位置上色時需要，沒有時退回 'layer'）
+ * @param {Function} [options.rng] - 偽隨機數產生器
+ * @returns {Float32Array} count * 3 的 RGB（0-1）
+ */
+export function generatePaletteColors(count, palette, options = {}) {
+    const rng = options.rng || Math.random;
+    const points = options.points;
+    let colorBy = options.colorBy || palette.colorBy;
+    if (colorBy !== 'layer' && (!points || points.length < count * 3)) {
+        colorBy = 'layer';
+    }
+
+    const colors = new Float32Array(count * 3);
+    const edgeCount = Math.floor(count * HALO_RATIO);
+
+    if (colorBy === 'layer') {
+        const coreWeight = palette.core.reduce((sum, swatch) => sum + swatch.weight, 0);
+        const haloWeight = palette.halo.reduce((sum, swatch) => sum + swatch.weight, 0);
+
+        for (let i = 0; i < count; i++) {
+            const rgb = i >= edgeCount
+                ? sampleSwatches(palette.core, coreWeight, rng)
+                : sampleSwatches(palette.halo, haloWeight, rng);
+            colors[i * 3] = rgb.r;
+            colors[i * 3 + 1] = rgb.g;
+            colors[i * 3 + 2] = rgb.b;
+        }
+        return colors;
+    }
+
+    const positions = getGradientPositions(count, points, colorBy);
+    for (let i = 0; i < count; i++) {
+        const rgb = sampleGradient(palette.gradient, positions[i]);
+        // 內層：往白色混合；外層：稍微變暗，讓同一段漸層也有層次
+        const white = i >= edgeCount ? rng() * 0.35 : 0;
+        const shade = i >= edgeCount ? 1 : 0.8 + rng() * 0.2;
+        colors[i * 3] = (rgb.r + (1 - rgb.r) * white) * shade;
+        colors[i * 3 + 1] = (rgb.g + (1 - rgb.g) * white) * shade;
+        colors[i * 3 + 2] = (rgb.b + (1 - rgb.b) * white) * shade;
+    }
+    return colors;
+}
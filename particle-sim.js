@@ -0,0 +1,165 @@
+/**
+ * particle-sim.js
+ * 粒子物理的單步模擬（純函式，不依賴 Three.js 或 DOM）
+ *
+ * particles.js 在主執行緒或 particle-worker.js 中呼叫，也可以直接在 Node 中測試。
+ */
+
+import { curlNoise } from './curl-noise.js';
+
+// 重複使用的擾動向量，避免每顆粒子配置物件
+const turbulenceForce = { x: 0, y: 0, z: 0 };
+
+/**
+ * 對單一粒子套用所有力場（加速度）
+ * 以粒子到射線的垂直距離計算影響，越靠近射線越強（二次衰減）
+ */
+function applyForceFields(positions, velocities, i3, fields, dt) {
+    for (const field of fields) {
+        const px = positions[i3] - field.ox;
+        const py = positions[i3 + 1] - field.oy;
+        const pz = positions[i3 + 2] - field.oz;
+
+        // 垂直於射線的分量
+        const along = px * field.dx + py * field.dy + pz * field.dz;
+        const rx = px - field.dx * along;
+        const ry = py - field.dy * along;
+        const rz = pz - field.dz * along;
+        const distSq = rx * rx + ry * ry + rz * rz;
+
+        if (distSq >= field.radius * field.radius || distSq < 1e-8) continue;
+
+        const dist = Math.sqrt(distSq);
+        const falloff = (1 - dist / field.radius) ** 2;
+        const push = field.strength * falloff * dt / dist;
+
+        if (field.attract) {
+            // 往射線吸引，加上繞射線的旋轉
+            const spin = push * field.swirl;
+            velocities[i3] += -rx * push + (field.dy * rz - field.dz * ry) * spin;
+            velocities[i3 + 1] += -ry * push + (field.dz * rx - field.dx * rz) * spin;
+            velocities[i3 + 2] += -rz * push + (field.dx * ry - field.dy * rx) * spin;
+        } else {
+            velocities[i3] += rx * push;
+            velocities[i3 + 1] += ry * push;
+            velocities[i3 + 2] += rz * push;
+        }
+    }
+}
+
+/**
+ * 模擬一步
+ *
+ * 半隱式 Euler：先用彈簧、擾動、力場更新速度，再用新速度更新位置
+ *   加速度 = (目標 × heartbeat - 位置) × stiffness + curlNoise × turbulence + 力場
+ *   速度   = (速度 + 加速度 × dt) × e^(-damping × dt)
+ *   位置  += 速度 × dt
+ *
+ * @param {Object} state - 會被就地更新
+ * @param {Float32Array} state.positions - count * 3 的位置
+ * @param {Float32Array} state.velocities - count * 3 的速度
+ * @param {Float32Array} state.targets - count * 3 的目標座標
+ * @param {Object} params
+ * @param {number} params.count - 要模擬的粒子數（只更新前 count 顆）
+ * @param {number} params.dt - 這一步的秒數
+ * @param {number} params.time - 累積時間（秒），用於擾動流場
+ * @param {number} [params.heartbeat] - 目標座標的縮放（心跳），預設 1
+ * @param {number} params.stiffness - 彈簧強度（1/s²）
+ * @param {number} params.damping - 阻尼（1/s）
+ * @param {number} [params.turbulence] - curl noise 加速度，0 或省略為關閉
+ * @param {number} [params.turbulenceScale] - 擾動的空間頻率
+ * @param {number} [params.turbulenceSpeed] - 擾動流場的變化速度
+ * @param {Array} [params.forceFields] - 粒子空間中的力場：{ ox, oy, oz, dx, dy, dz, radius, strength, swirl, attract }
+ */
+export function stepParticles(state, params) {
+    const { positions, velocities, targets } = state;
+    const { count, dt, stiffness, turbulence = 0, turbulenceScale = 0, forceFields = [] } = params;
+    const heartbeat = params.heartbeat !== undefined ? params.heartbeat : 1;
+    const dampingFactor = Math.exp(-params.damping * dt);
+    const noiseTime = params.time * (params.turbulenceSpeed || 0);
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+
+        let ax = (targets[i3] * heartbeat - positions[i3]) * stiffness;
+        let ay = (targets[i3 + 1] * heartbeat - positions[i3 + 1]) * stiffness;
+        let az = (targets[i3 + 2] * heartbeat - positions[i3 + 2]) * stiffness;
+
+        if (turbulence > 0) {
+            curlNoise(
+                positions[i3] * turbulenceScale,
+                positions[i3 + 1] * turbulenceScale,
+                positions[i3 + 2] * turbulenceScale,
+                noiseTime,
+                turbulenceForce
+            );
+            ax += turbulenceForce.x * turbulence;
+            ay += turbulenceForce.y * turbulence;
+            az += turbulenceForce.z * turbulence;
+        }
+
+        velocities[i3] = (velocities[i3] + ax * dt) * dampingFactor;
+        velocities[i3 + 1] = (velocities[i3 + 1] + ay * dt) * dampingFactor;
+        velocities[i3 + 2] = (velocities[i3 + 2] + az * dt) * dampingFactor;
+
+        if (forceFields.length > 0) {
+            applyForceFields(positions, velocities, i3, forceFields, dt);
+        }
+
+        positions[i3] += velocities[i3] * dt;
+        positions[i3 + 1] += velocities[i3 + 1] * dt;
+        positions[i3 + 2] += velocities[i3 + 2] * dt;
+    }
+}
+
+/**
+ * 讓粒子從中心向外炸開
+ * 每顆粒子的初速度略有不同（黃金比例序列），不需要隨機數也不會整齊劃一
+ *
+ * @param {Float32Array} positions - count * 3 的位置
+ * @param {Float32Array} velocities - count * 3 的速度，會被就地更新
+ * @param {number} count - 粒子數
+ * @param {number} speed - 初速度
+ */
+export function explodeParticles(positions, velocities, count, speed) {
+    if (!(speed > 0)) return;
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+        const x = positions[i3];
+        const y = positions[i3 + 1];
+        const z = positions[i3 + 2];
+        const length = Math.sqrt(x * x + y * y + z * z);
+        const variation = 0.6 + 0.8 * ((i * 0.6180339887) % 1);
+
+        if (length < 1e-3) {
+            // 剛好在中心的粒子往上飛
+            velocities[i3 + 1] += speed * variation;
+            continue;
+        }
+
+        const impulse = speed * variation / length;
+        velocities[i3] += x * impulse;
+        velocities[i3 + 1] += y * impulse;
+        velocities[i3 + 2] += z * impulse;
+    }
+}
+
+/**
+ * 在兩個形狀的目標座標之間線性插值（例如手慢慢張開時，愛心逐漸展開成星空）
+ * 每顆粒子從 from 的位置移向它在 to 中的位置
+ *
+ * @param {Float32Array} from - count * 3 的目標座標（amount = 0）
+ * @param {Float32Array} to - count * 3 的目標座標（amount = 1）
+ * @param {number} amount - 0-1
+ * @param {number} count - 粒子數
+ * @param {Float32Array} [out] - 寫入結果的陣列，省略時建立新的
+ * @returns {Float32Array} 混合後的目標座標
+ */
+export function blendTargets(from, to, amount, count, out = new Float32Array(count * 3)) {
+    const length = count * 3;
+    for (let i = 0; i < length; i++) {
+        out[i] = from[i] + (to[i] - from[i]) * amount;
+    }
+    return out;
+}
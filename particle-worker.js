@@ -0,0 +1,84 @@
+/**
+ * particle-worker.js
+ * 在 Web Worker 中執行粒子模擬，主執行緒只負責上傳資料與渲染
+ *
+ * 以可轉移（transferable）的雙緩衝交換位置：
+ * Worker 保有自己的位置與速度，每算完一步就把位置複製到主執行緒送來的緩衝區，再轉移回去。
+ * （SharedArrayBuffer 需要 COOP / COEP 標頭，一般的靜態伺服器無法使用）
+ *
+ * 訊息：
+ * - { type: 'init', positions }：初始位置（Worker 取得所有權），速度歸零
+ * - { type: 'targets', targets, to, amount }：目前形狀的目標座標；to 不是 null 時在兩者之間混合（見 blendTargets）
+ * - { type: 'blend', amount }：只改變混合比例（手慢慢張開時每幀都可能改變，不必再複製目標座標）
+ * - { type: 'step', params, buffer }：模擬一步（params 見 stepParticles），完成後回傳 { type: 'frame', buffer }
+ * - { type: 'explode', count, speed }：向外炸開
+ * - { type: 'reset' }：速度歸零
+ */
+
+import { stepParticles, explodeParticles, blendTargets } from './particle-sim.js';
+
+let positions = null;
+let velocities = null;
+let targets = null;            // 模擬使用的目標座標（混合時為 blended）
+let fromTargets = null;
+let toTargets = null;
+let blendAmount = 0;
+let blended = null;            // 混合結果，重複使用
+
+/**
+ * 依 fromTargets、toTargets 與 blendAmount 更新模擬使用的目標座標
+ */
+function updateTargets() {
+    if (!toTargets) {
+        targets = fromTargets;
+        return;
+    }
+
+    const count = fromTargets.length / 3;
+    if (!blended || blended.length !== fromTargets.length) {
+        blended = new Float32Array(fromTargets.length);
+    }
+    targets = blendTargets(fromTargets, toTargets, blendAmount, count, blended);
+}
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'init':
+            positions = message.positions;
+            velocities = new Float32Array(positions.length);
+            break;
+
+        case 'targets':
+            fromTargets = message.targets;
+            toTargets = message.to ? message.to : null;
+            blendAmount = message.amount !== undefined ? message.amount : 0;
+            updateTargets();
+            break;
+
+        case 'blend':
+            blendAmount = message.amount;
+            if (fromTargets) updateTargets();
+            break;
+
+        case 'step': {
+            if (positions && targets) {
+                stepParticles({ positions, velocities, targets }, message.params);
+            }
+
+            const buffer = message.buffer;
+            if (positions) buffer.set(positions);
+            self.postMessage({ type: 'frame', buffer }, [buffer.buffer]);
+            break;
+        }
+
+        case 'explode':
+            if (positions) explodeParticles(positions, velocities, message.count, message.speed);
+            break;
+
+        case 'reset':
+            if (velocities) velocities.fill(0);
+            break;
+    }
+};
@@ -10,23 +10,52 @@
  */
 
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.160.0/build/three.module.js';
-
-// ============== 可調整參數 ==============
-const PARTICLE_COUNT = 50000;
-const SPACE_RADIUS = 15;
-const EASING = 0.025;
-const ROTATION_SENSITIVITY = 1.5;
-const ROTATION_EASING = 0.08;
-const HEARTBEAT_AMPLITUDE = 0.05;
-const HEARTBEAT_SPEED = 1.2;
-
-// ===== 3D 愛心形狀參數 =====
-const HEART_SIZE = 3.0;         // 整體大小
-const HEART_SCALE_X = 1.3;      // X 軸縮放（寬度）
-const HEART_SCALE_Y = 1.1;      // Y 軸縮放（高度）
-const HEART_SCALE_Z = 0.9;      // Z 軸縮放（厚度，接近 1 = 飽滿立體）
-const CENTER_LINE_AVOID = 0.15; // 中心線迴避半徑
-// ========================================
+import {
+    generateSpherePoints,
+    generateTorusPoints,
+    generateRingPoints,
+    generateStarPoints,
+    generateHelixPoints
+} from './shapes.js';
+import { generateTextPoints } from './text-points.js';
+import { loadImage, generateImagePoints } from './image-points.js';
+import { loadModel, generateModelPoints } from './model-points.js';
+import { createRandom, randomSeed } from './random.js';
+import { stepParticles, explodeParticles, blendTargets } from './particle-sim.js';
+import { QualityManager, QUALITY_TIERS } from './quality.js';
+import {
+    getDefaultConfig,
+    validateConfig,
+    parseConfigFromUrl,
+    PHYSICS_CONFIG_KEYS,
+    FORCE_CONFIG_KEYS
+} from './config.js';
+import { PALETTES, normalizePalette, generatePaletteColors } from './palettes.js';
+import { EventEmitter } from './emitter.js';
+
+// ============== 固定參數 ==============
+// 形狀大小、緩動、心跳等可調整的值見 config.js 的 CONFIG_SCHEMA（initParticles / updateConfig / 網址參數）
+const MAX_PARTICLE_COUNT = QUALITY_TIERS[QUALITY_TIERS.length - 1].particles;  // 緩衝區容量（最高畫質的粒子數）
+const DEFAULT_QUALITY_TIER = 'high';  // 自動調整的起始等級
+const MAX_DT = 0.05;            // 單幀最多模擬的秒數（切換分頁回來時避免粒子飛走）
+const SCALE_MIN = 0.3;
+const SCALE_MAX = 3;
+const SPIN_DECAY = 0.97;        // 每幀保留的旋轉速度比例
+const SPIN_MAX_SPEED = 12;      // 最大自轉速度（弧度 / 秒）
+const AUTO_ROTATE_EASING = 0.02; // 持續自轉開始 / 停止的平滑度（讓閒置模式與手部控制之間的交接不突兀）
+const CAMERA_DISTANCE = 10;     // 縮放為 1 時鏡頭到原點的距離
+// SPIN_DECAY 與設定中的 *Easing 都是 60fps 時每幀的比例，實際套用時會依幀時間換算
+
+// ===== 形狀切換（transitionstart / transitionend）=====
+const TRANSITION_SAMPLES = 256;          // 判斷是否到位時抽樣的粒子數
+const TRANSITION_SETTLE_DISTANCE = 0.05; // 抽樣粒子到目標的平均距離低於此值視為到位
+const TRANSITION_STALL_SECONDS = 0.6;    // 平均距離持續這麼久沒有再縮小也視為到位（擾動讓粒子不會完全停下）
+const TRANSITION_MAX_SECONDS = 10;       // 最長的切換時間
+
+// ===== 形狀混合（setModeBlend）=====
+const BLEND_STEPS = 100;                 // 混合比例的精細度，比例沒有變化時不重新計算目標座標
+
+// 粒子物理（彈簧、阻尼、擾動）與力場（手指 / 滑鼠）的參數也是設定項目，見 config.js 的 CONFIG_SCHEMA
 
 // Three.js 核心物件
 let scene = null;
@@ -41,15 +70,56 @@ let particleMaterial = null;
 
 // 粒子資料陣列
 let positions = null;
+let velocities = null;         // 只在主執行緒模擬時使用（Worker 模式下由 Worker 持有）
 let colors = null;
+let appliedColors = null;   // 目前顏色（或正在漸變過去）的來源
+let colorFade = null;       // 顏色漸變中：{ from, fromBackground, toBackground, elapsed }
 let sizes = null;
-let heartTargets = null;
-let spaceTargets = null;
+
+// 形狀登錄表：name → { generator, targets, colors }
+// targets 會在第一次用到時才生成（lazy），之後重複使用
+// colors 只有產生器自帶顏色時才有值（例如圖片形狀）
+const shapeRegistry = new Map();
+
+// 調色盤登錄表：name → 整理後的調色盤（見 palettes.js）
+const paletteRegistry = new Map();
+let defaultPalette = 'classic';
+const modePalettes = new Map();       // mode → 調色盤名稱，沒有指定的形狀使用 defaultPalette
+const paletteColorCache = new Map();  // 已生成的粒子顏色，key 見 getModeColors
+
+// 執行時設定（見 config.js），每個值都已通過驗證
+let config = getDefaultConfig();
+
+// 隨機種子：相同種子會生成完全相同的粒子外觀
+let currentSeed = 0;
 
 // 狀態
 let currentMode = 'space';
 let animationId = null;
 let time = 0;
+let lastFrameTime = 0;
+
+// 事件（on / off 訂閱）
+const events = new EventEmitter(['modechange', 'transitionstart', 'transitionend', 'frame']);
+let transition = null;         // 形狀切換中：{ from, to, elapsed, best, stall }
+let modeBlend = null;          // 兩個形狀之間的混合：{ from, to, amount }，setMode 時清除
+let blendBuffer = null;        // 主執行緒模擬時混合後的目標座標（重複使用）
+let blendedTargets = null;     // blendBuffer 目前的內容：{ from, to, amount }
+
+// 畫質（見 quality.js）：緩衝區依最高等級配置，實際繪製與模擬前 particleCount 顆
+const qualityManager = new QualityManager(QUALITY_TIERS.length, {
+    tier: QUALITY_TIERS.findIndex(tier => tier.name === DEFAULT_QUALITY_TIER)
+});
+let particleCount = QUALITY_TIERS[qualityManager.tier].particles;
+let pixelRatio = 1;
+
+// 模擬用的 Web Worker（見 particle-worker.js），無法使用時改在主執行緒模擬
+let simWorker = null;
+let simBusy = false;           // Worker 正在計算一步
+let spareBuffer = null;        // 下一步交給 Worker 填寫的位置緩衝區
+let readyBuffer = null;        // Worker 算好、等待上傳的位置緩衝區
+let sentTargets = null;        // 最後一次送給 Worker 的目標座標：{ from, to, amount }
+let pendingDt = 0;             // 上一步送出後累積的時間
 
 // 旋轉控制
 let targetRotationX = 0;
@@ -57,6 +127,27 @@ let targetRotationY = 0;
 let currentRotationX = 0;
 let currentRotationY = 0;
 
+// 自轉（畫圈手勢），會隨時間衰減
+let spinVelocity = 0;
+let spinAngle = 0;
+
+// 持續自轉（閒置吸引模式），速度平滑過渡到目標值
+let targetAutoRotate = 0;
+let currentAutoRotate = 0;
+
+// 鏡頭縮放（手的遠近、滑鼠滾輪、觸控捏合）：鏡頭距離 = CAMERA_DISTANCE / zoom
+let targetZoom = 1;
+let currentZoom = 1;
+
+// 力場：螢幕座標（NDC，-1 到 1）的力場點，每幀反投影到粒子空間
+let forcePoints = [];
+const forceRayPoint = new THREE.Vector3();
+const forceRayEnd = new THREE.Vector3();
+
+// 整體縮放（雙手拉開 / 靠近）
+let targetScale = 1;
+let currentScale = 1;
+
 // 粒子容器
 let particleContainer = null;
 
@@ -70,7 +161,7 @@ let particleContainer = null;
  * 3. 中心線迴避，不會出現粒子直線
  * 4. 圓潤可愛的心形輪廓
  */
-function generateHeartPoints(count) {
+function generateHeartPoints(count, rng = Math.random) {
     const points = new Float32Array(count * 3);
     let generated = 0;
 
@@ -82,8 +173,8 @@ function generateHeartPoints(count) {
 
         if (generated < surfaceCount) {
             // ===== 表面粒子：使用 3D 參數方程 =====
-            const u = Math.random() * Math.PI * 2;  // 水平角度 0-2π
-            const v = Math.random() * Math.PI;      // 垂直角度 0-π
+            const u = rng() * Math.PI * 2;  // 水平角度 0-2π
+            const v = rng() * Math.PI;      // 垂直角度 0-π
 
             // 3D 心形參數方程（飽滿版本）
             const sinU = Math.sin(u);
@@ -114,14 +205,14 @@ function generateHeartPoints(count) {
 
             // 輕微隨機偏移讓表面更自然
             const surfaceNoise = 0.05;
-            x += (Math.random() - 0.5) * surfaceNoise;
-            y += (Math.random() - 0.5) * surfaceNoise;
-            z += (Math.random() - 0.5) * surfaceNoise * 0.5;
+            x += (rng() - 0.5) * surfaceNoise;
+            y += (rng() - 0.5) * surfaceNoise;
+            z += (rng() - 0.5) * surfaceNoise * 0.5;
 
         } else {
             // ===== 內部填充粒子 =====
-            const u = Math.random() * Math.PI * 2;
-            const fillFactor = Math.pow(Math.random(), 0.5) * 0.85;  // 偏向外層
+            const u = rng() * Math.PI * 2;
+            const fillFactor = Math.pow(rng(), 0.5) * 0.85;  // 偏向外層
 
             // 2D 心形輪廓
             const heartX = 16 * Math.pow(Math.sin(u), 3);
@@ -134,20 +225,20 @@ function generateHeartPoints(count) {
             x = nx;
             y = ny;
             // 內部 Z 軸根據到中心的距離決定厚度
-            z = (Math.random() - 0.5) * heartRadius * 1.2;
+            z = (rng() - 0.5) * heartRadius * 1.2;
         }
 
         // ===== 中心線迴避 =====
         const distFromCenterX = Math.abs(x);
         const distFromCenterZ = Math.abs(z);
-        if (distFromCenterX < CENTER_LINE_AVOID && distFromCenterZ < CENTER_LINE_AVOID) {
-            if (Math.random() > 0.08) continue;  // 92% 機率跳過中心線
+        if (distFromCenterX < config.centerLineAvoid && distFromCenterZ < config.centerLineAvoid) {
+            if (rng() > 0.08) continue;  // 92% 機率跳過中心線
         }
 
         // ===== 應用縮放 =====
-        const finalX = x * HEART_SCALE_X * HEART_SIZE;
-        const finalY = y * HEART_SCALE_Y * HEART_SIZE;
-        const finalZ = z * HEART_SCALE_Z * HEART_SIZE;
+        const finalX = x * config.heartScaleX * config.heartSize;
+        const finalY = y * config.heartScaleY * config.heartSize;
+        const finalZ = z * config.heartScaleZ * config.heartSize;
 
         points[generated * 3] = finalX;
         points[generated * 3 + 1] = finalY;
@@ -163,13 +254,13 @@ function generateHeartPoints(count) {
 /**
  * 生成星空座標
  */
-function generateSpacePoints(count, radius) {
+function generateSpacePoints(count, radius, rng = Math.random) {
     const points = new Float32Array(count * 3);
 
     for (let i = 0; i < count; i++) {
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
-        const r = radius * Math.cbrt(Math.random());
+        const theta = rng() * Math.PI * 2;
+        const phi = Math.acos(2 * rng() - 1);
+        const r = radius * Math.cbrt(rng());
 
         points[i * 3] = r * Math.sin(phi) * Math.cos(theta);
         points[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
@@ -179,111 +270,33 @@ function generateSpacePoints(count, radius) {
     return points;
 }
 
-/**
- * HSL 轉 RGB
- */
-function hslToRgb(h, s, l) {
-    let r, g, b;
-    if (s === 0) {
-        r = g = b = l;
-    } else {
-        const hue2rgb = (p, q, t) => {
-            if (t < 0) t += 1;
-            if (t > 1) t -= 1;
-            if (t < 1/6) return p + (q - p) * 6 * t;
-            if (t < 1/2) return q;
-            if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-            return p;
-        };
-        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-        const p = 2 * l - q;
-        r = hue2rgb(p, q, h + 1/3);
-        g = hue2rgb(p, q, h);
-        b = hue2rgb(p, q, h - 1/3);
-    }
-    return { r, g, b };
-}
-
-/**
- * 生成多層顏色
- * 內層：亮粉白色  外層：紫色光暈
- */
-function generateColors(count) {
-    const colors = new Float32Array(count * 3);
-    const edgeCount = Math.floor(count * 0.6);
-
-    for (let i = 0; i < count; i++) {
-        let h, s, l;
-
-        if (i >= edgeCount) {
-            // 內層：亮粉白色
-            const variant = Math.random();
-            if (variant < 0.5) {
-                h = 0.92 + Math.random() * 0.08;
-                s = 0.6 + Math.random() * 0.4;
-                l = 0.75 + Math.random() * 0.2;
-            } else if (variant < 0.8) {
-                h = 0.95;
-                s = 0.2 + Math.random() * 0.3;
-                l = 0.9 + Math.random() * 0.1;
-            } else {
-                h = 0; s = 0;
-                l = 0.95 + Math.random() * 0.05;
-            }
-        } else {
-            // 外層：紫粉色
-            const variant = Math.random();
-            if (variant < 0.4) {
-                h = 0.75 + Math.random() * 0.1;
-                s = 0.5 + Math.random() * 0.3;
-                l = 0.5 + Math.random() * 0.2;
-            } else if (variant < 0.7) {
-                h = 0.9 + Math.random() * 0.08;
-                s = 0.4 + Math.random() * 0.3;
-                l = 0.55 + Math.random() * 0.15;
-            } else {
-                h = 0.8 + Math.random() * 0.05;
-                s = 0.3 + Math.random() * 0.2;
-                l = 0.6 + Math.random() * 0.15;
-            }
-        }
-
-        const rgb = hslToRgb(h % 1, s, l);
-        colors[i * 3] = rgb.r;
-        colors[i * 3 + 1] = rgb.g;
-        colors[i * 3 + 2] = rgb.b;
-    }
-
-    return colors;
-}
-
 /**
  * 生成多樣化粒子大小
  */
-function generateSizes(count) {
+function generateSizes(count, rng = Math.random) {
     const sizes = new Float32Array(count);
     const edgeCount = Math.floor(count * 0.6);
 
     for (let i = 0; i < count; i++) {
-        const rand = Math.random();
+        const rand = rng();
 
         if (i >= edgeCount) {
             // 內層：較大粒子
             if (rand < 0.6) {
-                sizes[i] = 0.04 + Math.random() * 0.03;
+                sizes[i] = 0.04 + rng() * 0.03;
             } else if (rand < 0.9) {
-                sizes[i] = 0.06 + Math.random() * 0.04;
+                sizes[i] = 0.06 + rng() * 0.04;
             } else {
-                sizes[i] = 0.1 + Math.random() * 0.08;
+                sizes[i] = 0.1 + rng() * 0.08;
             }
         } else {
             // 外層：較小粒子
             if (rand < 0.7) {
-                sizes[i] = 0.02 + Math.random() * 0.02;
+                sizes[i] = 0.02 + rng() * 0.02;
             } else if (rand < 0.95) {
-                sizes[i] = 0.03 + Math.random() * 0.03;
+                sizes[i] = 0.03 + rng() * 0.03;
             } else {
-                sizes[i] = 0.05 + Math.random() * 0.03;
+                sizes[i] = 0.05 + rng() * 0.03;
             }
         }
     }
@@ -298,7 +311,7 @@ function createParticleMaterial() {
     return new THREE.ShaderMaterial({
         uniforms: {
             time: { value: 0 },
-            pixelRatio: { value: window.devicePixelRatio },
+            pixelRatio: { value: pixelRatio },
             mode: { value: 0.0 }
         },
         vertexShader: `
@@ -318,10 +331,8 @@ function createParticleMaterial() {
                 vColor = customColor;
                 vRand = rand(position.xy + position.z);
 
-                float twinkle = 1.0;
-                if (mode < 0.5) {
-                    twinkle = 0.7 + 0.3 * sin(time * 2.0 + vRand * 6.28);
-                }
+                // mode：0 為星空（閃爍），1 為聚合的形狀，混合時介於兩者之間
+                float twinkle = mix(0.7 + 0.3 * sin(time * 2.0 + vRand * 6.28), 1.0, mode);
 
                 vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
                 gl_PointSize = size * pixelRatio * twinkle * (350.0 / -mvPosition.z);
@@ -349,9 +360,7 @@ function createParticleMaterial() {
 
                 float alpha = brightness * (1.0 - smoothstep(0.4, 0.5, dist));
 
-                if (mode < 0.5) {
-                    alpha *= 0.7 + 0.3 * sin(time * 1.5 + vRand * 6.28);
-                }
+                alpha *= mix(0.7 + 0.3 * sin(time * 1.5 + vRand * 6.28), 1.0, mode);
 
                 if (alpha < 0.01) discard;
                 gl_FragColor = vec4(finalColor, alpha);
@@ -363,38 +372,111 @@ function createParticleMaterial() {
     });
 }
 
+/**
+ * 驗證設定，不合法的項目印出警告後略過
+ * @param {Object} partial - 要套用的設定
+ * @param {string} source - 來源（顯示在警告中）
+ * @param {Object} base - 目前的完整設定
+ * @returns {Object} 合法的項目
+ */
+function checkConfig(partial, source, base) {
+    const { values, errors } = validateConfig(partial, base);
+    for (const error of errors) {
+        console.warn('Invalid config (' + source + '):', error);
+    }
+    return values;
+}
+
+/**
+ * 驗證只屬於某個群組的設定（例如 setPhysics），其他名稱視為未知的項目
+ * @param {Object} partial - 要套用的設定
+ * @param {string[]} keys - 這個群組的設定項目
+ * @param {string} source - 來源（顯示在警告中）
+ * @returns {Object} 合法的項目
+ */
+function checkGroup(partial, keys, source) {
+    const own = {};
+    for (const [key, value] of Object.entries(partial || {})) {
+        if (keys.includes(key)) {
+            own[key] = value;
+        } else {
+            console.warn('Invalid config (' + source + '):', key + '：未知的設定');
+        }
+    }
+    return checkConfig(own, source, config);
+}
+
+/**
+ * 決定初始化時的設定
+ * 優先順序：目前設定（預設值或先前的 updateConfig）→ initParticles 的 options → 網址參數
+ */
+function resolveConfig(options) {
+    const merged = { ...config, ...checkConfig(options, 'initParticles', config) };
+    const fromUrl = parseConfigFromUrl(window.location.search);
+    return { ...merged, ...checkConfig(fromUrl, 'URL', merged) };
+}
+
+/**
+ * 為某個用途建立獨立的隨機數產生器
+ * 每個形狀 / 緩衝區都由「種子 + 名稱」衍生，不受生成順序影響
+ */
+function createScopedRandom(scope) {
+    return createRandom(`${currentSeed}:${scope}`);
+}
+
+/**
+ * 生成與種子相關的大小，並清除已生成的顏色（下次使用時重新生成）
+ * 內外層的比例依粒子數而定，所以畫質改變粒子數時也要重新生成
+ */
+function generateAppearance() {
+    sizes.set(generateSizes(particleCount, createScopedRandom('sizes')));
+    paletteColorCache.clear();
+}
+
 /**
  * 初始化粒子系統
+ * @param {HTMLElement} containerElement - 容器元素
+ * @param {Object} [options] - 設定（見 config.js 的 CONFIG_SCHEMA），網址參數會覆寫同名項目；
+ *                             例如 { seed: 42, quality: 'medium', heartScaleZ: 1.2, worker: false }
  */
-export function initParticles(containerElement) {
+export function initParticles(containerElement, options = {}) {
     container = containerElement;
+    config = resolveConfig(options);
+    currentSeed = config.seed !== null ? config.seed : randomSeed();
+    config.seed = currentSeed;
+    setZoomLimits(config.zoomMin, config.zoomMax);
+    setTargetFps(config.targetFps);
+    setQuality(config.quality);
 
     scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x080010);
+    scene.background = getBackgroundColor(currentMode);
 
     const aspect = container.clientWidth / container.clientHeight;
     camera = new THREE.PerspectiveCamera(60, aspect, 0.1, 1000);
-    camera.position.z = 10;
+    camera.position.z = CAMERA_DISTANCE / currentZoom;
 
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer.setPixelRatio(pixelRatio);
     container.appendChild(renderer.domElement);
 
     particleContainer = new THREE.Group();
     scene.add(particleContainer);
 
-    heartTargets = generateHeartPoints(PARTICLE_COUNT);
-    spaceTargets = generateSpacePoints(PARTICLE_COUNT, SPACE_RADIUS);
-    colors = generateColors(PARTICLE_COUNT);
-    sizes = generateSizes(PARTICLE_COUNT);
+    sizes = new Float32Array(MAX_PARTICLE_COUNT);
+    generateAppearance();
+    colors = new Float32Array(MAX_PARTICLE_COUNT * 3);
+    appliedColors = getModeColors(currentMode);
+    colors.set(appliedColors);
 
-    positions = new Float32Array(spaceTargets);
+    // 依最高畫質配置；前 particleCount 顆與星空目標相同，其餘在畫質提高時從星空加入
+    positions = generateSpacePoints(MAX_PARTICLE_COUNT, config.spaceRadius, createScopedRandom('shape:space'));
 
     particleGeometry = new THREE.BufferGeometry();
     particleGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
     particleGeometry.setAttribute('customColor', new THREE.BufferAttribute(colors, 3));
     particleGeometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    particleGeometry.setDrawRange(0, particleCount);
 
     particleMaterial = createParticleMaterial();
 
@@ -403,9 +485,13 @@ export function initParticles(containerElement) {
 
     window.addEventListener('resize', handleResize);
 
+    if (!config.worker || !startSimulationWorker()) {
+        useMainThreadSimulation();
+    }
+
     startAnimation();
 
-    console.log('3D 粒子系統初始化完成（美化版），共 ' + PARTICLE_COUNT + ' 顆粒子');
+    console.log('3D 粒子系統初始化完成（美化版），共 ' + particleCount + ' 顆粒子，種子：' + currentSeed);
 }
 
 function handleResize() {
@@ -418,8 +504,11 @@ function handleResize() {
     camera.updateProjectionMatrix();
     renderer.setSize(width, height);
 
+    // 視窗移到不同 DPI 的螢幕時，像素比也跟著改變
+    pixelRatio = getTierPixelRatio(qualityManager.tier);
+    renderer.setPixelRatio(pixelRatio);
     if (particleMaterial) {
-        particleMaterial.uniforms.pixelRatio.value = Math.min(window.devicePixelRatio, 2);
+        particleMaterial.uniforms.pixelRatio.value = pixelRatio;
     }
 }
 
@@ -430,73 +519,1054 @@ export function resize(width, height) {
     renderer.setSize(width, height);
 }
 
+/**
+ * 在執行中更新設定，只重新生成受影響的部分：
+ * - heartSize / heartScaleX / heartScaleY / heartScaleZ / centerLineAvoid：重新生成愛心座標
+ * - spaceRadius：重新生成星空座標
+ * - quality / particleCount：重新套用畫質（粒子數改變時才重新生成形狀、顏色與大小）
+ * - seed：重新生成所有緩衝區（同 resetParticles）
+ * - worker：啟動或停止模擬 Worker
+ * - colorBy：重新生成顏色（漸變過去）
+ * - 其他（緩動、心跳、旋轉靈敏度、顏色漸變秒數）：下一幀直接生效
+ *
+ * @param {Object} partial - 要更新的設定（見 config.js 的 CONFIG_SCHEMA），不合法的項目會印出警告並略過
+ * @returns {Object} 更新後的完整設定
+ */
+export function updateConfig(partial) {
+    const values = checkConfig(partial, 'updateConfig', config);
+    const changed = Object.keys(values).filter(key => values[key] !== config[key]);
+    config = { ...config, ...values };
+
+    const heartKeys = ['heartSize', 'heartScaleX', 'heartScaleY', 'heartScaleZ', 'centerLineAvoid'];
+    if (changed.some(key => heartKeys.includes(key))) {
+        invalidateShape('heart');
+    }
+    if (changed.includes('spaceRadius')) {
+        invalidateShape('space');
+    }
+    if (changed.includes('colorBy')) {
+        paletteColorCache.clear();
+    }
+    if (changed.includes('zoomMin') || changed.includes('zoomMax')) {
+        setZoomLimits(config.zoomMin, config.zoomMax);
+    }
+    if (changed.includes('targetFps')) {
+        setTargetFps(config.targetFps);
+    }
+    if (changed.includes('quality') || changed.includes('particleCount')) {
+        setQuality(config.quality);
+    }
+    if (changed.includes('seed')) {
+        resetParticles(config.seed !== null ? config.seed : undefined);
+    }
+    if (changed.includes('worker') && particleGeometry) {
+        if (!config.worker) {
+            useMainThreadSimulation();
+        } else if (!simWorker) {
+            // 建立失敗時維持在主執行緒模擬
+            startSimulationWorker();
+        }
+    }
+
+    return getConfig();
+}
+
+/**
+ * 取得目前的完整設定（seed 為實際使用的種子，可直接傳給 initParticles 重現相同外觀）
+ * @returns {Object}
+ */
+export function getConfig() {
+    return { ...config };
+}
+
+/**
+ * 註冊一個粒子形狀
+ * 已存在的名稱會被覆蓋，並在下次使用時重新生成座標
+ *
+ * @param {string} name - 形狀名稱，之後用於 setMode(name)
+ * @param {Function} generator - (count, rng) => Float32Array(count * 3)
+ *                               或 { points, colors }，colors 為 count * 3 的 RGB（0-1）
+ *                               rng 是由種子衍生的偽隨機數產生器，請用它取代 Math.random
+ */
+export function registerShape(name, generator) {
+    if (typeof name !== 'string' || name === '') {
+        console.warn('Invalid shape name:', name);
+        return;
+    }
+    if (typeof generator !== 'function') {
+        console.warn('Invalid shape generator for', name);
+        return;
+    }
+    shapeRegistry.set(name, { generator, targets: null, colors: null });
+}
+
+/**
+ * 取得所有已註冊的形狀名稱（依註冊順序）
+ * @returns {string[]}
+ */
+export function getRegisteredShapes() {
+    return Array.from(shapeRegistry.keys());
+}
+
+/**
+ * 取得某形狀的目標座標，第一次呼叫時才生成
+ * 產生器回傳的長度不足時，會退回星空座標
+ */
+function getShapeTargets(name) {
+    const shape = shapeRegistry.get(name);
+
+    if (!shape.targets) {
+        const result = shape.generator(particleCount, createScopedRandom('shape:' + name));
+        const points = result && result.points ? result.points : result;
+
+        if (result && result.colors && result.colors.length >= particleCount * 3) {
+            shape.colors = result.colors;
+        }
+
+        if (!points || points.length < particleCount * 3) {
+            console.warn('Shape generator returned too few points:', name);
+            shape.targets = name === 'space'
+                ? generateSpacePoints(particleCount, config.spaceRadius, createScopedRandom('shape:space'))
+                : getShapeTargets('space');
+        } else {
+            shape.targets = points;
+        }
+    }
+
+    return shape.targets;
+}
+
+/**
+ * 清除某形狀快取的目標座標與顏色，下次使用時重新生成
+ * 依位置上色的顏色與座標有關，所以已生成的調色盤顏色也一併清除
+ */
+function invalidateShape(name) {
+    const shape = shapeRegistry.get(name);
+    if (shape) {
+        shape.targets = null;
+        shape.colors = null;
+    }
+    paletteColorCache.clear();
+}
+
+/**
+ * 清除所有快取的目標座標與形狀顏色，下次使用時重新生成
+ */
+function clearShapeCache() {
+    for (const shape of shapeRegistry.values()) {
+        shape.targets = null;
+        shape.colors = null;
+    }
+    paletteColorCache.clear();
+}
+
+/**
+ * 設定文字形狀，之後可用 setMode('text') 讓粒子排成文字
+ *
+ * @param {string} text - 要顯示的文字，可用 '\n' 換行
+ * @param {Object} [options] - 字型參數 { fontFamily, fontSize, fontWeight, lineHeight, depth, ... }
+ */
+export function setText(text, options = {}) {
+    registerShape('text', (count, rng) => generateTextPoints(count, text, options, rng));
+    console.log('文字形狀已設定:', text);
+}
+
+/**
+ * 從圖片（PNG / SVG）註冊剪影形狀，粒子顏色取自圖片像素
+ *
+ * @param {string} name - 形狀名稱
+ * @param {string|Blob} source - 圖片網址或 File
+ * @param {Object} [options] - 取樣參數 { sampleBy, threshold, edgeWeight, depth, ... }
+ * @returns {Promise<string>} 註冊完成的形狀名稱
+ */
+export async function registerImageShape(name, source, options = {}) {
+    const image = await loadImage(source);
+    registerShape(name, (count, rng) => generateImagePoints(count, image, options, rng));
+    console.log('圖片形狀已註冊:', name);
+    return name;
+}
+
+/**
+ * 從 3D 模型（OBJ / PLY / glTF）註冊形狀
+ * 在三角形表面依面積均勻取樣，並縮放到與愛心相同的範圍
+ *
+ * @param {string} name - 形狀名稱
+ * @param {string|File} source - 模型網址或 File
+ * @param {Object} [options] - 取樣參數 { volumeFill, surfaceNoise }
+ * @returns {Promise<string>} 註冊完成的形狀名稱
+ */
+export async function registerModelShape(name, source, options = {}) {
+    const mesh = await loadModel(source);
+    const bounds = {
+        x: config.heartScaleX * config.heartSize,
+        y: config.heartScaleY * config.heartSize,
+        z: config.heartScaleZ * config.heartSize * 0.7  // 愛心 Z 軸最深約為 0.7
+    };
+    registerShape(name, (count, rng) => generateModelPoints(count, mesh, { bounds, ...options }, rng));
+    console.log('模型形狀已註冊:', name);
+    return name;
+}
+
+/**
+ * 註冊一個調色盤
+ * 已存在的名稱會被覆蓋，使用中的顏色會漸變到新的配色
+ *
+ * @param {string} name - 調色盤名稱，之後用於 setPalette(name)
+ * @param {Object} spec - { label, background, core, halo, gradient, colorBy }（格式見 palettes.js）
+ *                        例如自訂漸層：{ gradient: ['#ff0080', '#7928ca', '#00d4ff'], colorBy: 'y' }
+ */
+export function registerPalette(name, spec) {
+    if (typeof name !== 'string' || name === '' || name === 'default') {
+        console.warn('Invalid palette name:', name);
+        return;
+    }
+    const palette = normalizePalette(spec);
+    if (!palette) {
+        console.warn('Invalid palette:', name);
+        return;
+    }
+    paletteRegistry.set(name, palette);
+    paletteColorCache.clear();
+}
+
+/**
+ * 取得所有已註冊的調色盤（依註冊順序）
+ * @returns {Array<{name: string, label: string}>}
+ */
+export function getPalettes() {
+    return Array.from(paletteRegistry, ([name, palette]) => ({ name, label: palette.label || name }));
+}
+
+/**
+ * 指定調色盤，切換時顏色與背景會在 colorTransition 秒內漸變過去
+ *
+ * @param {string|null} name - 調色盤名稱；指定形狀時傳 null 或 'default' 表示改回使用預設調色盤
+ * @param {string} [mode] - 只套用到某個形狀（例如 'heart'），省略時設定所有沒有個別指定的形狀
+ */
+export function setPalette(name, mode) {
+    if (mode !== undefined && !shapeRegistry.has(mode)) {
+        console.warn('Invalid mode:', mode);
+        return;
+    }
+
+    if (mode !== undefined && (name === null || name === 'default')) {
+        modePalettes.delete(mode);
+    } else if (!paletteRegistry.has(name)) {
+        console.warn('Invalid palette:', name);
+        return;
+    } else if (mode !== undefined) {
+        modePalettes.set(mode, name);
+    } else {
+        defaultPalette = name;
+    }
+
+    console.log('調色盤切換為:', name, mode !== undefined ? '（' + mode + '）' : '');
+}
+
+/**
+ * 取得某個形狀實際使用的調色盤名稱
+ * @param {string} [mode] - 形狀名稱，預設為目前的模式
+ * @returns {string}
+ */
+export function getPalette(mode = currentMode) {
+    return modePalettes.get(mode) || defaultPalette;
+}
+
+/**
+ * 取得所有形狀的調色盤指定（沒有個別指定的形狀為 'default'）
+ * @returns {Object} 例如 { default: 'classic', heart: 'valentine', space: 'default', ... }
+ */
+export function getPaletteAssignments() {
+    const assignments = { default: defaultPalette };
+    for (const mode of shapeRegistry.keys()) {
+        assignments[mode] = modePalettes.get(mode) || 'default';
+    }
+    return assignments;
+}
+
+/**
+ * 一次套用多個調色盤指定（格式同 getPaletteAssignments，只改變有列出的項目）
+ * @param {Object} assignments
+ */
+export function setPaletteAssignments(assignments = {}) {
+    for (const [mode, name] of Object.entries(assignments)) {
+        if (mode === 'default') {
+            setPalette(name);
+        } else {
+            setPalette(name, mode);
+        }
+    }
+}
+
+/**
+ * 取得某形狀的粒子顏色，第一次使用時才生成
+ * 形狀自帶顏色（例如圖片形狀）且沒有個別指定調色盤時使用自帶的顏色；
+ * 內外層上色與形狀無關，同一個調色盤在各形狀間共用同一份顏色
+ */
+function getModeColors(mode) {
+    const shape = shapeRegistry.get(mode);
+    if (shape.colors && !modePalettes.has(mode)) {
+        return shape.colors;
+    }
+
+    const name = getPalette(mode);
+    const palette = paletteRegistry.get(name);
+    const colorBy = config.colorBy === 'palette' ? palette.colorBy : config.colorBy;
+    const key = colorBy === 'layer' ? name : name + ':' + colorBy + ':' + mode;
+
+    let result = paletteColorCache.get(key);
+    if (!result) {
+        result = generatePaletteColors(particleCount, palette, {
+            colorBy,
+            points: colorBy === 'layer' ? null : getShapeTargets(mode),
+            rng: createScopedRandom('colors')
+        });
+        paletteColorCache.set(key, result);
+    }
+    return result;
+}
+
+/**
+ * 某形狀的調色盤背景色
+ */
+function getBackgroundColor(mode) {
+    const { r, g, b } = paletteRegistry.get(getPalette(mode)).background;
+    return new THREE.Color().setRGB(r, g, b, THREE.SRGBColorSpace);
+}
+
+/**
+ * 讓粒子顏色與背景跟上目前的形狀與調色盤
+ * 目標改變時從目前的顏色開始漸變（colorTransition 為 0 時立即切換）
+ */
+function syncColors(dt) {
+    const wanted = getModeColors(currentMode);
+
+    if (wanted !== appliedColors) {
+        appliedColors = wanted;
+        colorFade = {
+            from: colors.slice(0, particleCount * 3),
+            fromBackground: scene.background.clone(),
+            toBackground: getBackgroundColor(currentMode),
+            elapsed: 0
+        };
+    }
+
+    if (!colorFade) return;
+
+    colorFade.elapsed += dt;
+    const progress = config.colorTransition > 0 ? Math.min(colorFade.elapsed / config.colorTransition, 1) : 1;
+    const t = progress * progress * (3 - 2 * progress);  // smoothstep
+
+    const from = colorFade.from;
+    const length = Math.min(from.length, particleCount * 3);
+    for (let i = 0; i < length; i++) {
+        colors[i] = from[i] + (wanted[i] - from[i]) * t;
+    }
+    particleGeometry.getAttribute('customColor').needsUpdate = true;
+    scene.background.lerpColors(colorFade.fromBackground, colorFade.toBackground, t);
+
+    if (progress >= 1) {
+        colorFade = null;
+    }
+}
+
+// ===== 內建形狀 =====
+registerShape('heart', generateHeartPoints);
+registerShape('space', (count, rng) => generateSpacePoints(count, config.spaceRadius, rng));
+registerShape('sphere', generateSpherePoints);
+registerShape('torus', generateTorusPoints);
+registerShape('ring', generateRingPoints);
+registerShape('star', generateStarPoints);
+registerShape('dna', generateHelixPoints);
+
+// ===== 內建調色盤 =====
+for (const [name, spec] of Object.entries(PALETTES)) {
+    registerPalette(name, spec);
+}
+
 export function setMode(mode) {
-    if (mode !== 'heart' && mode !== 'space') {
+    if (!shapeRegistry.has(mode)) {
         console.warn('Invalid mode:', mode);
         return;
     }
+    // 從聚合的形狀切換到星空時，粒子向外炸開
+    if (mode === 'space' && currentMode !== 'space') {
+        explode();
+    }
+    const previous = currentMode;
     currentMode = mode;
+    modeBlend = null;
     if (particleMaterial) {
-        particleMaterial.uniforms.mode.value = mode === 'heart' ? 1.0 : 0.0;
+        particleMaterial.uniforms.mode.value = getClusterAmount(mode);
     }
     console.log('3D 粒子模式切換為:', mode);
+
+    if (mode === previous) return;
+
+    events.emit('modechange', { mode, previous });
+    if (particleGeometry) {
+        startTransition(previous, mode);
+    }
 }
 
 export function getMode() {
     return currentMode;
 }
 
+/**
+ * 讓粒子停在兩個形狀之間（例如依手的張開程度，從愛心逐漸展開成星空）
+ * amount 連續變化時粒子跟著連續移動，不會炸開；再次呼叫 setMode 即回到一般的形狀切換
+ * getMode() 為兩者中較接近的形狀（顏色、調色盤與 modechange 事件依此切換）
+ *
+ * @param {number} amount - 0 為 from，1 為 to
+ * @param {string} [from] - 形狀名稱，預設為 'heart'
+ * @param {string} [to] - 形狀名稱，預設為 'space'
+ */
+export function setModeBlend(amount, from = 'heart', to = 'space') {
+    if (!(amount >= 0 && amount <= 1)) {
+        console.warn('Invalid mode blend:', amount);
+        return;
+    }
+    for (const mode of [from, to]) {
+        if (!shapeRegistry.has(mode)) {
+            console.warn('Invalid mode:', mode);
+            return;
+        }
+    }
+
+    amount = Math.round(amount * BLEND_STEPS) / BLEND_STEPS;
+    if (modeBlend && modeBlend.from === from && modeBlend.to === to && modeBlend.amount === amount) {
+        return;
+    }
+    modeBlend = { from, to, amount };
+
+    if (particleMaterial) {
+        particleMaterial.uniforms.mode.value = getClusterAmount(from) * (1 - amount) + getClusterAmount(to) * amount;
+    }
+
+    const mode = amount < 0.5 ? from : to;
+    if (mode !== currentMode) {
+        const previous = currentMode;
+        currentMode = mode;
+        events.emit('modechange', { mode, previous });
+    }
+}
+
+/**
+ * 目前的形狀混合
+ * @returns {Object|null} { from, to, amount }；沒有混合（一般的 setMode）時為 null
+ */
+export function getModeBlend() {
+    return modeBlend ? { from: modeBlend.from, to: modeBlend.to, amount: modeBlend.amount } : null;
+}
+
+/**
+ * 形狀的聚合程度（shader 的 mode）：只有星空需要閃爍，其他形狀都視為聚合狀態
+ */
+function getClusterAmount(mode) {
+    return mode === 'space' ? 0.0 : 1.0;
+}
+
+/**
+ * 某個形狀在目前畫面中的比重（混合時依比例，否則目前的形狀為 1）
+ */
+function getShapeWeight(name) {
+    if (!modeBlend) {
+        return currentMode === name ? 1 : 0;
+    }
+    return (modeBlend.from === name ? 1 - modeBlend.amount : 0) + (modeBlend.to === name ? modeBlend.amount : 0);
+}
+
+/**
+ * 目前要移向的目標座標
+ * @returns {Object} { from, to, amount }：兩個形狀的目標座標與混合比例，沒有混合時 to 為 null
+ */
+function getCurrentTargets() {
+    if (!modeBlend) {
+        return { from: getShapeTargets(currentMode), to: null, amount: 0 };
+    }
+    return {
+        from: getShapeTargets(modeBlend.from),
+        to: getShapeTargets(modeBlend.to),
+        amount: modeBlend.amount
+    };
+}
+
+/**
+ * 兩組目標座標與比例是否相同（形狀重新生成後目標座標是新的陣列）
+ */
+function isSameTargets(a, b) {
+    return a !== null && a.from === b.from && a.to === b.to && a.amount === b.amount;
+}
+
+/**
+ * 主執行緒模擬用的目標座標：混合時寫入重複使用的 blendBuffer，比例或形狀改變時才重新計算
+ */
+function getBlendedTargets(targets) {
+    if (!targets.to) {
+        return targets.from;
+    }
+
+    if (!blendBuffer || blendBuffer.length !== particleCount * 3) {
+        blendBuffer = new Float32Array(particleCount * 3);
+        blendedTargets = null;
+    }
+    if (!isSameTargets(blendedTargets, targets)) {
+        blendTargets(targets.from, targets.to, targets.amount, particleCount, blendBuffer);
+        blendedTargets = targets;
+    }
+    return blendBuffer;
+}
+
+/**
+ * 訂閱粒子系統的事件
+ * - modechange：{ mode, previous } 模式改變
+ * - transitionstart：{ from, to } 粒子開始移向新形狀
+ * - transitionend：{ from, to, duration, interrupted } 粒子到位，或被下一次切換打斷（interrupted 為 true）
+ * - frame：{ time, dt, fps, mode } 每一幀渲染後
+ *
+ * @param {string} type - 事件名稱
+ * @param {Function} listener - 參數為事件資料
+ * @returns {Function} 取消訂閱的函式
+ */
+export function on(type, listener) {
+    return events.on(type, listener);
+}
+
+/**
+ * 取消訂閱粒子系統的事件
+ * @param {string} type - 事件名稱
+ * @param {Function} listener - 訂閱時的函式
+ */
+export function off(type, listener) {
+    events.off(type, listener);
+}
+
+/**
+ * 開始追蹤形狀切換，上一次還沒到位的切換視為被打斷
+ */
+function startTransition(from, to) {
+    if (transition) {
+        events.emit('transitionend', {
+            from: transition.from,
+            to: transition.to,
+            duration: transition.elapsed,
+            interrupted: true
+        });
+    }
+    transition = { from, to, elapsed: 0, best: Infinity, stall: 0 };
+    events.emit('transitionstart', { from, to });
+}
+
+/**
+ * 抽樣部分粒子，量測到目標的平均距離，判斷形狀切換是否完成
+ */
+function updateTransition(dt, displayed, targets, heartbeat) {
+    if (!transition) return;
+    transition.elapsed += dt;
+
+    // 只取樣需要的粒子，混合時不必有完整的混合結果（Worker 模式在 Worker 中混合）
+    const target = targets.to
+        ? i => targets.from[i] + (targets.to[i] - targets.from[i]) * targets.amount
+        : i => targets.from[i];
+
+    const stride = Math.max(1, Math.floor(particleCount / TRANSITION_SAMPLES));
+    let total = 0;
+    let samples = 0;
+    for (let i = 0; i < particleCount; i += stride) {
+        const i3 = i * 3;
+        total += Math.hypot(
+            target(i3) * heartbeat - displayed[i3],
+            target(i3 + 1) * heartbeat - displayed[i3 + 1],
+            target(i3 + 2) * heartbeat - displayed[i3 + 2]
+        );
+        samples++;
+    }
+    const distance = total / samples;
+
+    // 平均距離還在明顯縮小時重新計時
+    if (distance < transition.best * 0.99) {
+        transition.best = distance;
+        transition.stall = 0;
+    } else {
+        transition.stall += dt;
+    }
+
+    if (distance < TRANSITION_SETTLE_DISTANCE
+        || transition.stall >= TRANSITION_STALL_SECONDS
+        || transition.elapsed >= TRANSITION_MAX_SECONDS) {
+        const { from, to, elapsed } = transition;
+        transition = null;
+        events.emit('transitionend', { from, to, duration: elapsed, interrupted: false });
+    }
+}
+
 export function setRotationFromHand(normX, normY) {
-    targetRotationY = -normX * Math.PI * ROTATION_SENSITIVITY;
-    targetRotationX = normY * Math.PI * 0.5 * ROTATION_SENSITIVITY;
+    targetRotationY = -normX * Math.PI * config.rotationSensitivity;
+    targetRotationX = normY * Math.PI * 0.5 * config.rotationSensitivity;
     targetRotationX = Math.max(-Math.PI * 0.4, Math.min(Math.PI * 0.4, targetRotationX));
 }
 
-function startAnimation() {
-    function animate() {
-        time += 0.016;
+/**
+ * 讓場景繞 Y 軸自轉，速度會逐漸衰減
+ * 多次呼叫會累加速度
+ * @param {number} velocity - 角速度（弧度 / 秒），正值為逆時針（從上方看）
+ */
+export function spinScene(velocity) {
+    if (!Number.isFinite(velocity)) return;
+    spinVelocity = Math.max(-SPIN_MAX_SPEED, Math.min(SPIN_MAX_SPEED, spinVelocity + velocity));
+}
 
-        if (particleMaterial) {
-            particleMaterial.uniforms.time.value = time;
-        }
+/**
+ * 設定持續的自轉速度，與 spinScene 不同，不會衰減；速度會平滑地加速 / 減速到目標值
+ * @param {number} speed - 角速度（弧度 / 秒），0 為停止
+ */
+export function setAutoRotate(speed) {
+    if (!Number.isFinite(speed)) {
+        console.warn('Invalid auto rotate speed:', speed);
+        return;
+    }
+    targetAutoRotate = Math.max(-SPIN_MAX_SPEED, Math.min(SPIN_MAX_SPEED, speed));
+}
 
-        const heartbeat = currentMode === 'heart'
-            ? 1 + HEARTBEAT_AMPLITUDE * Math.sin(time * HEARTBEAT_SPEED)
-            : 1;
+/**
+ * 取得持續自轉的目標速度
+ * @returns {number}
+ */
+export function getAutoRotate() {
+    return targetAutoRotate;
+}
 
-        const positionAttribute = particleGeometry.getAttribute('position');
-        const posArray = positionAttribute.array;
+/**
+ * 設定鏡頭縮放，會平滑過渡到目標值
+ * @param {number} zoom - 1 為預設距離，2 為拉近一倍，0.5 為拉遠一倍；限制在 setZoomLimits 的範圍內
+ */
+export function setZoom(zoom) {
+    if (!Number.isFinite(zoom)) return;
+    targetZoom = Math.max(config.zoomMin, Math.min(config.zoomMax, zoom));
+}
 
-        for (let i = 0; i < PARTICLE_COUNT; i++) {
-            const i3 = i * 3;
-            let targetX, targetY, targetZ;
+/**
+ * 取得目前設定的鏡頭縮放
+ * @returns {number}
+ */
+export function getZoom() {
+    return targetZoom;
+}
 
-            if (currentMode === 'heart') {
-                targetX = heartTargets[i3] * heartbeat;
-                targetY = heartTargets[i3 + 1] * heartbeat;
-                targetZ = heartTargets[i3 + 2] * heartbeat;
-            } else {
-                targetX = spaceTargets[i3];
-                targetY = spaceTargets[i3 + 1];
-                targetZ = spaceTargets[i3 + 2];
-            }
+/**
+ * 設定鏡頭縮放的範圍，目前的縮放會一併限制在新範圍內
+ * @param {number} min - 最小縮放
+ * @param {number} max - 最大縮放
+ */
+export function setZoomLimits(min, max) {
+    if (!(min > 0) || !(max >= min)) {
+        console.warn('Invalid zoom limits:', min, max);
+        return;
+    }
+    config = { ...config, zoomMin: min, zoomMax: max };
+    setZoom(targetZoom);
+}
+
+/**
+ * 設定力場點（手指或滑鼠游標）
+ * 粒子靠近這些點時會被吸引並旋轉或被推開，離開後再緩動回形狀
+ *
+ * @param {Array<{x: number, y: number, mode?: string, radius?: number, strength?: number}>} points
+ *   螢幕座標（NDC）：x 由左到右 -1 到 1，y 由下到上 -1 到 1；
+ *   每個點可覆寫 setForceOptions 的 mode / radius / strength。傳入空陣列即移除所有力場
+ */
+export function setForcePoints(points) {
+    forcePoints = Array.isArray(points)
+        ? points.filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.y))
+        : [];
+}
+
+/**
+ * 設定力場的預設參數（即設定項目 forceMode / forceRadius / forceStrength / forceSwirl）
+ * 不合法的項目印出警告後略過
+ * @param {Object} options - { mode, radius, strength, swirl } 的部分項目
+ */
+export function setForceOptions(options = {}) {
+    const partial = {};
+    for (const [key, value] of Object.entries(options)) {
+        partial[FORCE_CONFIG_KEYS[key] || key] = value;
+    }
+    config = { ...config, ...checkGroup(partial, Object.values(FORCE_CONFIG_KEYS), 'setForceOptions') };
+}
+
+/**
+ * 取得目前的力場參數
+ * @returns {Object} { mode, radius, strength, swirl }
+ */
+export function getForceOptions() {
+    const options = {};
+    for (const [name, key] of Object.entries(FORCE_CONFIG_KEYS)) {
+        options[name] = config[key];
+    }
+    return options;
+}
+
+/**
+ * 把力場點反投影到粒子空間
+ * 從鏡頭穿過螢幕上的點射出一條射線，轉成粒子容器的本地座標（跟著旋轉與縮放）
+ * @returns {Array} 每個力場：{ ox, oy, oz, dx, dy, dz, radius, strength, swirl, attract }
+ */
+function getForceFields() {
+    if (forcePoints.length === 0 || !camera || !particleContainer) {
+        return [];
+    }
+
+    // 鏡頭距離與容器旋轉在這一幀可能已改變
+    camera.updateMatrixWorld();
+    particleContainer.updateMatrixWorld();
+
+    return forcePoints.map(point => {
+        const options = { ...getForceOptions(), ...point };
+
+        // 射線與 z = 0 平面的交點（世界座標）
+        forceRayPoint.set(point.x, point.y, 0.5).unproject(camera);
+        forceRayEnd.copy(forceRayPoint).sub(camera.position).normalize();
+        const distanceToPlane = -camera.position.z / forceRayEnd.z;
+        forceRayPoint.copy(camera.position).addScaledVector(forceRayEnd, distanceToPlane);
+        forceRayEnd.add(forceRayPoint);
+
+        // 轉成粒子容器的本地座標
+        particleContainer.worldToLocal(forceRayPoint);
+        particleContainer.worldToLocal(forceRayEnd);
+        forceRayEnd.sub(forceRayPoint).normalize();
+
+        return {
+            ox: forceRayPoint.x, oy: forceRayPoint.y, oz: forceRayPoint.z,
+            dx: forceRayEnd.x, dy: forceRayEnd.y, dz: forceRayEnd.z,
+            radius: options.radius,
+            strength: options.strength,
+            swirl: options.swirl,
+            attract: options.mode !== 'repel'
+        };
+    });
+}
+
+/**
+ * 設定粒子形狀的整體縮放，會平滑過渡到目標值
+ * @param {number} scale - 縮放倍率，限制在 SCALE_MIN 到 SCALE_MAX 之間
+ */
+export function setShapeScale(scale) {
+    if (!Number.isFinite(scale)) return;
+    targetScale = Math.max(SCALE_MIN, Math.min(SCALE_MAX, scale));
+}
+
+/**
+ * 取得目前設定的整體縮放
+ * @returns {number}
+ */
+export function getShapeScale() {
+    return targetScale;
+}
 
-            posArray[i3] += (targetX - posArray[i3]) * EASING;
-            posArray[i3 + 1] += (targetY - posArray[i3 + 1]) * EASING;
-            posArray[i3 + 2] += (targetZ - posArray[i3 + 2]) * EASING;
+/**
+ * 讓所有粒子從中心向外炸開
+ * 每顆粒子的初速度略有不同，炸開後仍會被彈簧拉回目前形狀
+ * @param {number} [speed] - 初速度，預設為物理參數的 explosion
+ */
+export function explode(speed = config.explosion) {
+    if (!(speed > 0)) return;
+
+    if (simWorker) {
+        simWorker.postMessage({ type: 'explode', count: particleCount, speed });
+    } else if (positions && velocities) {
+        explodeParticles(positions, velocities, particleCount, speed);
+    }
+}
+
+/**
+ * 建立模擬用的 Web Worker
+ * Worker 保有位置與速度；主執行緒準備兩個位置緩衝區輪流交給 Worker 填寫（可轉移的雙緩衝）
+ * @returns {boolean} 是否建立成功
+ */
+function startSimulationWorker() {
+    if (typeof Worker === 'undefined') {
+        return false;
+    }
+
+    try {
+        simWorker = new Worker(new URL('./particle-worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('無法建立模擬 Worker，改在主執行緒模擬:', error);
+        simWorker = null;
+        return false;
+    }
+
+    simWorker.onmessage = (e) => {
+        if (e.data.type === 'frame') {
+            readyBuffer = e.data.buffer;
+            simBusy = false;
         }
+    };
+
+    // 例如以 file:// 開啟、或瀏覽器不支援 module worker 時
+    simWorker.onerror = (error) => {
+        console.warn('模擬 Worker 發生錯誤，改在主執行緒模擬:', error.message || error);
+        useMainThreadSimulation();
+    };
+
+    simBusy = false;
+    readyBuffer = null;
+    sentTargets = null;
+    pendingDt = 0;
+    spareBuffer = new Float32Array(positions.length);
+    simWorker.postMessage({ type: 'init', positions: positions.slice() });
+
+    console.log('粒子模擬在 Web Worker 中執行');
+    return true;
+}
+
+/**
+ * 改在主執行緒模擬（Worker 無法使用時）
+ */
+function useMainThreadSimulation() {
+    if (simWorker) {
+        simWorker.terminate();
+        simWorker = null;
+    }
+    simBusy = false;
+    spareBuffer = null;
+    readyBuffer = null;
+    sentTargets = null;
+
+    if (particleGeometry) {
+        positions = particleGeometry.getAttribute('position').array;
+    }
+    velocities = new Float32Array(positions.length);
+}
+
+/**
+ * 把目前的目標座標同步給 Worker：形狀改變時複製目標座標，只有混合比例改變時只送比例
+ * @param {Object} targets - getCurrentTargets() 的 { from, to, amount }
+ */
+function sendTargets(targets) {
+    if (isSameTargets(sentTargets, targets)) return;
 
+    if (sentTargets && sentTargets.from === targets.from && sentTargets.to === targets.to) {
+        simWorker.postMessage({ type: 'blend', amount: targets.amount });
+    } else {
+        const from = targets.from.slice();
+        const to = targets.to ? targets.to.slice() : null;
+        simWorker.postMessage(
+            { type: 'targets', targets: from, to, amount: targets.amount },
+            to ? [from.buffer, to.buffer] : [from.buffer]
+        );
+    }
+    sentTargets = targets;
+}
+
+/**
+ * 推進一步粒子模擬
+ * Worker 模式：上傳 Worker 算好的位置，Worker 空閒時再送出下一步（一次只有一步在計算中）；
+ * 主執行緒模式：直接呼叫 stepParticles
+ * @param {Object} targets - getCurrentTargets() 的 { from, to, amount }
+ */
+function updateSimulation(positionAttribute, targets, params) {
+    if (!simWorker) {
+        stepParticles({ positions, velocities, targets: getBlendedTargets(targets) }, params);
         positionAttribute.needsUpdate = true;
+        return;
+    }
+
+    // 把 Worker 剛算好的緩衝區換上去，原本顯示的緩衝區留給下一步
+    if (readyBuffer) {
+        spareBuffer = positionAttribute.array;
+        positionAttribute.array = readyBuffer;
+        positionAttribute.needsUpdate = true;
+        positions = readyBuffer;
+        readyBuffer = null;
+    }
+
+    pendingDt += params.dt;
+
+    if (!simBusy && spareBuffer) {
+        sendTargets(targets);
+
+        const buffer = spareBuffer;
+        simWorker.postMessage({
+            type: 'step',
+            params: { ...params, dt: Math.min(pendingDt, MAX_DT) },
+            buffer
+        }, [buffer.buffer]);
+
+        spareBuffer = null;
+        simBusy = true;
+        pendingDt = 0;
+    }
+}
+
+/**
+ * 設定粒子物理參數（與 updateConfig 相同的設定項目，不合法的項目印出警告後略過）
+ * @param {Object} options - { stiffness, damping, turbulence, turbulenceScale, turbulenceSpeed, explosion } 的部分項目
+ */
+export function setPhysics(options = {}) {
+    config = { ...config, ...checkGroup(options, PHYSICS_CONFIG_KEYS, 'setPhysics') };
+}
+
+/**
+ * 取得目前的粒子物理參數
+ * @returns {Object}
+ */
+export function getPhysics() {
+    const physics = {};
+    for (const key of PHYSICS_CONFIG_KEYS) {
+        physics[key] = config[key];
+    }
+    return physics;
+}
+
+/**
+ * 某畫質等級實際使用的像素比（不超過裝置本身的像素比）
+ */
+function getTierPixelRatio(tier) {
+    return Math.min(window.devicePixelRatio || 1, QUALITY_TIERS[tier].pixelRatio);
+}
+
+/**
+ * 套用畫質等級：調整繪製的粒子數（drawRange）與渲染像素比
+ * 形狀的分布（例如愛心的表面 / 內部比例）依粒子數而定，所以粒子數改變時目標座標與顏色都要重新生成
+ */
+function applyQualityTier(tier) {
+    const previousCount = particleCount;
+    particleCount = config.particleCount > 0 ? config.particleCount : QUALITY_TIERS[tier].particles;
+    pixelRatio = getTierPixelRatio(tier);
+
+    if (!particleGeometry) return;
+
+    renderer.setPixelRatio(pixelRatio);
+    particleMaterial.uniforms.pixelRatio.value = pixelRatio;
+
+    if (particleCount !== previousCount) {
+        clearShapeCache();
+        generateAppearance();
+        particleGeometry.getAttribute('size').needsUpdate = true;
+        particleGeometry.setDrawRange(0, particleCount);
+    }
+
+    console.log('畫質調整為 ' + QUALITY_TIERS[tier].name + '（' + particleCount + ' 顆粒子，像素比 ' + pixelRatio + '）');
+}
+
+/**
+ * 設定畫質
+ * @param {string} quality - 'auto' 依 FPS 自動調整，或固定等級 'low' / 'medium' / 'high' / 'ultra'
+ */
+export function setQuality(quality) {
+    if (quality === 'auto') {
+        config = { ...config, quality };
+        qualityManager.adaptive = true;
+        qualityManager.setTier(qualityManager.tier);
+        applyQualityTier(qualityManager.tier);
+        return;
+    }
+
+    const tier = QUALITY_TIERS.findIndex(t => t.name === quality);
+    if (tier < 0) {
+        console.warn('Invalid quality:', quality);
+        return;
+    }
+    config = { ...config, quality };
+    qualityManager.adaptive = false;
+    qualityManager.setTier(tier);
+    applyQualityTier(tier);
+}
 
-        currentRotationX += (targetRotationX - currentRotationX) * ROTATION_EASING;
-        currentRotationY += (targetRotationY - currentRotationY) * ROTATION_EASING;
+/**
+ * 取得目前的畫質狀態
+ * @returns {{ tier: string, auto: boolean, particles: number, pixelRatio: number, fps: number, targetFps: number }}
+ */
+export function getQuality() {
+    return {
+        tier: QUALITY_TIERS[qualityManager.tier].name,
+        auto: qualityManager.adaptive,
+        particles: particleCount,
+        pixelRatio,
+        fps: qualityManager.fps,
+        targetFps: qualityManager.targetFps
+    };
+}
+
+/**
+ * 設定自動調整畫質時要維持的 FPS
+ * @param {number} fps
+ */
+export function setTargetFps(fps) {
+    if (!(fps > 0)) {
+        console.warn('Invalid target FPS:', fps);
+        return;
+    }
+    config = { ...config, targetFps: fps };
+    qualityManager.setTargetFps(fps);
+}
+
+/**
+ * 把「60fps 時每幀移動的比例」換算成這一幀（dt 秒）的比例，讓緩動與幀率無關
+ */
+function easeFactor(easing, dt) {
+    return 1 - Math.pow(1 - easing, dt * 60);
+}
+
+function startAnimation() {
+    lastFrameTime = performance.now();
+
+    function animate() {
+        const now = performance.now();
+        const frameSeconds = (now - lastFrameTime) / 1000;
+        const dt = Math.min(frameSeconds, MAX_DT);
+        lastFrameTime = now;
+        time += dt;
+
+        const tier = qualityManager.update(frameSeconds);
+        if (tier !== null) {
+            applyQualityTier(tier);
+        }
+
+        if (particleMaterial) {
+            particleMaterial.uniforms.time.value = time;
+        }
+
+        // 混合時心跳的幅度依愛心的比重
+        const heartbeat = 1 + config.heartbeatAmplitude * Math.sin(time * config.heartbeatSpeed) * getShapeWeight('heart');
+
+        const positionAttribute = particleGeometry.getAttribute('position');
+        const targets = getCurrentTargets();
+        syncColors(dt);
+
+        updateSimulation(positionAttribute, targets, {
+            count: particleCount,
+            dt,
+            time,
+            heartbeat,
+            stiffness: config.stiffness,
+            damping: config.damping,
+            turbulence: config.turbulence,
+            turbulenceScale: config.turbulenceScale,
+            turbulenceSpeed: config.turbulenceSpeed,
+            forceFields: getForceFields()
+        });
+        updateTransition(dt, positionAttribute.array, targets, heartbeat);
+
+        currentRotationX += (targetRotationX - currentRotationX) * easeFactor(config.rotationEasing, dt);
+        currentRotationY += (targetRotationY - currentRotationY) * easeFactor(config.rotationEasing, dt);
+        currentScale += (targetScale - currentScale) * easeFactor(config.scaleEasing, dt);
+        currentAutoRotate += (targetAutoRotate - currentAutoRotate) * easeFactor(AUTO_ROTATE_EASING, dt);
+        spinAngle += (spinVelocity + currentAutoRotate) * dt;
+        spinVelocity *= Math.pow(SPIN_DECAY, dt * 60);
+        currentZoom += (targetZoom - currentZoom) * easeFactor(config.zoomEasing, dt);
+        camera.position.z = CAMERA_DISTANCE / currentZoom;
 
         if (particleContainer) {
             particleContainer.rotation.x = currentRotationX;
-            particleContainer.rotation.y = currentRotationY;
+            particleContainer.rotation.y = currentRotationY + spinAngle;
+            particleContainer.scale.setScalar(currentScale);
         }
 
         renderer.render(scene, camera);
+        events.emit('frame', { time, dt, fps: qualityManager.fps, mode: currentMode });
         animationId = requestAnimationFrame(animate);
     }
 
@@ -510,14 +1580,47 @@ export function stopAnimation() {
     }
 }
 
-export function resetParticles() {
-    heartTargets = generateHeartPoints(PARTICLE_COUNT);
-    spaceTargets = generateSpacePoints(PARTICLE_COUNT, SPACE_RADIUS);
-    console.log('粒子位置已重置');
+/**
+ * 重新生成所有粒子緩衝區
+ * 相同的種子會得到完全相同的座標、顏色與大小
+ *
+ * @param {number|string} [seed] - 新的種子，省略時隨機產生
+ */
+export function resetParticles(seed) {
+    currentSeed = seed !== undefined ? seed : randomSeed();
+    config = { ...config, seed: currentSeed };
+
+    // 清除所有快取的目標座標，下次使用時重新生成
+    clearShapeCache();
+
+    if (simWorker) {
+        simWorker.postMessage({ type: 'reset' });
+    } else if (velocities) {
+        velocities.fill(0);
+    }
+
+    if (particleGeometry) {
+        generateAppearance();
+        particleGeometry.getAttribute('size').needsUpdate = true;
+    }
+
+    console.log('粒子位置已重置，種子：' + currentSeed);
+}
+
+/**
+ * 取得目前的隨機種子（回報視覺問題時附上即可重現）
+ * @returns {number|string}
+ */
+export function getSeed() {
+    return currentSeed;
 }
 
 export function dispose() {
     stopAnimation();
+    if (simWorker) {
+        simWorker.terminate();
+        simWorker = null;
+    }
     if (particleGeometry) particleGeometry.dispose();
     if (particleMaterial) particleMaterial.dispose();
     if (renderer) {
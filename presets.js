@@ -0,0 +1,255 @@
+/**
+ * presets.js
+ * 設定預設組：內建組合、儲存到 localStorage、匯出 / 匯入 JSON
+ * 不直接依賴 DOM，storage 由呼叫端傳入（瀏覽器中為 localStorage，需要 getItem / setItem）
+ *
+ * 一個預設組包含以下群組的部分設定，套用時只改變有列出的項目：
+ * - config：particles.js 的 updateConfig（見 config.js）
+ * - physics：setPhysics
+ * - force：setForceOptions
+ * - gesture：gesture-logic.js 的 setGestureThresholds
+ * - tracking：hand-tracking.js 的 setTrackingFilterOptions（位置濾波、中心死區、抓取式旋轉）
+ * - palette：setPaletteAssignments（{ default: 'gold', heart: 'valentine', ... }）
+ */
+
+import { validateConfig, PHYSICS_CONFIG_KEYS, FORCE_CONFIG_KEYS } from './config.js';
+import { isValidGestureThreshold } from './gesture-logic.js';
+import { isValidFilterOption } from './filters.js';
+
+export const PRESET_STORAGE_KEY = 'hand-heart-particles:presets';
+const PRESET_FILE_VERSION = 1;
+
+// 預設組可以包含的群組
+export const PRESET_GROUPS = ['config', 'physics', 'force', 'gesture', 'tracking', 'palette'];
+
+// 不屬於外觀的設定，不會存進預設組（避免套用預設組時改變種子或模擬方式）
+export const PRESET_EXCLUDED_CONFIG = ['seed', 'worker'];
+
+// 內建預設組（唯讀，不能覆蓋或刪除）
+export const BUILTIN_PRESETS = {
+    '圓滾滾卡通愛心': {
+        config: { heartSize: 3.2, heartScaleX: 1.45, heartScaleY: 1.25, heartScaleZ: 1.4, centerLineAvoid: 0.05, heartbeatAmplitude: 0.08 },
+        physics: { stiffness: 8, damping: 3 }
+    },
+    '纖薄 2.5D 愛心': {
+        config: { heartSize: 3, heartScaleX: 1.3, heartScaleY: 1.1, heartScaleZ: 0.25, centerLineAvoid: 0.15, heartbeatAmplitude: 0.03 },
+        physics: { turbulence: 0.3 }
+    },
+    '冰與火': {
+        config: { colorBy: 'palette' },
+        palette: { heart: 'valentine', space: 'ice' }
+    }
+};
+
+/**
+ * 某個設定項目的值是否合法（見 config.js 的 CONFIG_SCHEMA）
+ */
+function isValidConfigValue(key, value) {
+    return validateConfig({ [key]: value }).errors.length === 0;
+}
+
+// 每個群組的驗證：(名稱, 值) => 是否保留；config 整組一起驗證（zoomMin / zoomMax 要一起檢查）
+// 調色盤的名稱在套用時才知道是否已註冊，這裡只檢查型別
+const PRESET_VALIDATORS = {
+    physics: (key, value) => PHYSICS_CONFIG_KEYS.includes(key) && isValidConfigValue(key, value),
+    force: (key, value) => key in FORCE_CONFIG_KEYS && isValidConfigValue(FORCE_CONFIG_KEYS[key], value),
+    gesture: isValidGestureThreshold,
+    tracking: isValidFilterOption,
+    palette: (key, value) => typeof value === 'string'
+};
+
+/**
+ * 整理一個群組：略過未知的名稱與不合法的值
+ */
+function normalizeGroup(group, values) {
+    if (group === 'config') {
+        const clean = validateConfig(values).values;
+        for (const key of PRESET_EXCLUDED_CONFIG) {
+            delete clean[key];
+        }
+        return clean;
+    }
+
+    const clean = {};
+    for (const [key, value] of Object.entries(values)) {
+        if (PRESET_VALIDATORS[group](key, value)) {
+            clean[key] = value;
+        }
+    }
+    return clean;
+}
+
+/**
+ * 整理一個預設組：只保留已知的群組，以及各群組中已知的名稱與合法的值
+ * （例如匯入的檔案中 { "physics": { "stiffness": "x", "foo": 1 } } 整組都會被略過）
+ * @param {Object} preset
+ * @returns {Object|null} 整理後的預設組，沒有任何項目時為 null
+ */
+export function normalizePreset(preset) {
+    if (!preset || typeof preset !== 'object') return null;
+
+    const result = {};
+    for (const group of PRESET_GROUPS) {
+        const values = preset[group];
+        if (!values || typeof values !== 'object' || Array.isArray(values)) continue;
+
+        const clean = normalizeGroup(group, values);
+        if (Object.keys(clean).length > 0) {
+            result[group] = clean;
+        }
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * 預設組的儲存庫
+ */
+export class PresetStore {
+    /**
+     * @param {Object|null} storage - localStorage 或相同介面的物件；null 時只在記憶體中保存
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.presets = this.load();
+    }
+
+    /**
+     * 從 storage 讀取使用者的預設組，資料損壞時視為空的
+     */
+    load() {
+        if (!this.storage) return {};
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(PRESET_STORAGE_KEY) || '{}');
+            const presets = {};
+            for (const [name, preset] of Object.entries(saved)) {
+                const clean = normalizePreset(preset);
+                if (clean && !(name in BUILTIN_PRESETS)) presets[name] = clean;
+            }
+            return presets;
+        } catch (error) {
+            console.warn('預設組資料損壞，已忽略:', error.message);
+            return {};
+        }
+    }
+
+    persist() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(this.presets));
+        } catch (error) {
+            // 例如隱私模式或容量已滿，預設組仍保留在記憶體中
+            console.warn('無法儲存預設組:', error.message);
+        }
+    }
+
+    /**
+     * 列出所有預設組（內建的在前）
+     * @returns {Array<{name: string, builtin: boolean}>}
+     */
+    list() {
+        return [
+            ...Object.keys(BUILTIN_PRESETS).map(name => ({ name, builtin: true })),
+            ...Object.keys(this.presets).map(name => ({ name, builtin: false }))
+        ];
+    }
+
+    /**
+     * 取得預設組
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    get(name) {
+        const preset = BUILTIN_PRESETS[name] || this.presets[name];
+        return preset ? JSON.parse(JSON.stringify(preset)) : null;
+    }
+
+    /**
+     * 儲存預設組（同名的使用者預設組會被覆蓋）
+     * @param {string} name
+     * @param {Object} preset
+     */
+    save(name, preset) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (trimmed === '') {
+            throw new Error('預設組名稱不能是空的');
+        }
+        if (trimmed in BUILTIN_PRESETS) {
+            throw new Error('不能覆蓋內建預設組：' + trimmed);
+        }
+
+        const clean = normalizePreset(preset);
+        if (!clean) {
+            throw new Error('預設組沒有任何設定');
+        }
+
+        this.presets[trimmed] = clean;
+        this.persist();
+        return trimmed;
+    }
+
+    /**
+     * 刪除使用者的預設組
+     * @param {string} name
+     * @returns {boolean} 是否有刪除
+     */
+    remove(name) {
+        if (!(name in this.presets)) return false;
+        delete this.presets[name];
+        this.persist();
+        return true;
+    }
+
+    /**
+     * 匯出預設組為 JSON 字串
+     * @param {string[]} [names] - 要匯出的名稱，預設為所有使用者的預設組
+     * @returns {string}
+     */
+    exportJson(names = Object.keys(this.presets)) {
+        const presets = {};
+        for (const name of names) {
+            const preset = this.get(name);
+            if (preset) presets[name] = preset;
+        }
+        return JSON.stringify({ version: PRESET_FILE_VERSION, presets }, null, 2);
+    }
+
+    /**
+     * 從 JSON 字串匯入預設組，同名的使用者預設組會被覆蓋，與內建同名的會被略過
+     * @param {string} text
+     * @returns {string[]} 匯入的名稱
+     */
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('預設組檔案不是有效的 JSON');
+        }
+
+        if (!data || typeof data.presets !== 'object' || data.presets === null) {
+            throw new Error('不是有效的預設組檔案');
+        }
+        if (data.version > PRESET_FILE_VERSION) {
+            throw new Error('不支援的預設組檔案版本：' + data.version);
+        }
+
+        const imported = [];
+        for (const [name, preset] of Object.entries(data.presets)) {
+            // 與 save() 相同，名稱去掉前後空白
+            const trimmed = name.trim();
+            const clean = normalizePreset(preset);
+            if (!clean || trimmed === '' || trimmed in BUILTIN_PRESETS) {
+                console.warn('略過無效的預設組:', name);
+                continue;
+            }
+            this.presets[trimmed] = clean;
+            imported.push(trimmed);
+        }
+
+        this.persist();
+        return imported;
+    }
+}
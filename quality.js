@@ -0,0 +1,145 @@
+/**
+ * quality.js
+ * 自動調整畫質：量測幀時間，在畫質等級之間升降以維持目標 FPS
+ * 純邏輯，不依賴 Three.js 或 DOM（可以直接在 Node 中測試）
+ */
+
+// 畫質等級（由低到高）：粒子數與像素比上限（實際像素比不超過裝置的 devicePixelRatio）
+export const QUALITY_TIERS = [
+    { name: 'low', particles: 15000, pixelRatio: 1 },
+    { name: 'medium', particles: 30000, pixelRatio: 1.5 },
+    { name: 'high', particles: 50000, pixelRatio: 2 },
+    { name: 'ultra', particles: 80000, pixelRatio: 2 }
+];
+
+// ===== 自動調整參數 =====
+const DEFAULT_TARGET_FPS = 60;
+const SAMPLE_SECONDS = 1;        // 每次計算 FPS 的區間長度
+const MAX_FRAME_SECONDS = 0.5;   // 超過的幀（切換分頁、除錯中斷）不列入計算
+const SETTLE_SECONDS = 2;        // 換等級後先等待，忽略重新生成形狀造成的卡頓
+const DOWNGRADE_RATIO = 0.85;    // FPS 低於目標的這個比例時視為過慢
+const DOWNGRADE_SAMPLES = 2;     // 連續幾個區間過慢才降級
+const UPGRADE_RATIO = 0.95;      // FPS 達到目標的這個比例時視為有餘裕
+const UPGRADE_SAMPLES = 5;       // 連續幾個區間有餘裕才升級
+const CEILING_SECONDS = 30;      // 從某等級降級後，多久內不再升回該等級（每次再降級加倍）
+// ========================
+
+/**
+ * 畫質管理器
+ * 每幀呼叫 update(幀秒數)，需要換等級時回傳新的等級索引
+ *
+ * 升級比降級保守：降級只需要 2 秒過慢，升級需要 5 秒達標；
+ * 從某個等級降下來後，會暫時把它當成上限，避免在兩個等級之間來回切換。
+ */
+export class QualityManager {
+    /**
+     * @param {number} tierCount - 等級數量
+     * @param {Object} [options]
+     * @param {number} [options.targetFps] - 目標 FPS，預設 60
+     * @param {number} [options.tier] - 起始等級索引，預設最高等級
+     * @param {boolean} [options.adaptive] - 是否自動調整，預設 true；false 時只量測 FPS
+     */
+    constructor(tierCount, options = {}) {
+        this.tierCount = tierCount;
+        this.targetFps = options.targetFps > 0 ? options.targetFps : DEFAULT_TARGET_FPS;
+        this.tier = options.tier !== undefined ? options.tier : tierCount - 1;
+        this.adaptive = options.adaptive !== false;
+        this.fps = 0;                 // 最近一個區間的平均 FPS
+        this.failures = new Array(tierCount).fill(0);  // 每個等級被降級的次數
+        this.resetSamples();
+        this.ceiling = tierCount - 1; // 目前允許升到的最高等級
+        this.ceilingTime = 0;         // 上限解除前的剩餘秒數
+    }
+
+    /**
+     * 記錄一幀
+     * @param {number} frameSeconds - 與上一幀的間隔（秒）
+     * @returns {number|null} 需要切換時回傳新的等級索引，否則為 null
+     */
+    update(frameSeconds) {
+        if (!(frameSeconds > 0) || frameSeconds > MAX_FRAME_SECONDS) {
+            return null;
+        }
+
+        if (this.ceilingTime > 0) {
+            this.ceilingTime -= frameSeconds;
+            if (this.ceilingTime <= 0) {
+                this.ceiling = this.tierCount - 1;
+            }
+        }
+        if (this.settleTime > 0) {
+            this.settleTime -= frameSeconds;
+        }
+
+        this.sampleFrames++;
+        this.sampleTime += frameSeconds;
+        if (this.sampleTime < SAMPLE_SECONDS) {
+            return null;
+        }
+
+        this.fps = this.sampleFrames / this.sampleTime;
+        this.sampleFrames = 0;
+        this.sampleTime = 0;
+
+        if (!this.adaptive || this.settleTime > 0) {
+            return null;
+        }
+
+        if (this.fps < this.targetFps * DOWNGRADE_RATIO) {
+            this.fastSamples = 0;
+            this.slowSamples++;
+            if (this.slowSamples >= DOWNGRADE_SAMPLES && this.tier > 0) {
+                this.failures[this.tier]++;
+                this.ceiling = this.tier - 1;
+                this.ceilingTime = CEILING_SECONDS * Math.pow(2, this.failures[this.tier] - 1);
+                return this.changeTier(this.tier - 1);
+            }
+        } else if (this.fps >= this.targetFps * UPGRADE_RATIO) {
+            this.slowSamples = 0;
+            this.fastSamples++;
+            if (this.fastSamples >= UPGRADE_SAMPLES && this.tier < this.ceiling) {
+                return this.changeTier(this.tier + 1);
+            }
+        } else {
+            this.slowSamples = 0;
+            this.fastSamples = 0;
+        }
+
+        return null;
+    }
+
+    /**
+     * 手動指定等級（同時解除自動降級留下的上限）
+     * @param {number} tier - 等級索引
+     */
+    setTier(tier) {
+        this.failures.fill(0);
+        this.ceiling = this.tierCount - 1;
+        this.ceilingTime = 0;
+        this.changeTier(Math.max(0, Math.min(this.tierCount - 1, tier)));
+    }
+
+    /**
+     * 設定目標 FPS
+     * @param {number} fps
+     */
+    setTargetFps(fps) {
+        if (!(fps > 0)) return;
+        this.targetFps = fps;
+        this.setTier(this.tier);
+    }
+
+    changeTier(tier) {
+        this.tier = tier;
+        this.resetSamples();
+        return tier;
+    }
+
+    resetSamples() {
+        this.sampleFrames = 0;
+        this.sampleTime = 0;
+        this.slowSamples = 0;
+        this.fastSamples = 0;
+        this.settleTime = SETTLE_SECONDS;
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * random.js
+ * 可設定種子的偽隨機數產生器，讓粒子外觀可以重現
+ */
+
+/**
+ * 把任意種子（數字或字串）轉成 32 位元無號整數
+ * 字串使用 FNV-1a 雜湊
+ * @param {number|string} seed - 種子
+ * @returns {number} 0 到 2^32 - 1 的整數
+ */
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(seed) >>> 0;
+    }
+
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * 建立偽隨機數產生器（mulberry32）
+ * 用法與 Math.random 相同：每次呼叫回傳 [0, 1) 的數
+ *
+ * @param {number|string} seed - 種子，相同種子會產生相同序列
+ * @returns {Function} () => number
+ */
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 產生一個隨機種子（沒有指定種子時使用）
+ * @returns {number}
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,501 @@
+/**
+ * settings-panel.js
+ * 即時設定面板：調整粒子系統與手勢偵測的參數（拖動即套用），並管理預設組
+ * 面板在第一次顯示時才建立；預設組存在 localStorage，可匯出 / 匯入 JSON（見 presets.js）
+ * 手勢校正的結果也在這裡顯示、重新校正或清除（見 calibration-ui.js）
+ */
+
+import { CONFIG_SCHEMA, PHYSICS_CONFIG_KEYS, FORCE_CONFIG_KEYS } from './config.js';
+import {
+    getConfig,
+    updateConfig,
+    getPhysics,
+    setPhysics,
+    getForceOptions,
+    setForceOptions,
+    getPalettes,
+    getPaletteAssignments,
+    setPaletteAssignments
+} from './particles.js';
+import { getGestureThresholds, setGestureThresholds } from './gesture-logic.js';
+import { getTrackingFilterOptions, setTrackingFilterOptions } from './hand-tracking.js';
+import { PresetStore, PRESET_EXCLUDED_CONFIG } from './presets.js';
+import { getCalibration, resetCalibration, describeCalibration } from './calibration-ui.js';
+
+// ===== 控制項範圍（粒子系統、粒子物理與力場的範圍來自 config.js 的 CONFIG_SCHEMA）=====
+const PHYSICS_CONTROLS = withSchemaRanges({
+    stiffness: { label: '彈簧強度', step: 0.5 },
+    damping: { label: '阻尼', step: 0.1 },
+    turbulence: { label: '擾動', step: 0.05 },
+    turbulenceScale: { label: '擾動空間頻率', step: 0.05 },
+    turbulenceSpeed: { label: '擾動變化速度', step: 0.05 },
+    explosion: { label: '炸開初速度', step: 0.5 }
+});
+
+const FORCE_CONTROLS = withSchemaRanges({
+    mode: { label: '模式' },
+    radius: { label: '影響半徑', step: 0.1 },
+    strength: { label: '強度', step: 1 },
+    swirl: { label: '旋轉分量', step: 0.05 }
+}, FORCE_CONFIG_KEYS);
+
+const GESTURE_CONTROLS = {
+    enterTime: { label: '手勢確認時間（毫秒）', min: 10, max: 1000, step: 10 },
+    exitTime: { label: '手勢放開時間（毫秒）', min: 10, max: 2000, step: 10 },
+    dropoutTime: { label: '容忍掉幀時間（毫秒）', min: 0, max: 500, step: 10 },
+    enterConfidence: { label: '進入手勢的信心', min: 0.05, max: 1, step: 0.05 },
+    exitConfidence: { label: '維持手勢的信心', min: 0, max: 1, step: 0.05 },
+    debounceFrames: { label: '雙手愛心去抖動幀數', min: 1, max: 20, step: 1 },
+    extendedThreshold: { label: '手指伸展距離', min: 0.8, max: 2.5, step: 0.05 },
+    thumbExtendedCurl: { label: '大拇指伸展彎曲上限', min: 0.1, max: 1, step: 0.05 },
+    openMinFingers: { label: '張開的最少伸展指數', min: 1, max: 5, step: 1 },
+    fistMaxFingers: { label: '握拳的最多伸展指數', min: 0, max: 4, step: 1 },
+    pinchThreshold: { label: '捏合距離', min: 0.1, max: 1, step: 0.01 },
+    pinchMinIndexDistance: { label: '捏合時食指最短距離', min: 0.2, max: 1.5, step: 0.05 },
+    thumbsUpRise: { label: '比讚高度', min: 0.1, max: 1.5, step: 0.05 },
+    heartTouch: { label: '雙手愛心接觸距離', min: 0.2, max: 1.5, step: 0.05 },
+    heartRise: { label: '雙手愛心高度差', min: 0.1, max: 1.5, step: 0.05 },
+    swipeMinDistance: { label: '揮動距離', min: 0.5, max: 4, step: 0.1 },
+    waveMinReversals: { label: '揮手來回次數', min: 1, max: 8, step: 1 },
+    waveMinAmplitude: { label: '揮手擺幅', min: 0.1, max: 1.5, step: 0.05 },
+    circleMinTurns: { label: '畫圈圈數', min: 0.3, max: 2, step: 0.05 },
+    circleMinRadius: { label: '畫圈半徑', min: 0.1, max: 1.5, step: 0.05 },
+    pushMinGrowth: { label: '推的放大倍率', min: 1.05, max: 2.5, step: 0.05 }
+};
+
+const TRACKING_CONTROLS = {
+    enabled: { label: '位置濾波', type: 'boolean' },
+    minCutoff: { label: '靜止時的平滑（截止頻率）', min: 0.1, max: 10, step: 0.1 },
+    beta: { label: '移動時的跟手程度', min: 0, max: 30, step: 0.5 },
+    dCutoff: { label: '速度估計的截止頻率', min: 0.1, max: 10, step: 0.1 },
+    deadZone: { label: '中心死區', min: 0, max: 0.5, step: 0.01 },
+    clutch: { label: '握拳抓取旋轉', type: 'boolean' },
+    clutchGain: { label: '抓取旋轉倍率', min: 0.2, max: 5, step: 0.1 }
+};
+// ==============================================================
+
+// 面板的每個群組：控制項、讀取與套用設定的函式
+const GROUPS = [
+    { id: 'config', title: '粒子系統', controls: getConfigControls(), get: getConfig, set: updateConfig },
+    { id: 'physics', title: '粒子物理', controls: PHYSICS_CONTROLS, get: getPhysics, set: setPhysics },
+    { id: 'force', title: '手指力場', controls: FORCE_CONTROLS, get: getForceOptions, set: setForceOptions },
+    { id: 'gesture', title: '手勢偵測', controls: GESTURE_CONTROLS, get: getGestureThresholds, set: setGestureThresholds },
+    { id: 'tracking', title: '手部追蹤', controls: TRACKING_CONTROLS, get: getTrackingFilterOptions, set: setTrackingFilterOptions },
+    { id: 'palette', title: '調色盤', controls: getPaletteControls, get: getPaletteAssignments, set: setPaletteAssignments }
+];
+
+let panel = null;
+let presetSelect = null;
+let store = null;
+let initialSettings = null;    // 設定面板啟用時的設定，「恢復初始值」用
+let notify = () => {};
+let calibrate = null;          // 開始手勢校正的函式
+let calibrationSummary = null;
+const inputs = [];             // { group, key, control, input, output }
+
+// 粒子物理與力場的設定項目有自己的區塊，不列在「粒子系統」
+const GROUPED_CONFIG_KEYS = [...PHYSICS_CONFIG_KEYS, ...Object.values(FORCE_CONFIG_KEYS)];
+
+/**
+ * 把 CONFIG_SCHEMA 轉成控制項
+ * 數值的間隔取範圍的 1/100 左右的 10 的次方（例如 0.1–20 → 0.1）
+ */
+function getConfigControls() {
+    const controls = {};
+    for (const [key, option] of Object.entries(CONFIG_SCHEMA)) {
+        if (GROUPED_CONFIG_KEYS.includes(key)) continue;
+        const control = { label: option.description, type: option.type, values: option.values };
+        if (option.type === 'number') {
+            control.min = option.min;
+            control.max = option.max;
+            control.step = option.integer
+                ? 1
+                : Math.min(1, Math.pow(10, Math.floor(Math.log10((option.max - option.min) / 100))));
+        }
+        controls[key] = control;
+    }
+    return controls;
+}
+
+/**
+ * 補上 CONFIG_SCHEMA 的型別、範圍與選項，這裡只指定標籤與間隔
+ * @param {Object} controls - 名稱 → { label, step }
+ * @param {Object} [configKeys] - 名稱 → 設定項目名稱（例如力場的 radius → forceRadius），省略時相同
+ * @returns {Object} 名稱 → 控制項
+ */
+function withSchemaRanges(controls, configKeys = {}) {
+    const result = {};
+    for (const [key, control] of Object.entries(controls)) {
+        const option = CONFIG_SCHEMA[configKeys[key] !== undefined ? configKeys[key] : key];
+        result[key] = { ...control, type: option.type, values: option.values, min: option.min, max: option.max };
+    }
+    return result;
+}
+
+/**
+ * 每個形狀一個調色盤選單（在建立面板時才讀取，包含之後用 registerPalette 註冊的調色盤）
+ * 形狀的選單多一個 'default'，表示跟隨預設調色盤
+ */
+function getPaletteControls() {
+    const names = getPalettes().map(palette => palette.name);
+    const controls = {};
+    for (const mode of Object.keys(getPaletteAssignments())) {
+        controls[mode] = mode === 'default'
+            ? { label: '預設調色盤', values: names }
+            : { label: mode, values: ['default', ...names] };
+    }
+    return controls;
+}
+
+/**
+ * 取得 localStorage（隱私模式下可能無法使用）
+ */
+function getStorage() {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 目前所有群組的設定（不含種子與模擬方式）
+ */
+function captureSettings() {
+    const settings = {};
+    for (const group of GROUPS) {
+        settings[group.id] = group.get();
+    }
+    for (const key of [...PRESET_EXCLUDED_CONFIG, ...GROUPED_CONFIG_KEYS]) {
+        delete settings.config[key];
+    }
+    return settings;
+}
+
+/**
+ * 套用一組設定，只改變有列出的項目
+ */
+function applySettings(settings) {
+    for (const group of GROUPS) {
+        if (settings[group.id]) {
+            group.set(settings[group.id]);
+        }
+    }
+    refreshControls();
+}
+
+/**
+ * 從控制項讀出設定值
+ */
+function readInput(control, input) {
+    if (control.type === 'boolean') {
+        return input.checked;
+    }
+    if (control.type === 'seed') {
+        const text = input.value.trim();
+        if (text === '') return null;
+        return /^\d+$/.test(text) ? Number(text) : text;
+    }
+    if (control.values) {
+        return input.value;
+    }
+    return Number(input.value);
+}
+
+/**
+ * 以目前的設定更新所有控制項
+ */
+function refreshControls() {
+    const values = {};
+    for (const group of GROUPS) {
+        values[group.id] = group.get();
+    }
+
+    for (const { group, key, control, input, output } of inputs) {
+        const value = values[group.id][key];
+        if (control.type === 'boolean') {
+            input.checked = value;
+        } else {
+            input.value = value === null ? '' : value;
+        }
+        if (output) {
+            output.textContent = Number(value.toFixed(3));
+        }
+    }
+
+    refreshCalibrationSummary();
+}
+
+/**
+ * 顯示目前套用的手勢校正
+ */
+function refreshCalibrationSummary() {
+    if (!calibrationSummary) return;
+
+    const calibration = getCalibration();
+    calibrationSummary.textContent = calibration
+        ? describeCalibration(calibration.thresholds)
+        : '尚未校正，使用預設閾值';
+    calibrationSummary.title = calibration && calibration.createdAt
+        ? '校正時間：' + new Date(calibration.createdAt).toLocaleString()
+        : '';
+}
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function createButton(text, onClick) {
+    const button = createElement('button', null, text);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * 建立一個控制項：數值為滑桿，選項為下拉選單，布林為核取方塊，種子為文字欄位
+ */
+function createControl(group, key, control) {
+    const row = createElement('label', 'settings-row');
+    row.title = key;
+    row.appendChild(createElement('span', 'settings-label', control.label));
+
+    let input;
+    let output = null;
+
+    if (control.values) {
+        input = document.createElement('select');
+        for (const value of control.values) {
+            input.appendChild(new Option(value, value));
+        }
+    } else if (control.type === 'boolean') {
+        input = document.createElement('input');
+        input.type = 'checkbox';
+    } else if (control.type === 'seed') {
+        input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = '隨機';
+    } else {
+        input = document.createElement('input');
+        input.type = 'range';
+        input.min = control.min;
+        input.max = control.max;
+        input.step = control.step;
+        output = createElement('output', 'settings-value');
+    }
+
+    // 滑桿拖動時即時套用，其他控制項在值確定後套用
+    const eventName = input.type === 'range' ? 'input' : 'change';
+    input.addEventListener(eventName, () => {
+        group.set({ [key]: readInput(control, input) });
+        refreshControls();
+    });
+
+    row.appendChild(input);
+    if (output) row.appendChild(output);
+    inputs.push({ group, key, control, input, output });
+    return row;
+}
+
+/**
+ * 重新列出預設組
+ * @param {string} [selected] - 要選取的名稱
+ */
+function refreshPresetList(selected) {
+    presetSelect.textContent = '';
+    for (const { name, builtin } of store.list()) {
+        presetSelect.appendChild(new Option(builtin ? name + '（內建）' : name, name));
+    }
+    if (selected) presetSelect.value = selected;
+}
+
+/**
+ * 下載預設組 JSON 檔
+ */
+function downloadPresets(json) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `particle-presets-${Date.now()}.json`;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 建立預設組區塊：選擇 / 套用 / 刪除 / 儲存 / 匯出 / 匯入 / 恢復初始值
+ */
+function createPresetSection() {
+    const section = createElement('section', 'settings-presets');
+    section.appendChild(createElement('h3', null, '預設組'));
+
+    presetSelect = document.createElement('select');
+    refreshPresetList();
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = '新的預設組名稱';
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        try {
+            const imported = store.importJson(await file.text());
+            refreshPresetList(imported[0]);
+            notify(`📥 匯入 ${imported.length} 個預設組`);
+        } catch (error) {
+            console.error('預設組匯入失敗:', error);
+            notify('⚠️ ' + error.message);
+        }
+    });
+
+    const row1 = createElement('div', 'settings-buttons');
+    row1.appendChild(presetSelect);
+    row1.appendChild(createButton('套用', () => {
+        const name = presetSelect.value;
+        const preset = store.get(name);
+        if (!preset) return;
+        applySettings(preset);
+        notify('🎛️ 已套用預設組：' + name);
+    }));
+    row1.appendChild(createButton('刪除', () => {
+        const name = presetSelect.value;
+        if (store.remove(name)) {
+            refreshPresetList();
+            notify('🗑️ 已刪除預設組：' + name);
+        } else {
+            notify('⚠️ 內建預設組不能刪除');
+        }
+    }));
+
+    const row2 = createElement('div', 'settings-buttons');
+    row2.appendChild(nameInput);
+    row2.appendChild(createButton('儲存目前設定', () => {
+        try {
+            const name = store.save(nameInput.value, captureSettings());
+            nameInput.value = '';
+            refreshPresetList(name);
+            notify('💾 已儲存預設組：' + name);
+        } catch (error) {
+            notify('⚠️ ' + error.message);
+        }
+    }));
+
+    const row3 = createElement('div', 'settings-buttons');
+    row3.appendChild(createButton('匯出 JSON', () => {
+        if (store.list().every(preset => preset.builtin)) {
+            notify('⚠️ 還沒有儲存任何預設組');
+            return;
+        }
+        downloadPresets(store.exportJson());
+    }));
+    row3.appendChild(createButton('匯入 JSON', () => fileInput.click()));
+    row3.appendChild(createButton('恢復初始值', () => {
+        applySettings(initialSettings);
+        notify('↩️ 已恢復初始設定');
+    }));
+
+    section.appendChild(row1);
+    section.appendChild(row2);
+    section.appendChild(row3);
+    section.appendChild(fileInput);
+    return section;
+}
+
+/**
+ * 建立手勢校正區塊：目前的校正結果、開始校正、清除校正
+ */
+function createCalibrationSection() {
+    const section = createElement('section', 'settings-calibration');
+    section.appendChild(createElement('h3', null, '手勢校正'));
+
+    calibrationSummary = createElement('p', 'settings-summary');
+    section.appendChild(calibrationSummary);
+
+    const row = createElement('div', 'settings-buttons');
+    row.appendChild(createButton('開始校正', () => {
+        toggleSettingsPanel(false);
+        if (calibrate) calibrate();
+    }));
+    row.appendChild(createButton('清除校正', () => {
+        resetCalibration();
+        refreshControls();
+    }));
+    section.appendChild(row);
+    return section;
+}
+
+/**
+ * 建立面板
+ */
+function createPanel() {
+    panel = createElement('div', 'hidden');
+    panel.id = 'settings-panel';
+
+    // 在面板中打字時不要觸發全域快捷鍵（例如 R 錄製、S 開關面板），Esc 關閉面板
+    panel.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') toggleSettingsPanel(false);
+    });
+
+    const header = createElement('div', 'settings-header');
+    header.appendChild(createElement('h2', null, '⚙️ 設定'));
+    header.appendChild(createButton('✕', () => toggleSettingsPanel(false)));
+    panel.appendChild(header);
+
+    panel.appendChild(createPresetSection());
+    panel.appendChild(createCalibrationSection());
+
+    for (const group of GROUPS) {
+        const details = createElement('details');
+        details.open = group.id === 'config';
+        details.appendChild(createElement('summary', null, group.title));
+        const controls = typeof group.controls === 'function' ? group.controls() : group.controls;
+        for (const [key, control] of Object.entries(controls)) {
+            details.appendChild(createControl(group, key, control));
+        }
+        panel.appendChild(details);
+    }
+
+    document.body.appendChild(panel);
+}
+
+/**
+ * 啟用設定面板（在 initParticles 之後呼叫，以當下的設定作為「恢復初始值」）
+ * @param {Object} [options]
+ * @param {Function} [options.onMessage] - 顯示訊息的函式（例如通知列）
+ * @param {Function} [options.onCalibrate] - 「開始校正」按鈕呼叫的函式
+ */
+export function setupSettingsPanel(options = {}) {
+    store = new PresetStore(getStorage());
+    initialSettings = captureSettings();
+    if (options.onMessage) notify = options.onMessage;
+    if (options.onCalibrate) calibrate = options.onCalibrate;
+}
+
+/**
+ * 顯示 / 隱藏設定面板
+ * @param {boolean} [visible] - 省略時切換
+ */
+export function toggleSettingsPanel(visible) {
+    if (!store) {
+        console.warn('設定面板尚未啟用，請先呼叫 setupSettingsPanel()');
+        return;
+    }
+    if (!panel) createPanel();
+
+    const show = visible !== undefined ? visible : panel.classList.contains('hidden');
+    panel.classList.toggle('hidden', !show);
+    if (show) refreshControls();
+}
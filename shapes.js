@@ -0,0 +1,158 @@
+/**
+ * shapes.js
+ * 內建的額外粒子形狀：球體、甜甜圈、圓環、星形、DNA 雙螺旋
+ *
+ * 每個產生器的簽名都是 (count, rng) => Float32Array(count * 3)，
+ * rng 為 random.js 的偽隨機數產生器（省略時使用 Math.random），
+ * 可以直接交給 particles.js 的 registerShape 使用。
+ */
+
+// ===== 形狀尺寸參數（與愛心大小相近） =====
+const SPHERE_RADIUS = 3.2;
+const TORUS_MAJOR_RADIUS = 3.0;
+const TORUS_MINOR_RADIUS = 1.0;
+const RING_RADIUS = 3.6;
+const RING_WIDTH = 0.35;
+const STAR_OUTER_RADIUS = 4.0;
+const STAR_INNER_RADIUS = 1.7;
+const STAR_POINTS = 5;
+const STAR_THICKNESS = 0.5;
+const HELIX_RADIUS = 1.4;
+const HELIX_HEIGHT = 8.0;
+const HELIX_TURNS = 2.5;
+// ==========================================
+
+/**
+ * 生成球殼座標
+ * 大部分粒子在表面，少量往內填充讓球看起來有體積
+ */
+export function generateSpherePoints(count, rng = Math.random) {
+    const points = new Float32Array(count * 3);
+
+    for (let i = 0; i < count; i++) {
+        const theta = rng() * Math.PI * 2;
+        const phi = Math.acos(2 * rng() - 1);
+        // 85% 在表面附近，15% 往內填充
+        const r = rng() < 0.85
+            ? SPHERE_RADIUS * (0.97 + rng() * 0.03)
+            : SPHERE_RADIUS * Math.cbrt(rng());
+
+        points[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+        points[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
+        points[i * 3 + 2] = r * Math.cos(phi);
+    }
+
+    return points;
+}
+
+/**
+ * 生成甜甜圈（環面）座標
+ * 面向鏡頭擺放，從正面看是一個圓圈
+ */
+export function generateTorusPoints(count, rng = Math.random) {
+    const points = new Float32Array(count * 3);
+
+    for (let i = 0; i < count; i++) {
+        const u = rng() * Math.PI * 2;  // 繞主軸
+        const v = rng() * Math.PI * 2;  // 繞管子
+        const tube = TORUS_MINOR_RADIUS * Math.sqrt(rng() * 0.2 + 0.8);
+
+        const ring = TORUS_MAJOR_RADIUS + tube * Math.cos(v);
+        points[i * 3] = ring * Math.cos(u);
+        points[i * 3 + 1] = ring * Math.sin(u);
+        points[i * 3 + 2] = tube * Math.sin(v);
+    }
+
+    return points;
+}
+
+/**
+ * 生成細圓環座標（像光環一樣的扁平環帶）
+ */
+export function generateRingPoints(count, rng = Math.random) {
+    const points = new Float32Array(count * 3);
+
+    for (let i = 0; i < count; i++) {
+        const angle = rng() * Math.PI * 2;
+        const r = RING_RADIUS + (rng() - 0.5) * RING_WIDTH;
+
+        points[i * 3] = r * Math.cos(angle);
+        points[i * 3 + 1] = r * Math.sin(angle);
+        points[i * 3 + 2] = (rng() - 0.5) * RING_WIDTH * 0.5;
+    }
+
+    return points;
+}
+
+/**
+ * 生成星形座標
+ * 先在 XY 平面上畫出五角星輪廓，再往內填充並加上一點 Z 軸厚度
+ */
+export function generateStarPoints(count, rng = Math.random) {
+    const points = new Float32Array(count * 3);
+    const vertexCount = STAR_POINTS * 2;
+
+    for (let i = 0; i < count; i++) {
+        // 隨機挑選輪廓上的一段邊，並在邊上取一點
+        const edge = Math.floor(rng() * vertexCount);
+        const t = rng();
+
+        const a0 = (edge / vertexCount) * Math.PI * 2 + Math.PI / 2;
+        const a1 = ((edge + 1) / vertexCount) * Math.PI * 2 + Math.PI / 2;
+        const r0 = edge % 2 === 0 ? STAR_OUTER_RADIUS : STAR_INNER_RADIUS;
+        const r1 = edge % 2 === 0 ? STAR_INNER_RADIUS : STAR_OUTER_RADIUS;
+
+        const edgeX = (r0 * Math.cos(a0)) * (1 - t) + (r1 * Math.cos(a1)) * t;
+        const edgeY = (r0 * Math.sin(a0)) * (1 - t) + (r1 * Math.sin(a1)) * t;
+
+        // 60% 在輪廓上，40% 往中心填充（偏向外層）
+        const fill = rng() < 0.6 ? 1 : Math.sqrt(rng());
+
+        points[i * 3] = edgeX * fill;
+        points[i * 3 + 1] = edgeY * fill;
+        points[i * 3 + 2] = (rng() - 0.5) * STAR_THICKNESS * fill;
+    }
+
+    return points;
+}
+
+/**
+ * 生成 DNA 雙螺旋座標
+ * 兩條互相錯開 180° 的螺旋骨架，中間以鹼基對橫桿連接
+ */
+export function generateHelixPoints(count, rng = Math.random) {
+    const points = new Float32Array(count * 3);
+    const rungCount = Math.round(HELIX_TURNS * 10);
+
+    for (let i = 0; i < count; i++) {
+        let x, y, z;
+
+        if (rng() < 0.75) {
+            // 螺旋骨架
+            const t = rng();
+            const strand = rng() < 0.5 ? 0 : Math.PI;
+            const angle = t * HELIX_TURNS * Math.PI * 2 + strand;
+            const jitter = 0.12;
+
+            x = HELIX_RADIUS * Math.cos(angle) + (rng() - 0.5) * jitter;
+            y = (t - 0.5) * HELIX_HEIGHT + (rng() - 0.5) * jitter;
+            z = HELIX_RADIUS * Math.sin(angle) + (rng() - 0.5) * jitter;
+        } else {
+            // 鹼基對橫桿：固定間距，連接兩條骨架
+            const rung = Math.floor(rng() * rungCount);
+            const t = (rung + 0.5) / rungCount;
+            const angle = t * HELIX_TURNS * Math.PI * 2;
+            const s = rng() * 2 - 1;
+
+            x = HELIX_RADIUS * Math.cos(angle) * s;
+            y = (t - 0.5) * HELIX_HEIGHT;
+            z = HELIX_RADIUS * Math.sin(angle) * s;
+        }
+
+        points[i * 3] = x;
+        points[i * 3 + 1] = y;
+        points[i * 3 + 2] = z;
+    }
+
+    return points;
+}
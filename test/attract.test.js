@@ -0,0 +1,73 @@
+/**
+ * attract.test.js
+ * 測試閒置吸引模式的計時（進入、切換形狀、有人出現時離開）
+ *
+ * 執行：npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AttractMode } from '../attract.js';
+
+/**
+ * 以固定間隔跑 seconds 秒，回傳過程中的所有事件
+ */
+function run(attract, seconds, step = 0.5) {
+    const events = [];
+    for (let t = 0; t < seconds; t += step) {
+        const event = attract.update(step);
+        if (event) events.push(event);
+    }
+    return events;
+}
+
+describe('AttractMode', () => {
+    test('沒有人一段時間後進入，之後定時切換形狀', () => {
+        const attract = new AttractMode({ idleDelay: 10, cycleInterval: 4 });
+
+        assert.deepEqual(run(attract, 9.5), []);
+        assert.deepEqual(run(attract, 0.5), ['start']);
+        assert.equal(attract.active, true);
+        assert.deepEqual(run(attract, 8), ['cycle', 'cycle']);
+    });
+
+    test('有手的期間不會進入，手離開後重新計時', () => {
+        const attract = new AttractMode({ idleDelay: 10 });
+        run(attract, 8);
+
+        assert.equal(attract.setPresence(true), null);
+        assert.deepEqual(run(attract, 60), []);
+
+        attract.setPresence(false);
+        assert.deepEqual(run(attract, 9.5), []);
+        assert.deepEqual(run(attract, 0.5), ['start']);
+    });
+
+    test('手出現時立即離開吸引模式', () => {
+        const attract = new AttractMode({ idleDelay: 5 });
+        run(attract, 5);
+
+        assert.equal(attract.setPresence(true), 'stop');
+        assert.equal(attract.active, false);
+        assert.equal(attract.setPresence(true), null);
+    });
+
+    test('滑鼠或按鍵操作重新計時，吸引模式中則離開', () => {
+        const attract = new AttractMode({ idleDelay: 5 });
+        run(attract, 4);
+        assert.equal(attract.activity(), null);
+        assert.deepEqual(run(attract, 4), []);
+
+        run(attract, 1);
+        assert.equal(attract.active, true);
+        assert.equal(attract.activity(), 'stop');
+        assert.deepEqual(run(attract, 4.5), []);
+    });
+
+    test('idleDelay 為 0 時關閉', () => {
+        const attract = new AttractMode({ idleDelay: 0 });
+
+        assert.deepEqual(run(attract, 600, 1), []);
+    });
+});
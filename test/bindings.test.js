@@ -0,0 +1,96 @@
+/**
+ * bindings.test.js
+ * 測試輸入 → 動作對應表的驗證、合併與輸入名稱
+ *
+ * 執行：npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_BINDINGS,
+    validateBindings,
+    parseBindings,
+    resolveBinding,
+    getMotionInput,
+    getKeyInput
+} from '../bindings.js';
+
+describe('輸入名稱', () => {
+    test('動態手勢依類型與方向命名，揮手不分方向', () => {
+        assert.equal(getMotionInput({ type: 'swipe', direction: 'left' }), 'swipe:left');
+        assert.equal(getMotionInput({ type: 'circle', direction: 'clockwise', angularVelocity: 3 }), 'circle:clockwise');
+        assert.equal(getMotionInput({ type: 'wave', direction: 1 }), 'wave');
+        assert.equal(getMotionInput({ type: 'push' }), 'push');
+    });
+
+    test('按鍵轉小寫，空白鍵為 space', () => {
+        assert.equal(getKeyInput('S'), 'key:s');
+        assert.equal(getKeyInput('ArrowRight'), 'key:arrowright');
+        assert.equal(getKeyInput(' '), 'key:space');
+    });
+});
+
+describe('validateBindings', () => {
+    test('沒有自訂時為預設的對應，值一律為陣列', () => {
+        const { bindings, errors } = validateBindings({});
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(Object.keys(bindings), Object.keys(DEFAULT_BINDINGS));
+        assert.deepEqual(resolveBinding(bindings, 'pose:fist'), [DEFAULT_BINDINGS['pose:fist']]);
+    });
+
+    test('覆寫、新增與用 null 移除預設的對應', () => {
+        const { bindings, errors } = validateBindings({
+            'pose:fist': { action: 'setPalette', palette: 'valentine', mode: 'heart' },
+            'key:b': [{ action: 'burst', speed: 12 }, { action: 'cyclePalette' }],
+            'push': null
+        });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(resolveBinding(bindings, 'pose:fist'), [{ action: 'setPalette', palette: 'valentine', mode: 'heart' }]);
+        assert.equal(resolveBinding(bindings, 'key:b').length, 2);
+        assert.deepEqual(resolveBinding(bindings, 'push'), []);
+        assert.deepEqual(resolveBinding(bindings, 'pose:open'), [DEFAULT_BINDINGS['pose:open']]);
+    });
+
+    test('不合法的項目略過並回報，預設的對應保留', () => {
+        const { bindings, errors } = validateBindings({
+            'pose:fist': { action: 'fly' },
+            'pose:open': { action: 'setMode' },
+            'swipe:left': { action: 'cycleShape', step: 'next' },
+            'swipe:right': { action: 'burst', color: 'red' },
+            'blink': { action: 'burst' },
+            'key:x': []
+        });
+
+        assert.equal(errors.length, 6);
+        assert.ok(errors[0].startsWith('pose:fist'));
+        assert.ok(errors[4].startsWith('blink'));
+        assert.deepEqual(resolveBinding(bindings, 'pose:fist'), [DEFAULT_BINDINGS['pose:fist']]);
+        assert.deepEqual(resolveBinding(bindings, 'key:x'), []);
+    });
+
+    test('不是物件時回報錯誤', () => {
+        assert.deepEqual(validateBindings([]).errors, ['對應表必須是物件']);
+    });
+});
+
+describe('parseBindings', () => {
+    test('與預設值合併；replace 時只使用檔案中的對應', () => {
+        const text = JSON.stringify({ version: 1, bindings: { 'key:space': { action: 'toggleRotationLock' } } });
+        const merged = parseBindings(text).bindings;
+        assert.equal(resolveBinding(merged, 'key:space').length, 1);
+        assert.equal(resolveBinding(merged, 'pose:fist').length, 1);
+
+        const replaced = parseBindings(JSON.stringify({ version: 1, replace: true, bindings: { tap: { action: 'reset', seed: 42 } } }));
+        assert.deepEqual(Object.keys(replaced.bindings), ['tap']);
+    });
+
+    test('無效的檔案拋出錯誤', () => {
+        assert.throws(() => parseBindings('{'), /JSON/);
+        assert.throws(() => parseBindings('{"version":1}'), /不是有效的對應表檔案/);
+        assert.throws(() => parseBindings('{"version":2,"bindings":{}}'), /版本/);
+    });
+});
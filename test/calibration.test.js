@@ -0,0 +1,147 @@
+/**
+ * calibration.test.js
+ * 測試手勢校正：由張開手與握拳算出閾值、校正流程的計時、儲存與讀取
+ *
+ * 執行：npm test
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    computeCalibration,
+    CalibrationSession,
+    loadCalibration,
+    saveCalibration,
+    clearCalibration,
+    CALIBRATION_STEPS,
+    CALIBRATION_STORAGE_KEY
+} from '../calibration.js';
+import {
+    getFingerStates,
+    detectHandState,
+    setGestureThresholds,
+    resetGestureThresholds
+} from '../gesture-logic.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/hands.json', import.meta.url), 'utf8'));
+
+/**
+ * 輪流重複幾個 fixture 的手指狀態
+ */
+function repeat(names, count) {
+    return Array.from({ length: count }, (_, i) => getFingerStates(fixtures[names[i % names.length]].landmarks));
+}
+
+/**
+ * 與 localStorage 相同介面的記憶體儲存
+ */
+function createStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: key => { delete data[key]; }
+    };
+}
+
+describe('computeCalibration', () => {
+    afterEach(() => resetGestureThresholds());
+
+    test('五指都能伸直時與預設的根數相同，伸展距離落在張開與握拳之間', () => {
+        const { thresholds, fingers } = computeCalibration({
+            open: repeat(['open', 'rotatedOpen'], 12),
+            fist: repeat(['fist', 'rotatedFist'], 12)
+        });
+
+        assert.equal(thresholds.openMinFingers, 4);
+        assert.equal(thresholds.fistMaxFingers, 1);
+        assert.ok(thresholds.extendedThreshold > 0.6 && thresholds.extendedThreshold < 1.3, String(thresholds.extendedThreshold));
+        assert.ok(thresholds.thumbExtendedCurl > 0.1 && thresholds.thumbExtendedCurl < 0.9);
+        assert.ok(Object.values(fingers).every(finger => finger.reliable));
+    });
+
+    test('只能伸直三根手指時，校正後的閾值讓張開與握拳都能被判斷', () => {
+        const three = fixtures.three.landmarks;
+        assert.equal(detectHandState(three).state, null);
+
+        const { thresholds, fingers } = computeCalibration({
+            open: repeat(['three'], 10),
+            fist: repeat(['fist'], 10)
+        });
+        assert.equal(fingers.pinky.reliable, false);
+        assert.deepEqual([thresholds.openMinFingers, thresholds.fistMaxFingers], [2, 0]);
+
+        setGestureThresholds(thresholds);
+        assert.equal(detectHandState(three).state, 'open');
+        assert.equal(detectHandState(fixtures.fist.landmarks).state, 'fist');
+        assert.equal(detectHandState(fixtures.point.landmarks).state, null);
+    });
+
+    test('資料不足或張開與握拳分不出來時拋出錯誤', () => {
+        assert.throws(() => computeCalibration({ open: repeat(['open'], 3), fist: repeat(['fist'], 10) }), /不足/);
+        assert.throws(() => computeCalibration({ open: repeat(['fist'], 10), fist: repeat(['fist'], 10) }), /相同/);
+        assert.throws(() => computeCalibration({ open: repeat(['point'], 10), fist: repeat(['fist'], 10) }), /差異太小/);
+    });
+});
+
+describe('CalibrationSession', () => {
+    test('依序準備、記錄張開手與握拳，結束後可以計算', () => {
+        const session = new CalibrationSession({ prepareTime: 1000, captureTime: 500, minSamples: 5 });
+        const phases = [];
+
+        // 每幀給出目前步驟要求的手勢
+        for (let t = 0; session.phase !== 'done' && t < 10000; t += 50) {
+            const status = session.update(fixtures[CALIBRATION_STEPS[session.stepIndex].pose].landmarks, t);
+            const phase = status.pose + ':' + status.phase;
+            if (phases[phases.length - 1] !== phase) phases.push(phase);
+        }
+
+        assert.deepEqual(phases, ['open:prepare', 'open:capture', 'fist:prepare', 'fist:capture', 'fist:done']);
+        assert.equal(session.compute().thresholds.openMinFingers, 4);
+    });
+
+    test('看不到手的幀不算，記錄時間到了也要等到足夠的資料', () => {
+        const session = new CalibrationSession({ prepareTime: 0, captureTime: 100, minSamples: 3 });
+        session.update(null, 0);
+
+        let status;
+        for (let t = 0; t <= 1000; t += 100) {
+            status = session.update(null, t);
+        }
+        assert.equal(status.phase, 'capture');
+        assert.equal(status.handVisible, false);
+        assert.equal(status.progress, 0);
+        assert.throws(() => session.compute(), /尚未完成/);
+
+        for (let t = 1100; t <= 1300; t += 100) {
+            status = session.update(fixtures.open.landmarks, t);
+        }
+        assert.equal(status.pose, 'fist');
+    });
+});
+
+describe('儲存校正結果', () => {
+    test('儲存後讀回，只保留校正的閾值', () => {
+        const storage = createStorage();
+        saveCalibration(storage, { extendedThreshold: 0.9, openMinFingers: 2, fistMaxFingers: 0, debounceFrames: 2 });
+
+        const saved = loadCalibration(storage);
+        assert.deepEqual(saved.thresholds, { extendedThreshold: 0.9, openMinFingers: 2, fistMaxFingers: 0 });
+        assert.equal(typeof saved.createdAt, 'string');
+
+        clearCalibration(storage);
+        assert.equal(loadCalibration(storage), null);
+    });
+
+    test('資料損壞時忽略', (t) => {
+        const warned = t.mock.method(console, 'warn', () => {});
+        const storage = createStorage({ [CALIBRATION_STORAGE_KEY]: '{broken' });
+
+        assert.equal(loadCalibration(storage), null);
+        assert.equal(warned.mock.callCount(), 1);
+        assert.equal(loadCalibration(createStorage({ [CALIBRATION_STORAGE_KEY]: '{"thresholds":{"extendedThreshold":"x"}}' })), null);
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * config.test.js
+ * 測試設定的預設值、驗證與網址參數
+ *
+ * 執行：npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    CONFIG_SCHEMA,
+    PHYSICS_CONFIG_KEYS,
+    FORCE_CONFIG_KEYS,
+    getDefaultConfig,
+    validateConfig,
+    parseConfigFromUrl
+} from '../config.js';
+
+describe('getDefaultConfig', () => {
+    test('包含每個設定項目，且預設值都能通過驗證', () => {
+        const defaults = getDefaultConfig();
+
+        assert.deepEqual(Object.keys(defaults), Object.keys(CONFIG_SCHEMA));
+        assert.deepEqual(validateConfig(defaults), { values: defaults, errors: [] });
+    });
+
+    test('每次回傳新的物件', () => {
+        const a = getDefaultConfig();
+        a.heartSize = 10;
+
+        assert.equal(getDefaultConfig().heartSize, CONFIG_SCHEMA.heartSize.default);
+    });
+});
+
+describe('validateConfig', () => {
+    test('合法的項目照常套用，不合法的略過並回報', () => {
+        const { values, errors } = validateConfig({
+            heartScaleZ: 1.2,
+            heartSize: -1,
+            worker: 'no',
+            quality: 'potato',
+            seed: 'demo'
+        });
+
+        assert.deepEqual(values, { heartScaleZ: 1.2, seed: 'demo' });
+        assert.equal(errors.length, 3);
+        assert.ok(errors[0].startsWith('heartSize'));
+        assert.ok(errors[1].startsWith('worker'));
+        assert.ok(errors[2].startsWith('quality'));
+    });
+
+    test('未知的項目回報錯誤，undefined 視為未指定', () => {
+        const { values, errors } = validateConfig({ heartColor: 'red', spaceRadius: undefined });
+
+        assert.deepEqual(values, {});
+        assert.equal(errors.length, 1);
+        assert.ok(errors[0].startsWith('heartColor'));
+    });
+
+    test('數字必須有限、在範圍內，整數項目不能有小數', () => {
+        assert.equal(validateConfig({ targetFps: NaN }).errors.length, 1);
+        assert.equal(validateConfig({ targetFps: '60' }).errors.length, 1);
+        assert.equal(validateConfig({ targetFps: 1000 }).errors.length, 1);
+        assert.equal(validateConfig({ particleCount: 1000.5 }).errors.length, 1);
+        assert.deepEqual(validateConfig({ particleCount: 20000 }).values, { particleCount: 20000 });
+    });
+
+    test('粒子物理與力場的參數同樣檢查型別與範圍', () => {
+        for (const key of [...PHYSICS_CONFIG_KEYS, ...Object.values(FORCE_CONFIG_KEYS)]) {
+            assert.ok(CONFIG_SCHEMA[key], key);
+        }
+
+        const { values, errors } = validateConfig({ stiffness: 'x', damping: -1, turbulence: 1, forceMode: 'pull', forceRadius: 4 });
+        assert.deepEqual(values, { turbulence: 1, forceRadius: 4 });
+        assert.deepEqual(errors.map(error => error.split('：')[0]), ['stiffness', 'damping', 'forceMode']);
+    });
+
+    test('種子可以是數字、非空字串或 null', () => {
+        assert.deepEqual(validateConfig({ seed: 42 }).values, { seed: 42 });
+        assert.deepEqual(validateConfig({ seed: null }).values, { seed: null });
+        assert.equal(validateConfig({ seed: '' }).errors.length, 1);
+        assert.equal(validateConfig({ seed: {} }).errors.length, 1);
+    });
+
+    test('zoomMin 不能大於 zoomMax（與目前的設定一起檢查）', () => {
+        const base = getDefaultConfig();
+
+        const crossed = validateConfig({ zoomMin: 3, zoomMax: 1 }, base);
+        assert.deepEqual(crossed.values, {});
+        assert.equal(crossed.errors.length, 1);
+
+        // 只改 zoomMin，但超過目前的 zoomMax（2）
+        assert.equal(validateConfig({ zoomMin: 3 }, base).errors.length, 1);
+        assert.deepEqual(validateConfig({ zoomMin: 3 }, { ...base, zoomMax: 4 }).values, { zoomMin: 3 });
+    });
+
+    test('不是物件時回報錯誤', () => {
+        assert.deepEqual(validateConfig(null), { values: {}, errors: ['設定必須是物件'] });
+    });
+});
+
+describe('parseConfigFromUrl', () => {
+    test('依設定的型別轉換參數', () => {
+        const partial = parseConfigFromUrl('?heartScaleZ=1.2&worker=false&quality=low&seed=42');
+
+        assert.deepEqual(partial, { seed: 42, quality: 'low', worker: false, heartScaleZ: 1.2 });
+        assert.deepEqual(validateConfig(partial).errors, []);
+    });
+
+    test('粒子物理也可以用網址參數設定', () => {
+        const partial = parseConfigFromUrl('?stiffness=12&forceMode=repel');
+
+        assert.deepEqual(validateConfig(partial), { values: { stiffness: 12, forceMode: 'repel' }, errors: [] });
+    });
+
+    test('只讀取設定項目，其他參數不受影響', () => {
+        assert.deepEqual(parseConfigFromUrl('?replay=demo.json&replayLoop'), {});
+    });
+
+    test('字串種子、空種子與不帶值的布林參數', () => {
+        assert.deepEqual(parseConfigFromUrl('?seed=demo'), { seed: 'demo' });
+        assert.deepEqual(validateConfig(parseConfigFromUrl('?seed=')).values, {});
+        assert.deepEqual(parseConfigFromUrl('?worker'), { worker: true });
+    });
+
+    test('無法轉換的值交給 validateConfig 回報', () => {
+        const partial = parseConfigFromUrl('?heartSize=big&worker=maybe&spaceRadius=');
+        const { values, errors } = validateConfig(partial);
+
+        assert.deepEqual(values, {});
+        assert.equal(errors.length, 3);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * emitter.test.js
+ * 測試事件發送器的訂閱、取消訂閱與錯誤隔離
+ *
+ * 執行：npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventEmitter } from '../emitter.js';
+
+describe('EventEmitter', () => {
+    test('多個訂閱者依訂閱順序收到事件資料', () => {
+        const emitter = new EventEmitter(['modechange']);
+        const calls = [];
+        emitter.on('modechange', (e) => calls.push(['a', e.mode]));
+        emitter.on('modechange', (e) => calls.push(['b', e.mode]));
+
+        emitter.emit('modechange', { mode: 'heart' });
+
+        assert.deepEqual(calls, [['a', 'heart'], ['b', 'heart']]);
+    });
+
+    test('off 與 on 回傳的函式都能取消訂閱，重複訂閱只呼叫一次', () => {
+        const emitter = new EventEmitter(['frame']);
+        let count = 0;
+        const listener = () => count++;
+
+        const unsubscribe = emitter.on('frame', listener);
+        emitter.on('frame', listener);
+        emitter.emit('frame');
+        assert.equal(count, 1);
+
+        unsubscribe();
+        emitter.emit('frame');
+        assert.equal(count, 1);
+        assert.equal(emitter.off('frame', listener), false);
+    });
+
+    test('訂閱者拋出錯誤不影響其他訂閱者', (t) => {
+        const emitter = new EventEmitter(['gesture']);
+        const logged = t.mock.method(console, 'error', () => {});
+        let received = null;
+
+        emitter.on('gesture', () => { throw new Error('boom'); });
+        emitter.on('gesture', (e) => { received = e.type; });
+        emitter.emit('gesture', { type: 'fist' });
+
+        assert.equal(received, 'fist');
+        assert.equal(logged.mock.callCount(), 1);
+    });
+
+    test('處理中取消訂閱，這次的事件仍會送給其他訂閱者', () => {
+        const emitter = new EventEmitter(['handlost']);
+        const calls = [];
+        const second = () => calls.push('second');
+        emitter.on('handlost', () => {
+            calls.push('first');
+            emitter.off('handlost', second);
+        });
+        emitter.on('handlost', second);
+
+        emitter.emit('handlost', { hand: 'Left' });
+        emitter.emit('handlost', { hand: 'Left' });
+
+        assert.deepEqual(calls, ['first', 'second', 'first']);
+    });
+
+    test('未知的事件名稱印出警告且不會訂閱', (t) => {
+        const emitter = new EventEmitter(['frame']);
+        const warned = t.mock.method(console, 'warn', () => {});
+
+        emitter.on('framez', () => {});
+
+        assert.equal(warned.mock.callCount(), 1);
+        assert.equal(emitter.listenerCount('framez'), 0);
+    });
+});
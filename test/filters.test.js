@@ -0,0 +1,143 @@
+/**
+ * filters.test.js
+ * 測試手部位置的 One Euro 濾波、中心死區與抓取式控制
+ *
+ * 執行：npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    OneEuroFilter,
+    PointFilter,
+    applyDeadZone,
+    Clutch,
+    mergeFilterOptions,
+    TRACKING_FILTER_DEFAULTS
+} from '../filters.js';
+import { createRandom } from '../random.js';
+
+// 30fps 攝影機的幀間隔（毫秒）
+const FRAME_MS = 1000 / 30;
+
+/**
+ * 以 30fps 濾波一段訊號，回傳濾波後的值
+ * @param {Function} signal - (幀編號) => 原始值
+ */
+function run(filter, frames, signal) {
+    const output = [];
+    for (let i = 0; i < frames; i++) {
+        output.push(filter.filter(signal(i), i * FRAME_MS));
+    }
+    return output;
+}
+
+function standardDeviation(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length);
+}
+
+function assertPoint(actual, expected) {
+    assert.ok(Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9,
+        `${JSON.stringify(actual)} != ${JSON.stringify(expected)}`);
+}
+
+describe('OneEuroFilter', () => {
+    test('手靜止時預設參數讓關鍵點的抖動減半以上', () => {
+        const random = createRandom(7);
+        const noise = Array.from({ length: 120 }, () => 0.5 + (random() - 0.5) * 0.02);
+        const output = run(new OneEuroFilter(), 120, i => noise[i]);
+
+        assert.ok(standardDeviation(output.slice(30)) < standardDeviation(noise.slice(30)) / 2);
+    });
+
+    test('beta 讓快速移動時的延遲比固定平滑小', () => {
+        const ramp = i => Math.min(1, i * 0.05);
+        const adaptive = run(new OneEuroFilter({ minCutoff: 1, beta: 5 }), 20, ramp);
+        const fixed = run(new OneEuroFilter({ minCutoff: 1, beta: 0 }), 20, ramp);
+
+        const lag = output => ramp(19) - output[19];
+        assert.ok(lag(adaptive) < lag(fixed) / 2, `${lag(adaptive)} vs ${lag(fixed)}`);
+    });
+
+    test('平滑程度依時間而不是幀數，不同幀率的結果接近', () => {
+        const step = t => (t >= 100 ? 1 : 0);
+        const at = (interval) => {
+            const filter = new OneEuroFilter({ minCutoff: 1, beta: 0 });
+            let value = 0;
+            for (let t = 0; t <= 500; t += interval) value = filter.filter(step(t), t);
+            return value;
+        };
+
+        assert.ok(Math.abs(at(1000 / 15) - at(1000 / 60)) < 0.08);
+    });
+
+    test('第一個樣本直接回傳，reset() 後重新開始', () => {
+        const filter = new OneEuroFilter();
+        filter.filter(0, 0);
+        filter.filter(0, 33);
+
+        filter.reset();
+        assert.equal(filter.filter(0.8, 66), 0.8);
+        assert.equal(filter.filter(0.1, 66), 0.8);
+    });
+});
+
+describe('PointFilter', () => {
+    test('x、y 各自濾波', () => {
+        const filter = new PointFilter({ minCutoff: 1, beta: 0 });
+        filter.filter({ x: 0, y: 1 }, 0);
+        const point = filter.filter({ x: 1, y: 1 }, FRAME_MS);
+
+        assert.ok(point.x > 0 && point.x < 0.5);
+        assert.equal(point.y, 1);
+    });
+});
+
+describe('applyDeadZone', () => {
+    test('中心範圍內為 0，之外連續地縮放到 ±1', () => {
+        assert.equal(applyDeadZone(0.05, 0.1), 0);
+        assert.equal(applyDeadZone(-0.1, 0.1), 0);
+        assert.ok(Math.abs(applyDeadZone(0.55, 0.1) - 0.5) < 1e-9);
+        assert.equal(applyDeadZone(-1, 0.1), -1);
+        assert.equal(applyDeadZone(0.3, 0), 0.3);
+    });
+});
+
+describe('Clutch', () => {
+    test('握拳時從目前的位置繼續移動，放開後停在原處', () => {
+        const clutch = new Clutch();
+
+        clutch.update('Right', true, { x: 0.5, y: 0 });
+        assertPoint(clutch.update('Right', true, { x: 0.75, y: 0.125 }), { x: 0.25, y: 0.125 });
+
+        // 放開後把手移回去，再抓住往同一方向移動，會繼續累加
+        assertPoint(clutch.update('Right', false, { x: 0, y: 0 }), { x: 0.25, y: 0.125 });
+        clutch.update('Right', true, { x: 0, y: 0 });
+        assertPoint(clutch.update('Right', true, { x: 0.25, y: 0 }), { x: 0.5, y: 0.125 });
+    });
+
+    test('一次只有一隻手能抓住，輸出限制在 ±1', () => {
+        const clutch = new Clutch();
+        clutch.update('Right', true, { x: 0, y: 0 });
+
+        assert.deepEqual(clutch.update('Left', true, { x: 0.9, y: 0.9 }), { x: 0, y: 0 });
+        assert.deepEqual(clutch.update('Right', true, { x: 0.5, y: -0.2 }, 4), { x: 1, y: -0.8 });
+
+        clutch.release();
+        assert.equal(clutch.owner, null);
+        clutch.update('Left', true, { x: 0.9, y: 0.9 });
+        assert.equal(clutch.owner, 'Left');
+    });
+});
+
+describe('mergeFilterOptions', () => {
+    test('合併合法的項目，不合法的印出警告並略過', (t) => {
+        const warned = t.mock.method(console, 'warn', () => {});
+        const options = mergeFilterOptions({ beta: 2, clutch: true, deadZone: 2, minCutoff: 'x', unknown: 1 });
+
+        assert.deepEqual(options, { ...TRACKING_FILTER_DEFAULTS, beta: 2, clutch: true });
+        assert.equal(warned.mock.callCount(), 3);
+    });
+});
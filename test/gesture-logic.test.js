@@ -0,0 +1,747 @@
+/**
+ * gesture-logic.test.js
+ * 以固定的 21 點手部關鍵點資料測試手勢判斷與去抖動
+ *
+ * 執行：npm test
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    detectHandState,
+    detectHandPose,
+    classifyHandPose,
+    getHandOpenness,
+    getFingerStates,
+    getPinchDistance,
+    estimateHandDistance,
+    GestureDetector,
+    isTwoHandHeart,
+    getHandsDistance,
+    TwoHandGestureDetector,
+    MotionGestureDetector,
+    GESTURE_DEFAULTS,
+    setGestureThresholds,
+    getGestureThresholds,
+    resetGestureThresholds
+} from '../gesture-logic.js';
+import { createRandom } from '../random.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/hands.json', import.meta.url), 'utf8'));
+
+/**
+ * 平移整隻手
+ */
+function translate(landmarks, dx, dy) {
+    return landmarks.map(p => ({ x: p.x + dx, y: p.y + dy, z: p.z }));
+}
+
+/**
+ * 以手掌中心為基準縮放整隻手（模擬手往鏡頭靠近）
+ */
+function scaleHand(landmarks, factor) {
+    const cx = landmarks[0].x;
+    const cy = landmarks[0].y;
+    return landmarks.map(p => ({ x: cx + (p.x - cx) * factor, y: cy + (p.y - cy) * factor, z: p.z * factor }));
+}
+
+/**
+ * 以 30fps 播放一段動作，回傳所有偵測到的動態手勢
+ * @param {Function} pose - (秒數) => landmarks
+ */
+function playMotion(detector, pose, seconds, startMs = 0) {
+    const events = [];
+    const frames = Math.round(seconds * 30);
+    for (let i = 0; i <= frames; i++) {
+        const t = i / 30;
+        const event = detector.update(pose(t), startMs + t * 1000);
+        if (event) events.push(event);
+    }
+    return events;
+}
+
+/**
+ * 用一隻手與它的鏡像組成雙手愛心
+ * 先旋轉手，讓大拇指指尖 → 食指指尖的方向朝上，再把兩手的指尖對齊到畫面中央，
+ * 兩手之間留 gap 的縫隙
+ */
+function makeHeartPair(landmarks, gap = 0.01) {
+    const thumb = landmarks[4];
+    const index = landmarks[8];
+    const angle = -Math.PI / 2 - Math.atan2(index.y - thumb.y, index.x - thumb.x);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    const left = landmarks.map(p => {
+        const x = p.x - thumb.x;
+        const y = p.y - thumb.y;
+        return { x: x * cos - y * sin + 0.5 - gap / 2, y: x * sin + y * cos + 0.6, z: p.z };
+    });
+    const right = left.map(p => ({ x: 1 - p.x, y: p.y, z: p.z }));
+
+    return [left, right];
+}
+
+// 30fps 攝影機的幀間隔（毫秒）
+const FRAME_MS = 1000 / 30;
+
+// 模擬的時間，每送一幀前進一次（所有測試共用，只會遞增）
+let clock = 0;
+
+/**
+ * 送一幀到偵測器（時間前進 interval 毫秒）
+ */
+function step(detector, landmarks, interval = FRAME_MS) {
+    clock += interval;
+    return detector.update(landmarks, clock);
+}
+
+/**
+ * 把同一個 landmarks 以固定間隔重複 n 幀送進偵測器，回傳每幀的回傳值
+ */
+function feed(detector, landmarks, frames, interval = FRAME_MS) {
+    const results = [];
+    for (let i = 0; i < frames; i++) {
+        results.push(step(detector, landmarks, interval));
+    }
+    return results;
+}
+
+/**
+ * detectHandState 的狀態（資料不足時為 null）
+ */
+function handState(landmarks) {
+    const result = detectHandState(landmarks);
+    return result ? result.state : null;
+}
+
+describe('detectHandState', () => {
+    afterEach(() => resetGestureThresholds());
+
+    for (const [name, fixture] of Object.entries(fixtures)) {
+        test(`${name}：${fixture.description} → ${fixture.expected}`, () => {
+            assert.equal(handState(fixture.landmarks), fixture.expected);
+        });
+    }
+
+    test('信心分數隨手指距離連續變化', () => {
+        const scores = [];
+        for (let threshold = 1.2; threshold <= 1.6; threshold += 0.05) {
+            setGestureThresholds({ extendedThreshold: threshold });
+            scores.push(detectHandState(fixtures.open.landmarks).scores.open);
+        }
+
+        assert.equal(scores[0], 1);
+        assert.equal(scores[scores.length - 1], 0);
+        assert.ok(scores.some(score => score > 0 && score < 1));
+        assert.ok(scores.every((score, i) => i === 0 || score <= scores[i - 1]));
+    });
+
+    test('confidence 為目前狀態的分數，不確定時為 0', () => {
+        const rotated = detectHandState(fixtures.rotatedOpen.landmarks);
+        assert.equal(rotated.confidence, rotated.scores.open);
+        assert.ok(rotated.confidence >= 0.5 && rotated.confidence < 1);
+
+        assert.equal(detectHandState(fixtures.partial.landmarks).confidence, 0);
+    });
+
+    test('缺少或格式錯誤的輸入回傳 null', () => {
+        assert.equal(detectHandState(null), null);
+        assert.equal(detectHandState(undefined), null);
+        assert.equal(detectHandState([]), null);
+    });
+
+    test('平移手的位置不影響判斷', () => {
+        const shifted = fixtures.open.landmarks.map(p => ({ x: p.x - 0.3, y: p.y + 0.2, z: p.z }));
+        assert.equal(handState(shifted), 'open');
+    });
+
+    test('沒有 z 值的關鍵點也能判斷', () => {
+        const flat = fixtures.fist.landmarks.map(p => ({ x: p.x, y: p.y }));
+        assert.equal(handState(flat), 'fist');
+    });
+});
+
+describe('getHandOpenness', () => {
+    afterEach(() => resetGestureThresholds());
+
+    test('握拳為 0、張開為 1，半開的手介於兩者之間並隨伸展的手指增加', () => {
+        assert.equal(getHandOpenness(fixtures.fist.landmarks), 0);
+        assert.equal(getHandOpenness(fixtures.rotatedFist.landmarks), 0);
+        assert.equal(getHandOpenness(fixtures.open.landmarks), 1);
+        assert.equal(getHandOpenness(fixtures.rotatedOpen.landmarks), 1);
+
+        const partial = getHandOpenness(fixtures.partial.landmarks);
+        const three = getHandOpenness(fixtures.three.landmarks);
+        assert.ok(partial > 0.2 && partial < three && three < 0.8, `${partial} ${three}`);
+    });
+
+    test('手指慢慢伸直時連續變化', () => {
+        // 把握拳的指尖沿掌心方向逐步拉到張開的位置
+        const values = [];
+        for (let t = 0; t <= 1; t += 0.1) {
+            const landmarks = fixtures.fist.landmarks.map((p, i) => {
+                const q = fixtures.open.landmarks[i];
+                return { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t, z: p.z + (q.z - p.z) * t };
+            });
+            values.push(getHandOpenness(landmarks));
+        }
+
+        assert.equal(values[0], 0);
+        assert.equal(values[values.length - 1], 1);
+        assert.ok(values.every((value, i) => i === 0 || value >= values[i - 1]));
+        assert.ok(values.filter(value => value > 0 && value < 1).length >= 3);
+    });
+
+    test('依校正的根數換算，資料不足時為 null', () => {
+        setGestureThresholds({ openMinFingers: 3, fistMaxFingers: 0 });
+        assert.equal(getHandOpenness(fixtures.three.landmarks), 1);
+
+        assert.equal(getHandOpenness(null), null);
+        assert.equal(getHandOpenness(fixtures.truncated.landmarks), null);
+    });
+});
+
+describe('detectHandPose', () => {
+    for (const [name, fixture] of Object.entries(fixtures)) {
+        test(`${name}：${fixture.description} → ${fixture.pose}`, () => {
+            assert.equal(detectHandPose(fixture.landmarks), fixture.pose);
+        });
+    }
+
+    test('缺少或格式錯誤的輸入回傳 null', () => {
+        assert.equal(detectHandPose(null), null);
+        assert.equal(detectHandPose([]), null);
+    });
+
+    test('classifyHandPose 的手勢與 detectHandPose 相同，並附上 0-1 的信心', () => {
+        for (const fixture of Object.values(fixtures)) {
+            const { state, confidence } = classifyHandPose(fixture.landmarks);
+            assert.equal(state, fixture.pose);
+            assert.ok(confidence >= 0 && confidence <= 1);
+            assert.equal(confidence === 0, state === null);
+        }
+    });
+});
+
+describe('getFingerStates', () => {
+    test('張開的手每根手指都伸展且幾乎沒有彎曲', () => {
+        const fingers = getFingerStates(fixtures.open.landmarks);
+
+        for (const finger of Object.values(fingers)) {
+            assert.equal(finger.extended, true);
+            assert.ok(finger.curl < 0.2, `curl ${finger.curl}`);
+        }
+    });
+
+    test('握拳時四指都彎曲', () => {
+        const fingers = getFingerStates(fixtures.fist.landmarks);
+
+        for (const name of ['index', 'middle', 'ring', 'pinky']) {
+            assert.equal(fingers[name].extended, false);
+            assert.ok(fingers[name].curl > 0.8, `${name} curl ${fingers[name].curl}`);
+        }
+    });
+
+    test('比 YA 時只有食指與中指伸展', () => {
+        const fingers = getFingerStates(fixtures.partial.landmarks);
+        const extended = Object.keys(fingers).filter(name => fingers[name].extended);
+
+        assert.deepEqual(extended, ['index', 'middle']);
+    });
+
+    test('資料不足時回傳 null', () => {
+        assert.equal(getFingerStates(fixtures.truncated.landmarks), null);
+        assert.equal(getFingerStates(fixtures.tooSmall.landmarks), null);
+    });
+});
+
+describe('getPinchDistance', () => {
+    test('捏合時距離很小，張開時距離很大', () => {
+        assert.ok(getPinchDistance(fixtures.pinch.landmarks) < 0.35);
+        assert.ok(getPinchDistance(fixtures.open.landmarks) > 1);
+    });
+
+    test('距離與手的大小無關', () => {
+        const near = getPinchDistance(fixtures.pinch.landmarks);
+        const far = getPinchDistance(fixtures.farPinch.landmarks);
+
+        assert.ok(Math.abs(near - far) < 0.01);
+    });
+});
+
+describe('estimateHandDistance', () => {
+    test('正對鏡頭的手約為舒適距離 1', () => {
+        assert.ok(Math.abs(estimateHandDistance(fixtures.open.landmarks) - 1) < 0.1);
+    });
+
+    test('手指彎曲不影響距離', () => {
+        assert.equal(estimateHandDistance(fixtures.fist.landmarks), estimateHandDistance(fixtures.open.landmarks));
+        assert.equal(estimateHandDistance(fixtures.pinch.landmarks), estimateHandDistance(fixtures.open.landmarks));
+    });
+
+    test('旋轉與側傾的手距離幾乎不變', () => {
+        const upright = estimateHandDistance(fixtures.open.landmarks);
+        const tilted = estimateHandDistance(fixtures.rotatedOpen.landmarks);
+        assert.ok(Math.abs(tilted / upright - 1) < 0.1);
+    });
+
+    test('手越小代表離鏡頭越遠', () => {
+        const near = estimateHandDistance(fixtures.open.landmarks);
+        const far = estimateHandDistance(fixtures.farOpen.landmarks);
+        assert.ok(far > near * 2.5);
+        assert.ok(Math.abs(estimateHandDistance(scaleHand(fixtures.open.landmarks, 2)) - near / 2) < 1e-9);
+    });
+
+    test('資料不足或手太小時回傳 null', () => {
+        assert.equal(estimateHandDistance(null), null);
+        assert.equal(estimateHandDistance(fixtures.truncated.landmarks), null);
+        assert.equal(estimateHandDistance(fixtures.tooSmall.landmarks), null);
+    });
+});
+
+describe('GestureDetector', () => {
+    test('同一手勢持續 enterTime 才確認切換，且只回報一次', () => {
+        const detector = new GestureDetector({ enterTime: 120 });
+        const results = feed(detector, fixtures.fist.landmarks, 8);
+
+        assert.deepEqual(results, [null, null, null, null, 'fist', null, null, null]);
+        assert.equal(detector.getState(), 'fist');
+    });
+
+    test('延遲以時間計算，與攝影機幀率無關', () => {
+        const slow = feed(new GestureDetector({ enterTime: 120 }), fixtures.open.landmarks, 4, 1000 / 15);
+        const fast = feed(new GestureDetector({ enterTime: 120 }), fixtures.open.landmarks, 9, 1000 / 60);
+
+        assert.deepEqual(slow, [null, null, 'open', null]);
+        assert.equal(fast.indexOf('open'), 8);
+    });
+
+    test('enterTime 可以調整', () => {
+        const detector = new GestureDetector({ enterTime: 30 });
+        assert.deepEqual(feed(detector, fixtures.open.landmarks, 2), [null, 'open']);
+    });
+
+    test('不確定的幀短暫出現不會重置累積進度', () => {
+        const detector = new GestureDetector({ enterTime: 120, dropoutTime: 100 }, detectHandState);
+
+        feed(detector, fixtures.open.landmarks, 4);
+        step(detector, fixtures.partial.landmarks);
+
+        assert.deepEqual(feed(detector, fixtures.open.landmarks, 1), ['open']);
+    });
+
+    test('沒有手或殘缺資料超過 dropoutTime 才重置累積進度', () => {
+        const detector = new GestureDetector({ enterTime: 60, dropoutTime: 100 });
+
+        feed(detector, fixtures.fist.landmarks, 2);
+        step(detector, fixtures.truncated.landmarks);
+        assert.deepEqual(feed(detector, fixtures.fist.landmarks, 1), ['fist']);
+
+        detector.reset();
+        feed(detector, fixtures.fist.landmarks, 2);
+        feed(detector, null, 4);
+        assert.deepEqual(feed(detector, fixtures.fist.landmarks, 3), [null, null, 'fist']);
+    });
+
+    test('中斷很久後（手離開畫面時不會呼叫 update）重新累積，不會立即確認', () => {
+        const detector = new GestureDetector({ enterTime: 300, dropoutTime: 100, exitTime: 300 });
+
+        feed(detector, fixtures.fist.landmarks, 2);
+        assert.deepEqual(feed(detector, fixtures.fist.landmarks, 1, 5000), [null]);
+        assert.equal(detector.getStatus().progress, 0);
+        // 回來後要再持續 enterTime（約 9 幀）
+        const resumed = feed(detector, fixtures.fist.landmarks, 11);
+        assert.ok(resumed.indexOf('fist') >= 8, String(resumed.indexOf('fist')));
+
+        // 確認的狀態也一樣：中斷超過 exitTime 後放開，同一手勢回來時重新確認並再次回報
+        assert.deepEqual(feed(detector, fixtures.fist.landmarks, 1, 5000), [null]);
+        assert.equal(detector.getState(), null);
+        assert.ok(feed(detector, fixtures.fist.landmarks, 10).includes('fist'));
+    });
+
+    test('在兩個手勢之間來回閃爍時各自累積，先開始的手勢被確認，之後不會來回切換', () => {
+        const detector = new GestureDetector({ enterTime: 60, dropoutTime: 100 });
+        const results = [];
+
+        for (let i = 0; i < 10; i++) {
+            const fixture = i % 2 === 0 ? fixtures.open : fixtures.fist;
+            results.push(step(detector, fixture.landmarks));
+        }
+
+        assert.deepEqual(results.filter(result => result !== null), ['open']);
+        assert.equal(detector.getState(), 'open');
+    });
+
+    test('閃爍到其他手勢不會清除累積的進度', () => {
+        const detector = new GestureDetector({ enterTime: 120, dropoutTime: 100 });
+
+        feed(detector, fixtures.open.landmarks, 3);
+        step(detector, fixtures.fist.landmarks);
+        assert.equal(detector.getStatus().pending, 'open');
+
+        assert.deepEqual(feed(detector, fixtures.open.landmarks, 1), ['open']);
+    });
+
+    test('確認狀態後短暫的雜訊不會改變狀態', () => {
+        const detector = new GestureDetector({ enterTime: 60 });
+
+        feed(detector, fixtures.open.landmarks, 3);
+        feed(detector, fixtures.fist.landmarks, 2);
+        const results = feed(detector, fixtures.open.landmarks, 3);
+
+        assert.deepEqual(results, [null, null, null]);
+        assert.equal(detector.getState(), 'open');
+    });
+
+    test('信心低於 enterConfidence 不會進入，確認後高於 exitConfidence 就維持，低於它超過 exitTime 才放開', () => {
+        const detector = new GestureDetector(
+            { enterTime: 60, exitTime: 300, enterConfidence: 0.6, exitConfidence: 0.3 },
+            confidence => ({ state: 'open', confidence })
+        );
+
+        assert.ok(feed(detector, 0.5, 10).every(result => result === null));
+        assert.deepEqual(feed(detector, 0.8, 3), [null, null, 'open']);
+
+        feed(detector, 0.4, 30);
+        assert.equal(detector.getState(), 'open');
+        assert.equal(detector.getStatus().confidence, 0.4);
+
+        feed(detector, 0.2, 8);
+        assert.equal(detector.getState(), 'open');
+        feed(detector, 0.2, 2);
+        assert.equal(detector.getState(), null);
+
+        // 放開後相同手勢會再次回報
+        assert.deepEqual(feed(detector, 0.8, 3), [null, null, 'open']);
+    });
+
+    test('getStatus() 回報累積中的手勢與進度', () => {
+        const detector = new GestureDetector({ enterTime: 120 });
+        feed(detector, fixtures.fist.landmarks, 3);
+
+        const status = detector.getStatus();
+        assert.equal(status.state, null);
+        assert.equal(status.pending, 'fist');
+        assert.equal(status.pendingConfidence, 1);
+        assert.ok(Math.abs(status.progress - 2 * FRAME_MS / 120) < 1e-9);
+
+        feed(detector, fixtures.fist.landmarks, 2);
+        assert.deepEqual(detector.getStatus(), { state: 'fist', confidence: 1, pending: null, pendingConfidence: 0, progress: 0 });
+    });
+
+    test('open → fist → open 的完整序列', () => {
+        const detector = new GestureDetector({ enterTime: 60 });
+        const sequence = [
+            ...Array(3).fill(fixtures.open),
+            ...Array(3).fill(fixtures.rotatedFist),
+            ...Array(3).fill(fixtures.farOpen)
+        ];
+        const changes = sequence
+            .map(fixture => step(detector, fixture.landmarks))
+            .filter(result => result !== null);
+
+        assert.deepEqual(changes, ['open', 'fist', 'open']);
+    });
+
+    test('每種手勢各自去抖動並回報', () => {
+        const detector = new GestureDetector({ enterTime: 60 });
+        const sequence = ['point', 'partial', 'three', 'thumbsUp', 'ok', 'pinch', 'open']
+            .flatMap(name => Array(3).fill(fixtures[name]));
+        const changes = sequence
+            .map(fixture => step(detector, fixture.landmarks))
+            .filter(result => result !== null);
+
+        assert.deepEqual(changes, ['point', 'peace', 'three', 'thumbs_up', 'ok', 'pinch', 'open']);
+    });
+
+    test('手勢切換時未滿 enterTime 不會回報', () => {
+        const detector = new GestureDetector({ enterTime: 60 });
+
+        feed(detector, fixtures.fist.landmarks, 3);
+        feed(detector, fixtures.point.landmarks, 2);
+        const results = feed(detector, fixtures.fist.landmarks, 3);
+
+        assert.deepEqual(results, [null, null, null]);
+        assert.equal(detector.getState(), 'fist');
+    });
+
+    test('傳入 detectHandState 時只會回報 open / fist', () => {
+        const detector = new GestureDetector({ enterTime: 30 }, detectHandState);
+        const changes = ['point', 'partial', 'open']
+            .flatMap(name => Array(2).fill(fixtures[name]))
+            .map(fixture => step(detector, fixture.landmarks))
+            .filter(result => result !== null);
+
+        assert.deepEqual(changes, ['fist', 'open']);
+    });
+
+    test('reset() 清除目前狀態，相同手勢會再次回報', () => {
+        const detector = new GestureDetector({ enterTime: 30 });
+
+        feed(detector, fixtures.fist.landmarks, 2);
+        detector.reset();
+
+        assert.equal(detector.getState(), null);
+        assert.deepEqual(feed(detector, fixtures.fist.landmarks, 2), [null, 'fist']);
+    });
+});
+
+describe('setGestureThresholds', () => {
+    afterEach(() => resetGestureThresholds());
+
+    test('偵測器沒有指定的項目跟著閾值變化，指定的不受影響', () => {
+        setGestureThresholds({ enterTime: 30 });
+
+        assert.deepEqual(feed(new GestureDetector(), fixtures.open.landmarks, 2), [null, 'open']);
+        assert.deepEqual(feed(new GestureDetector({ enterTime: 60 }), fixtures.open.landmarks, 3), [null, null, 'open']);
+    });
+
+    test('調整後立即影響手勢判斷，重置後恢復', () => {
+        setGestureThresholds({ extendedThreshold: 10 });
+        assert.notEqual(handState(fixtures.open.landmarks), 'open');
+
+        resetGestureThresholds();
+        assert.equal(handState(fixtures.open.landmarks), 'open');
+    });
+
+    test('不合法的項目會被略過', () => {
+        setGestureThresholds({ debounceFrames: 1.5, pinchThreshold: -1, extendedThreshold: NaN, unknown: 1 });
+        setGestureThresholds({ openMinFingers: 6, fistMaxFingers: -1, enterConfidence: 1.5, dropoutTime: -1 });
+
+        assert.deepEqual(getGestureThresholds(), GESTURE_DEFAULTS);
+    });
+
+    test('手指根數可以調整，握拳的根數可以是 0', () => {
+        setGestureThresholds({ openMinFingers: 2, fistMaxFingers: 0 });
+
+        assert.equal(handState(fixtures.partial.landmarks), 'open');
+        assert.equal(detectHandPose(fixtures.point.landmarks), 'point');
+        assert.equal(handState(fixtures.fist.landmarks), 'fist');
+    });
+});
+
+describe('isTwoHandHeart', () => {
+    test('兩手食指、大拇指指尖相碰且食指在上時為愛心', () => {
+        const [left, right] = makeHeartPair(fixtures.open.landmarks);
+        assert.equal(isTwoHandHeart(left, right), true);
+        assert.equal(isTwoHandHeart(right, left), true);
+    });
+
+    test('上下顛倒（大拇指在上）不算愛心', () => {
+        const [left, right] = makeHeartPair(fixtures.open.landmarks)
+            .map(hand => hand.map(p => ({ x: p.x, y: 1.2 - p.y, z: p.z })));
+        assert.equal(isTwoHandHeart(left, right), false);
+    });
+
+    test('兩手分開時不算愛心', () => {
+        const [left, right] = makeHeartPair(fixtures.open.landmarks, 0.3);
+        assert.equal(isTwoHandHeart(left, right), false);
+    });
+
+    test('缺少一隻手或資料殘缺時回傳 false', () => {
+        const [left] = makeHeartPair(fixtures.open.landmarks);
+        assert.equal(isTwoHandHeart(left, null), false);
+        assert.equal(isTwoHandHeart(null, left), false);
+        assert.equal(isTwoHandHeart(left, fixtures.truncated.landmarks), false);
+    });
+});
+
+describe('getHandsDistance', () => {
+    test('回傳兩隻手掌中心的距離', () => {
+        const hand = fixtures.open.landmarks;
+        assert.ok(Math.abs(getHandsDistance(hand, translate(hand, 0.3, 0.4)) - 0.5) < 1e-9);
+        assert.equal(getHandsDistance(hand, hand), 0);
+    });
+});
+
+describe('TwoHandGestureDetector', () => {
+    test('雙手愛心去抖動後只回報一次', () => {
+        const detector = new TwoHandGestureDetector(3);
+        const [left, right] = makeHeartPair(fixtures.open.landmarks);
+        const events = [];
+        for (let i = 0; i < 6; i++) {
+            events.push(detector.update(left, right));
+        }
+
+        assert.deepEqual(events, [[], [], [{ type: 'heart' }], [], [], []]);
+    });
+
+    test('放開後再比一次愛心會再次回報', () => {
+        const detector = new TwoHandGestureDetector(2);
+        const [left, right] = makeHeartPair(fixtures.point.landmarks);
+
+        detector.update(left, right);
+        assert.deepEqual(detector.update(left, right), [{ type: 'heart' }]);
+        detector.update(left, null);
+        detector.update(left, right);
+        assert.deepEqual(detector.update(left, right), [{ type: 'heart' }]);
+    });
+
+    test('雙手張開時依雙手距離回報縮放倍率', () => {
+        const detector = new TwoHandGestureDetector();
+        const open = fixtures.open.landmarks;
+        const left = translate(open, -0.2, 0);
+        const right = translate(open, 0.2, 0);
+
+        assert.deepEqual(detector.update(left, right), [{ type: 'spreadstart' }, { type: 'spread', scale: 1 }]);
+
+        const [event] = detector.update(translate(open, -0.3, 0), translate(open, 0.3, 0));
+        assert.equal(event.type, 'spread');
+        assert.ok(Math.abs(event.scale - 1.5) < 1e-9);
+
+        const [closer] = detector.update(translate(open, -0.1, 0), translate(open, 0.1, 0));
+        assert.ok(Math.abs(closer.scale - 0.5) < 1e-9);
+    });
+
+    test('縮放倍率有上下限', () => {
+        const detector = new TwoHandGestureDetector();
+        const open = fixtures.open.landmarks;
+
+        detector.update(translate(open, -0.1, 0), translate(open, 0.1, 0));
+        const [far] = detector.update(translate(open, -0.4, 0), translate(open, 0.4, 0));
+        detector.reset();
+        detector.update(translate(open, -0.5, 0), translate(open, 0.5, 0));
+        const [near] = detector.update(translate(open, -0.1, 0), translate(open, 0.1, 0));
+
+        assert.equal(far.scale, 3);
+        assert.equal(near.scale, 0.3);
+    });
+
+    test('一隻手離開或不再張開時結束縮放', () => {
+        const detector = new TwoHandGestureDetector();
+        const open = fixtures.open.landmarks;
+        const left = translate(open, -0.2, 0);
+        const right = translate(open, 0.2, 0);
+
+        detector.update(left, right);
+        assert.deepEqual(detector.update(left, null), [{ type: 'spreadend' }]);
+        assert.deepEqual(detector.update(left, null), []);
+
+        detector.update(left, right);
+        assert.deepEqual(detector.update(left, translate(fixtures.fist.landmarks, 0.2, 0)), [{ type: 'spreadend' }]);
+    });
+
+    test('比愛心時不會觸發縮放', () => {
+        const detector = new TwoHandGestureDetector(3);
+        const [left, right] = makeHeartPair(fixtures.open.landmarks);
+        const events = [];
+        for (let i = 0; i < 5; i++) {
+            events.push(...detector.update(left, right));
+        }
+
+        assert.deepEqual(events, [{ type: 'heart' }]);
+    });
+
+    test('reset() 清除愛心與縮放狀態', () => {
+        const detector = new TwoHandGestureDetector(1);
+        const [left, right] = makeHeartPair(fixtures.open.landmarks);
+
+        detector.update(left, right);
+        detector.reset();
+        assert.deepEqual(detector.update(left, right), [{ type: 'heart' }]);
+    });
+});
+
+describe('MotionGestureDetector', () => {
+    // 以原始（未鏡像）影像座標移動；使用者看到的畫面是鏡像的，所以 X 往小的方向是使用者的右邊
+    const open = fixtures.open.landmarks;
+
+    const swipes = [
+        ['right', -0.4, 0],
+        ['left', 0.4, 0],
+        ['up', 0, -0.4],
+        ['down', 0, 0.4]
+    ];
+
+    for (const [direction, dx, dy] of swipes) {
+        test(`快速揮動 → swipe ${direction}`, () => {
+            const events = playMotion(new MotionGestureDetector(), t => translate(open, dx * t / 0.3, dy * t / 0.3), 0.3);
+
+            assert.equal(events.length, 1);
+            assert.equal(events[0].type, 'swipe');
+            assert.equal(events[0].direction, direction);
+            assert.ok(events[0].confidence > 0 && events[0].confidence <= 1);
+        });
+    }
+
+    test('swipe 的速度以手的大小為單位，方向與使用者視角一致', () => {
+        // 0.3 秒往原始影像左邊移動 0.45（手的大小約 0.16）
+        const [event] = playMotion(new MotionGestureDetector(), t => translate(open, -1.5 * t, 0), 0.3);
+        const handSize = Math.hypot(open[0].x - open[9].x, open[0].y - open[9].y, open[0].z - open[9].z);
+
+        assert.equal(event.direction, 'right');
+        assert.ok(Math.abs(event.velocity.x - 1.5 / handSize) < 1e-6);
+        assert.ok(Math.abs(event.velocity.y) < 1e-9);
+    });
+
+    test('緩慢移動與小幅晃動不會觸發', () => {
+        const rng = createRandom('jitter');
+        const detector = new MotionGestureDetector();
+
+        assert.deepEqual(playMotion(detector, t => translate(open, t * 0.1, 0), 2), []);
+        assert.deepEqual(playMotion(detector, () => translate(open, (rng() - 0.5) * 0.01, (rng() - 0.5) * 0.01), 2, 3000), []);
+    });
+
+    test('左右來回揮手 → wave，不會被當成 swipe 或畫圈', () => {
+        const events = playMotion(new MotionGestureDetector(), t => translate(open, Math.sin(t * Math.PI * 5) * 0.06, 0), 1.2);
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].type, 'wave');
+    });
+
+    test('食指畫圈 → circle，並回報方向與角速度', () => {
+        const circle = sign => t => translate(open, Math.cos(t * Math.PI * 2) * 0.08, sign * Math.sin(t * Math.PI * 2) * 0.08);
+
+        // 原始影像 Y 軸向下，sign = 1 在原始畫面上是順時針，鏡像後使用者看到的是逆時針
+        const [counterclockwise] = playMotion(new MotionGestureDetector(), circle(1), 1);
+        const [clockwise] = playMotion(new MotionGestureDetector(), circle(-1), 1);
+
+        assert.equal(clockwise.type, 'circle');
+        assert.equal(clockwise.direction, 'clockwise');
+        assert.ok(clockwise.angularVelocity < 0);
+        assert.equal(counterclockwise.direction, 'counterclockwise');
+        assert.ok(counterclockwise.angularVelocity > 0);
+    });
+
+    test('手往鏡頭推 → push，z 速度為正', () => {
+        const events = playMotion(new MotionGestureDetector(), t => scaleHand(open, 1 + t / 0.3 * 0.5), 0.3);
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].type, 'push');
+        assert.ok(events[0].velocity.z > 0);
+    });
+
+    test('手往後退不算 push', () => {
+        assert.deepEqual(playMotion(new MotionGestureDetector(), t => scaleHand(open, 1.5 - t / 0.3 * 0.5), 0.3), []);
+    });
+
+    test('同一個動作只回報一次，冷卻後可以再次觸發', () => {
+        const detector = new MotionGestureDetector();
+        const swipe = t => translate(open, -0.8 * t, 0);
+
+        // 持續往同一方向移動 0.6 秒：第一次回報後清除軌跡並冷卻
+        assert.equal(playMotion(detector, swipe, 0.6).length, 1);
+        assert.equal(playMotion(detector, t => translate(open, 0.8 * t, 0), 0.4, 2000)[0].direction, 'left');
+    });
+
+    test('手離開畫面會清除軌跡', () => {
+        const detector = new MotionGestureDetector();
+
+        playMotion(detector, t => translate(open, -0.4 * t / 0.3, 0), 0.15);
+        detector.update(null, 200);
+        assert.deepEqual(playMotion(detector, t => translate(open, -0.2 - 0.4 * t / 0.3, 0), 0.15, 233), []);
+        assert.equal(detector.update(fixtures.truncated.landmarks, 400), null);
+    });
+
+    test('reset() 清除軌跡與冷卻', () => {
+        const detector = new MotionGestureDetector();
+        const swipe = t => translate(open, -0.4 * t / 0.3, 0);
+
+        assert.equal(playMotion(detector, swipe, 0.3).length, 1);
+        detector.reset();
+        assert.equal(playMotion(detector, swipe, 0.3, 310).length, 1);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * model-points.test.js
+ * 測試 OBJ / PLY / glTF 解析與模型表面取樣
+ *
+ * 執行：npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseOBJ, parsePLY, parseGLTF, parseModel, generateModelPoints } from '../model-points.js';
+import { createRandom } from '../random.js';
+
+// 邊長 2 的正方形（z = 0），四個頂點
+const QUAD = [-1, -1, 0, 1, -1, 0, 1, 1, 0, -1, 1, 0];
+
+const PLY_HEADER = [
+    'element vertex 4',
+    'property float x',
+    'property float y',
+    'property float z',
+    'element face 1',
+    'property list uchar int vertex_indices',
+    'end_header'
+];
+
+/**
+ * 組出 binary_little_endian 的 PLY：header 後依序是 4 個頂點與一個四邊形
+ */
+function createBinaryPLY() {
+    const header = new TextEncoder().encode(['ply', 'format binary_little_endian 1.0', ...PLY_HEADER].join('\n') + '\n');
+    const body = new DataView(new ArrayBuffer(QUAD.length * 4 + 1 + 4 * 4));
+    QUAD.forEach((value, i) => body.setFloat32(i * 4, value, true));
+    body.setUint8(QUAD.length * 4, 4);
+    [0, 1, 2, 3].forEach((index, i) => body.setInt32(QUAD.length * 4 + 1 + i * 4, index, true));
+
+    const bytes = new Uint8Array(header.length + body.byteLength);
+    bytes.set(header);
+    bytes.set(new Uint8Array(body.buffer), header.length);
+    return bytes.buffer;
+}
+
+/**
+ * 組出內嵌資料的 .gltf：一個三角形，節點往 x 平移 5
+ */
+function createGLTF() {
+    const vertices = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    return new TextEncoder().encode(JSON.stringify({
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0, translation: [5, 0, 0] }],
+        meshes: [{ primitives: [{ attributes: { POSITION: 0 } }] }],
+        accessors: [{ bufferView: 0, componentType: 5126, count: 3, type: 'VEC3' }],
+        bufferViews: [{ buffer: 0, byteLength: vertices.byteLength }],
+        buffers: [{
+            byteLength: vertices.byteLength,
+            uri: 'data:application/octet-stream;base64,' + Buffer.from(vertices.buffer).toString('base64')
+        }]
+    })).buffer;
+}
+
+describe('parseOBJ', () => {
+    test('四邊形以扇形拆成兩個三角形，支援 v/vt/vn 與負索引', () => {
+        const mesh = parseOBJ('# quad\nv -1 -1 0\nv 1 -1 0\nv 1 1 0\nv -1 1 0\nvn 0 0 1\nf 1/1/1 2/2/1 -2/3/1 -1/4/1\n');
+
+        assert.deepEqual(Array.from(mesh.positions), QUAD);
+        assert.deepEqual(Array.from(mesh.indices), [0, 1, 2, 0, 2, 3]);
+    });
+});
+
+describe('parsePLY', () => {
+    test('ascii 與 binary 讀出相同的網格', () => {
+        const ascii = new TextEncoder().encode(['ply', 'format ascii 1.0', ...PLY_HEADER,
+            '-1 -1 0', '1 -1 0', '1 1 0', '-1 1 0', '4 0 1 2 3', ''].join('\n')).buffer;
+
+        for (const buffer of [ascii, createBinaryPLY()]) {
+            const mesh = parsePLY(buffer);
+            assert.deepEqual(Array.from(mesh.positions), QUAD);
+            assert.deepEqual(Array.from(mesh.indices), [0, 1, 2, 0, 2, 3]);
+        }
+    });
+
+    test('不是 PLY 檔時拋出錯誤', () => {
+        assert.throws(() => parsePLY(new TextEncoder().encode('solid cube').buffer));
+    });
+});
+
+describe('parseGLTF', () => {
+    test('讀取內嵌資料並套用節點的平移，沒有 indices 時依頂點順序組成三角形', () => {
+        const mesh = parseGLTF(createGLTF());
+
+        assert.deepEqual(Array.from(mesh.positions), [5, 0, 0, 6, 0, 0, 5, 1, 0]);
+        assert.deepEqual(Array.from(mesh.indices), [0, 1, 2]);
+    });
+
+    test('parseModel 依副檔名選擇格式', () => {
+        assert.equal(parseModel(createGLTF(), 'tri.gltf').indices.length, 3);
+        assert.throws(() => parseModel(new ArrayBuffer(0), 'model.stl'));
+    });
+});
+
+describe('generateModelPoints', () => {
+    test('取樣點落在預設的範圍內（半寬 3.9、半高 3.3），扁平的 z 軸維持 0', (t) => {
+        t.mock.method(console, 'log', () => {});
+        const points = generateModelPoints(500, parseOBJ('v -1 -1 0\nv 1 -1 0\nv 1 1 0\nv -1 1 0\nf 1 2 3 4\n'),
+            { surfaceNoise: 0 }, createRandom(3));
+
+        assert.equal(points.length, 1500);
+        for (let i = 0; i < 500; i++) {
+            assert.ok(Math.abs(points[i * 3]) <= 3.9 + 1e-6 && Math.abs(points[i * 3 + 1]) <= 3.3 + 1e-6);
+            assert.ok(points[i * 3 + 2] === 0);
+        }
+    });
+
+    test('沒有頂點的模型不產生目標座標（交給 registerShape 退回星空）', (t) => {
+        t.mock.method(console, 'warn', () => {});
+
+        assert.equal(generateModelPoints(100, parseOBJ('')), null);
+        assert.equal(generateModelPoints(100, parsePLY(new TextEncoder().encode(
+            'ply\nformat ascii 1.0\nelement vertex 0\nproperty float x\nend_header\n').buffer)), null);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * palettes.test.js
+ * 測試調色盤的整理與粒子顏色生成（內外層、依位置漸層）
+ *
+ * 執行：npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PALETTES, normalizePalette, generatePaletteColors, parseHexColor } from '../palettes.js';
+import { createRandom } from '../random.js';
+
+/**
+ * 第 i 顆粒子的顏色
+ */
+function colorAt(colors, i) {
+    return [colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]];
+}
+
+/**
+ * 沿 Y 軸排成一直線的座標（由下到上）
+ */
+function linePoints(count) {
+    const points = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        points[i * 3 + 1] = i;
+    }
+    return points;
+}
+
+describe('parseHexColor', () => {
+    test('支援 #rrggbb 與 #rgb，格式錯誤時回傳 null', () => {
+        assert.deepEqual(parseHexColor('#ff0000'), { r: 1, g: 0, b: 0 });
+        assert.deepEqual(parseHexColor('#0f0'), { r: 0, g: 1, b: 0 });
+        assert.equal(parseHexColor('#12345'), null);
+        assert.equal(parseHexColor('red'), null);
+        assert.equal(parseHexColor(0xff0000), null);
+    });
+});
+
+describe('normalizePalette', () => {
+    test('所有內建調色盤都合法', () => {
+        for (const [name, spec] of Object.entries(PALETTES)) {
+            assert.ok(normalizePalette(spec), name);
+        }
+    });
+
+    test('只有漸層時推導內外層，並預設依 Y 軸上色', () => {
+        const palette = normalizePalette({ gradient: ['#ff0000', '#0000ff'] });
+
+        assert.equal(palette.colorBy, 'y');
+        assert.equal(palette.core.length, 1);
+        assert.equal(palette.halo.length, 1);
+        assert.deepEqual(palette.gradient, [{ r: 1, g: 0, b: 0 }, { r: 0, g: 0, b: 1 }]);
+    });
+
+    test('只有內層色票時外層共用，漸層由色票推導', () => {
+        const palette = normalizePalette({ core: ['#ffffff'] });
+
+        assert.equal(palette.colorBy, 'layer');
+        assert.equal(palette.halo, palette.core);
+        assert.equal(palette.gradient.length, 2);
+    });
+
+    test('不合法的調色盤回傳 null', () => {
+        assert.equal(normalizePalette(null), null);
+        assert.equal(normalizePalette({}), null);
+        assert.equal(normalizePalette({ core: ['#nothex'] }), null);
+        assert.equal(normalizePalette({ core: [{ h: 0.5, s: 1 }] }), null);
+        assert.equal(normalizePalette({ core: ['#fff'], colorBy: 'x' }), null);
+        assert.equal(normalizePalette({ core: ['#fff'], background: 'black' }), null);
+    });
+});
+
+describe('generatePaletteColors', () => {
+    test('相同的種子得到相同的顏色，值都在 0-1 之間', () => {
+        const palette = normalizePalette(PALETTES.rainbow);
+        const points = linePoints(500);
+        const a = generatePaletteColors(500, palette, { points, rng: createRandom('demo') });
+        const b = generatePaletteColors(500, palette, { points, rng: createRandom('demo') });
+
+        assert.deepEqual(a, b);
+        assert.ok(a.every(v => v >= 0 && v <= 1));
+    });
+
+    test('內外層：前 60% 使用外層色票，其餘使用內層色票', () => {
+        const palette = normalizePalette({ core: [{ h: 0, s: 0, l: 1 }], halo: [{ h: 0, s: 0, l: 0 }] });
+        const colors = generatePaletteColors(10, palette, { rng: createRandom(1) });
+
+        assert.deepEqual(colorAt(colors, 5), [0, 0, 0]);
+        assert.deepEqual(colorAt(colors, 6), [1, 1, 1]);
+    });
+
+    test('沿 Y 軸：最低的粒子取漸層起點，最高的取終點', () => {
+        const palette = normalizePalette({ gradient: ['#ff0000', '#0000ff'] });
+        const colors = generatePaletteColors(10, palette, { points: linePoints(10), rng: createRandom(1) });
+
+        // 外層粒子只會變暗，色相不變
+        const [r0, g0, b0] = colorAt(colors, 0);
+        assert.ok(r0 >= 0.8 && g0 === 0 && b0 === 0);
+        // 內層粒子只會往白色混合，藍色保持最大
+        const [r9, g9, b9] = colorAt(colors, 9);
+        assert.ok(b9 === 1 && r9 === g9 && r9 <= 0.35);
+    });
+
+    test('依半徑：中心附近取漸層起點', () => {
+        const palette = normalizePalette({ gradient: ['#000000', '#ffffff'], colorBy: 'radius' });
+        const points = new Float32Array([0, 0, 0, 0, 0, 4, 3, 0, 0, 0, 4, 0]);
+        const colors = generatePaletteColors(4, palette, { points, rng: () => 0 });
+
+        assert.deepEqual(colorAt(colors, 0), [0, 0, 0]);
+        // 內層粒子在 rng 為 0 時不混合白色
+        assert.deepEqual(colorAt(colors, 2), [0.75, 0.75, 0.75]);
+    });
+
+    test('沒有座標時退回內外層上色', () => {
+        const palette = normalizePalette(PALETTES.rainbow);
+        const withoutPoints = generatePaletteColors(100, palette, { rng: createRandom(3) });
+        const layered = generatePaletteColors(100, palette, { colorBy: 'layer', rng: createRandom(3) });
+
+        assert.deepEqual(withoutPoints, layered);
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * particle-sim.test.js
+ * 測試粒子物理的單步模擬（彈簧、阻尼、擾動、力場、炸開）
+ *
+ * 執行：npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { stepParticles, explodeParticles, blendTargets } from '../particle-sim.js';
+
+const PHYSICS = { stiffness: 6, damping: 3.5 };
+
+/**
+ * 建立 count 顆粒子的狀態
+ * @param {number[][]} positions - 每顆粒子的 [x, y, z]
+ * @param {number[][]} targets - 每顆粒子的目標 [x, y, z]
+ */
+function createState(positions, targets) {
+    return {
+        positions: Float32Array.from(positions.flat()),
+        velocities: new Float32Array(positions.length * 3),
+        targets: Float32Array.from(targets.flat())
+    };
+}
+
+/**
+ * 以固定 dt 模擬 seconds 秒，回傳每一步後第一顆粒子的 x
+ */
+function simulate(state, params, seconds, dt) {
+    const trace = [];
+    const steps = Math.round(seconds / dt);
+    for (let i = 0; i < steps; i++) {
+        stepParticles(state, { count: state.positions.length / 3, time: i * dt, ...params, dt });
+        trace.push(state.positions[0]);
+    }
+    return trace;
+}
+
+describe('stepParticles', () => {
+    test('在目標上且靜止的粒子不會移動', () => {
+        const state = createState([[1, 2, 3]], [[1, 2, 3]]);
+        simulate(state, PHYSICS, 1, 1 / 60);
+
+        assert.deepEqual(Array.from(state.positions), [1, 2, 3]);
+        assert.deepEqual(Array.from(state.velocities), [0, 0, 0]);
+    });
+
+    test('彈簧把粒子拉到目標，阻尼不足時會稍微衝過頭再回來', () => {
+        const state = createState([[0, 0, 0]], [[1, 0, 0]]);
+        const trace = simulate(state, PHYSICS, 4, 1 / 60);
+
+        assert.ok(Math.max(...trace) > 1.01, '應該衝過目標');
+        assert.ok(Math.abs(trace[trace.length - 1] - 1) < 0.01, '最後應該停在目標附近');
+    });
+
+    test('臨界阻尼時不會衝過頭', () => {
+        const state = createState([[0, 0, 0]], [[1, 0, 0]]);
+        const trace = simulate(state, { stiffness: 6, damping: 2 * Math.sqrt(6) * 1.2 }, 4, 1 / 60);
+
+        assert.ok(Math.max(...trace) <= 1);
+    });
+
+    test('結果與幀率無關', () => {
+        const at30 = createState([[0, 0, 0]], [[2, -1, 0.5]]);
+        const at144 = createState([[0, 0, 0]], [[2, -1, 0.5]]);
+
+        simulate(at30, PHYSICS, 0.5, 1 / 30);
+        simulate(at144, PHYSICS, 0.5, 1 / 144);
+
+        for (let i = 0; i < 3; i++) {
+            assert.ok(Math.abs(at30.positions[i] - at144.positions[i]) < 0.05);
+        }
+    });
+
+    test('heartbeat 縮放目標座標', () => {
+        const state = createState([[0, 0, 0]], [[1, 2, 0]]);
+        simulate(state, { ...PHYSICS, heartbeat: 1.5, damping: 5 }, 5, 1 / 60);
+
+        assert.ok(Math.abs(state.positions[0] - 1.5) < 1e-3);
+        assert.ok(Math.abs(state.positions[1] - 3) < 1e-3);
+    });
+
+    test('只更新前 count 顆粒子', () => {
+        const state = createState([[0, 0, 0], [0, 0, 0]], [[1, 1, 1], [1, 1, 1]]);
+        stepParticles(state, { ...PHYSICS, count: 1, dt: 1 / 60, time: 0 });
+
+        assert.notEqual(state.positions[0], 0);
+        assert.deepEqual(Array.from(state.positions.slice(3)), [0, 0, 0]);
+        assert.deepEqual(Array.from(state.velocities.slice(3)), [0, 0, 0]);
+    });
+
+    test('擾動會讓靜止的粒子飄動，且相同輸入得到相同結果', () => {
+        const params = { ...PHYSICS, turbulence: 1, turbulenceScale: 0.35, turbulenceSpeed: 0.3 };
+        const a = createState([[1, 2, 3]], [[1, 2, 3]]);
+        const b = createState([[1, 2, 3]], [[1, 2, 3]]);
+
+        simulate(a, params, 0.5, 1 / 60);
+        simulate(b, params, 0.5, 1 / 60);
+
+        assert.notDeepEqual(Array.from(a.positions), [1, 2, 3]);
+        assert.deepEqual(a.positions, b.positions);
+    });
+
+    describe('力場', () => {
+        // 從 z = 10 往 -z 方向射向原點的射線
+        const field = { ox: 0, oy: 0, oz: 0, dx: 0, dy: 0, dz: -1, radius: 2, strength: 20, swirl: 0.5 };
+
+        test('repel 把射線附近的粒子推開', () => {
+            const state = createState([[0.5, 0, 5]], [[0.5, 0, 5]]);
+            stepParticles(state, { ...PHYSICS, count: 1, dt: 1 / 60, time: 0, forceFields: [{ ...field, attract: false }] });
+
+            assert.ok(state.velocities[0] > 0);
+            assert.equal(state.velocities[1], 0);
+            assert.equal(state.velocities[2], 0, '沿著射線方向不受力');
+        });
+
+        test('attract 往射線吸引並繞著射線旋轉', () => {
+            const state = createState([[0.5, 0, 5]], [[0.5, 0, 5]]);
+            stepParticles(state, { ...PHYSICS, count: 1, dt: 1 / 60, time: 0, forceFields: [{ ...field, attract: true }] });
+
+            assert.ok(state.velocities[0] < 0);
+            assert.ok(Math.abs(state.velocities[1]) > 0);
+        });
+
+        test('半徑外的粒子不受影響', () => {
+            const state = createState([[3, 0, 0]], [[3, 0, 0]]);
+            stepParticles(state, { ...PHYSICS, count: 1, dt: 1 / 60, time: 0, forceFields: [{ ...field, attract: false }] });
+
+            assert.deepEqual(Array.from(state.velocities), [0, 0, 0]);
+        });
+    });
+});
+
+describe('explodeParticles', () => {
+    test('粒子沿著離中心的方向獲得速度', () => {
+        const state = createState([[1, 0, 0], [0, -2, 0], [0, 0, 0]], [[0, 0, 0], [0, 0, 0], [0, 0, 0]]);
+        explodeParticles(state.positions, state.velocities, 3, 10);
+
+        assert.ok(state.velocities[0] > 0 && state.velocities[1] === 0);
+        assert.ok(state.velocities[4] < 0 && state.velocities[3] === 0);
+        assert.ok(state.velocities[7] > 0, '在中心的粒子也會飛出去');
+    });
+
+    test('速度為 0 時不改變任何粒子', () => {
+        const state = createState([[1, 2, 3]], [[0, 0, 0]]);
+        explodeParticles(state.positions, state.velocities, 1, 0);
+
+        assert.deepEqual(Array.from(state.velocities), [0, 0, 0]);
+    });
+});
+
+describe('blendTargets', () => {
+    test('0 與 1 分別為兩個形狀，中間依比例插值', () => {
+        const from = new Float32Array([0, 0, 0, 2, 2, 2]);
+        const to = new Float32Array([4, -4, 8, 2, 2, 2]);
+
+        assert.deepEqual(Array.from(blendTargets(from, to, 0, 2)), Array.from(from));
+        assert.deepEqual(Array.from(blendTargets(from, to, 1, 2)), Array.from(to));
+        assert.deepEqual(Array.from(blendTargets(from, to, 0.25, 2)), [1, -1, 2, 2, 2, 2]);
+    });
+
+    test('寫入指定的陣列，只處理前 count 顆', () => {
+        const out = new Float32Array([9, 9, 9, 9, 9, 9]);
+        const result = blendTargets(new Float32Array(6), new Float32Array(6).fill(1), 0.5, 1, out);
+
+        assert.equal(result, out);
+        assert.deepEqual(Array.from(out), [0.5, 0.5, 0.5, 9, 9, 9]);
+    });
+});
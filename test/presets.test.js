@@ -0,0 +1,159 @@
+/**
+ * presets.test.js
+ * 測試設定預設組的儲存、匯出與匯入
+ *
+ * 執行：npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PresetStore, BUILTIN_PRESETS, PRESET_STORAGE_KEY, normalizePreset } from '../presets.js';
+
+/**
+ * 與 localStorage 相同介面的記憶體儲存
+ */
+function createStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); }
+    };
+}
+
+const CHUBBY = { config: { heartScaleZ: 1.4 }, physics: { stiffness: 8 } };
+
+describe('normalizePreset', () => {
+    test('只保留已知群組與合法的值', () => {
+        const preset = normalizePreset({
+            config: { heartScaleZ: 1.2, heartSize: NaN, seed: 42, worker: false },
+            force: { mode: 'repel', radius: null },
+            colors: { heart: 'red' }
+        });
+
+        assert.deepEqual(preset, { config: { heartScaleZ: 1.2 }, force: { mode: 'repel' } });
+    });
+
+    test('依各群組的規則略過未知的名稱與不合法的值', () => {
+        const preset = normalizePreset({
+            config: { heartScaleZ: 9, spaceRadius: 12, unknown: 1 },
+            physics: { stiffness: 'x', foo: 1, damping: 2 },
+            force: { strength: -1, swirl: 1 },
+            gesture: { enterTime: 200, fistMaxFingers: 1.5, unknown: 0.5 },
+            tracking: { beta: 2, deadZone: 2, clutch: 'yes' },
+            palette: { heart: 'sunset', space: 3 }
+        });
+
+        assert.deepEqual(preset, {
+            config: { spaceRadius: 12 },
+            physics: { damping: 2 },
+            force: { swirl: 1 },
+            gesture: { enterTime: 200 },
+            tracking: { beta: 2 },
+            palette: { heart: 'sunset' }
+        });
+        assert.equal(normalizePreset({ physics: { stiffness: 'x', foo: 1 } }), null);
+    });
+
+    test('沒有任何項目時回傳 null', () => {
+        assert.equal(normalizePreset({ config: {} }), null);
+        assert.equal(normalizePreset('chubby'), null);
+    });
+});
+
+describe('PresetStore', () => {
+    test('內建預設組排在前面且不能覆蓋或刪除', () => {
+        const store = new PresetStore(createStorage());
+        const [builtin] = Object.keys(BUILTIN_PRESETS);
+
+        assert.deepEqual(store.list().map(p => p.builtin), Object.keys(BUILTIN_PRESETS).map(() => true));
+        assert.throws(() => store.save(builtin, CHUBBY), /內建/);
+        assert.equal(store.remove(builtin), false);
+        assert.ok(store.get(builtin));
+    });
+
+    test('儲存後寫入 storage，重新建立時讀回', () => {
+        const storage = createStorage();
+        new PresetStore(storage).save(' 我的愛心 ', CHUBBY);
+
+        const store = new PresetStore(storage);
+        assert.deepEqual(store.get('我的愛心'), CHUBBY);
+        assert.deepEqual(store.list().filter(p => !p.builtin), [{ name: '我的愛心', builtin: false }]);
+    });
+
+    test('取得的預設組是副本', () => {
+        const store = new PresetStore(null);
+        store.save('a', CHUBBY);
+        store.get('a').config.heartScaleZ = 5;
+
+        assert.equal(store.get('a').config.heartScaleZ, 1.4);
+    });
+
+    test('空名稱或空設定會拋出錯誤', () => {
+        const store = new PresetStore(null);
+
+        assert.throws(() => store.save('  ', CHUBBY));
+        assert.throws(() => store.save('a', { config: {} }));
+    });
+
+    test('刪除後從 storage 移除', () => {
+        const storage = createStorage();
+        const store = new PresetStore(storage);
+        store.save('a', CHUBBY);
+
+        assert.equal(store.remove('a'), true);
+        assert.equal(store.get('a'), null);
+        assert.deepEqual(JSON.parse(storage.data[PRESET_STORAGE_KEY]), {});
+    });
+
+    test('storage 資料損壞時視為空的', () => {
+        const store = new PresetStore(createStorage({ [PRESET_STORAGE_KEY]: '{not json' }));
+
+        assert.equal(store.list().filter(p => !p.builtin).length, 0);
+    });
+
+    test('匯出再匯入到另一個儲存庫得到相同的預設組', () => {
+        const source = new PresetStore(null);
+        source.save('a', CHUBBY);
+        source.save('b', { gesture: { debounceFrames: 3 } });
+
+        const target = new PresetStore(createStorage());
+        assert.deepEqual(target.importJson(source.exportJson()), ['a', 'b']);
+        assert.deepEqual(target.get('a'), CHUBBY);
+        assert.deepEqual(target.get('b'), { gesture: { debounceFrames: 3 } });
+    });
+
+    test('匯入時略過無效與內建同名的預設組', () => {
+        const store = new PresetStore(null);
+        const [builtin] = Object.keys(BUILTIN_PRESETS);
+        const text = JSON.stringify({
+            version: 1,
+            presets: { ok: CHUBBY, empty: {}, [builtin]: CHUBBY }
+        });
+
+        assert.deepEqual(store.importJson(text), ['ok']);
+        assert.deepEqual(store.get(builtin), BUILTIN_PRESETS[builtin]);
+    });
+
+    test('匯入的名稱與 save() 一樣去掉前後空白，之後可以用相同的名稱覆蓋或刪除', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const store = new PresetStore(null);
+        const [builtin] = Object.keys(BUILTIN_PRESETS);
+        const text = JSON.stringify({ version: 1, presets: { ' chubby ': CHUBBY, [builtin + ' ']: CHUBBY } });
+
+        assert.deepEqual(store.importJson(text), ['chubby']);
+        store.save('chubby', { physics: { stiffness: 12 } });
+        assert.deepEqual(store.get('chubby'), { physics: { stiffness: 12 } });
+        assert.equal(store.remove('chubby'), true);
+        assert.equal(store.get('chubby'), null);
+    });
+
+    test('無效的檔案會拋出錯誤', () => {
+        const store = new PresetStore(null);
+
+        assert.throws(() => store.importJson('not json'), /JSON/);
+        assert.throws(() => store.importJson('{"version": 1}'), /預設組檔案/);
+        assert.throws(() => store.importJson('{"version": 99, "presets": {}}'), /版本/);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * quality.test.js
+ * 測試畫質自動調整（降級、升級、避免來回切換）
+ *
+ * 執行：npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { QualityManager, QUALITY_TIERS } from '../quality.js';
+
+/**
+ * 以固定 FPS 跑 seconds 秒，回傳過程中所有等級變化
+ */
+function run(manager, fps, seconds) {
+    const changes = [];
+    const frames = Math.round(fps * seconds);
+    for (let i = 0; i < frames; i++) {
+        const tier = manager.update(1 / fps);
+        if (tier !== null) changes.push(tier);
+    }
+    return changes;
+}
+
+describe('QualityManager', () => {
+    test('達到目標 FPS 時維持在最高等級', () => {
+        const manager = new QualityManager(QUALITY_TIERS.length);
+
+        assert.deepEqual(run(manager, 60, 20), []);
+        assert.equal(manager.tier, QUALITY_TIERS.length - 1);
+        assert.ok(Math.abs(manager.fps - 60) < 0.5);
+    });
+
+    test('持續過慢時逐級降到最低，不會低於 0', () => {
+        const manager = new QualityManager(4);
+
+        assert.deepEqual(run(manager, 30, 30), [2, 1, 0]);
+        assert.equal(manager.tier, 0);
+    });
+
+    test('換等級後先等待一段時間才再次判斷', () => {
+        const manager = new QualityManager(4);
+
+        // 等待 2 秒 + 連續 2 個 1 秒的過慢區間
+        assert.deepEqual(run(manager, 30, 2.9), []);
+        assert.deepEqual(run(manager, 30, 0.5), [2]);
+    });
+
+    test('短暫的卡頓不會降級', () => {
+        const manager = new QualityManager(4);
+        run(manager, 60, 3);
+
+        for (let i = 0; i < 5; i++) {
+            assert.deepEqual(run(manager, 30, 1), []);
+            run(manager, 60, 1);
+        }
+        assert.equal(manager.tier, 3);
+    });
+
+    test('有餘裕時從低等級逐級升級', () => {
+        const manager = new QualityManager(4, { tier: 0 });
+
+        assert.deepEqual(run(manager, 60, 30), [1, 2, 3]);
+    });
+
+    test('降級後暫時不會升回剛才的等級', () => {
+        const manager = new QualityManager(4, { tier: 2 });
+
+        assert.deepEqual(run(manager, 40, 5), [1]);
+        // 等級 1 可以達標，但 30 秒內不會再回到等級 2
+        assert.deepEqual(run(manager, 60, 25), []);
+        assert.deepEqual(run(manager, 60, 10), [2]);
+    });
+
+    test('同一個等級再次降級時，等待時間加倍', () => {
+        const manager = new QualityManager(4, { tier: 2 });
+        run(manager, 40, 5);
+        run(manager, 60, 35);
+        assert.equal(manager.tier, 2);
+
+        assert.deepEqual(run(manager, 40, 5), [1]);
+        assert.deepEqual(run(manager, 60, 50), []);
+        assert.deepEqual(run(manager, 60, 10), [2]);
+    });
+
+    test('切換分頁等過長的幀不列入計算', () => {
+        const manager = new QualityManager(4);
+
+        for (let i = 0; i < 10; i++) {
+            assert.equal(manager.update(5), null);
+        }
+        run(manager, 60, 10);
+        assert.equal(manager.tier, 3);
+    });
+
+    test('關閉自動調整時只量測 FPS', () => {
+        const manager = new QualityManager(4, { adaptive: false });
+
+        assert.deepEqual(run(manager, 20, 20), []);
+        assert.ok(Math.abs(manager.fps - 20) < 0.5);
+    });
+
+    test('setTier 解除上限，setTargetFps 改變判斷標準', () => {
+        const manager = new QualityManager(4, { tier: 2 });
+        run(manager, 40, 5);
+        assert.equal(manager.tier, 1);
+
+        manager.setTier(3);
+        assert.equal(manager.tier, 3);
+
+        manager.setTargetFps(30);
+        assert.deepEqual(run(manager, 40, 20), []);
+        assert.equal(manager.tier, 3);
+    });
+});
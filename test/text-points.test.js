@@ -0,0 +1,62 @@
+/**
+ * text-points.test.js
+ * 測試文字形狀的取樣（以假的 OffscreenCanvas 代替瀏覽器的光柵化）
+ *
+ * 執行：npm test
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { generateTextPoints } from '../text-points.js';
+import { createRandom } from '../random.js';
+
+/**
+ * 只模擬 generateTextPoints 用到的部分：有非空白文字的那一行，整行寬度的像素都視為字形
+ */
+class FakeCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.alpha = new Uint8ClampedArray(width * height);
+    }
+
+    getContext() {
+        const canvas = this;
+        return {
+            measureText: text => ({ width: text.length * 10 }),
+            fillText(text, x, y) {
+                if (!text.trim()) return;
+                const row = Math.floor(y);
+                for (let col = 0; col < canvas.width; col++) {
+                    canvas.alpha[row * canvas.width + col] = 255;
+                }
+            },
+            getImageData: (x, y, width, height) => {
+                const data = new Uint8ClampedArray(width * height * 4);
+                canvas.alpha.forEach((alpha, i) => { data[i * 4 + 3] = alpha; });
+                return { data };
+            }
+        };
+    }
+}
+
+describe('generateTextPoints', () => {
+    before(() => { globalThis.OffscreenCanvas = FakeCanvas; });
+    after(() => { delete globalThis.OffscreenCanvas; });
+
+    test('有字形像素時每顆粒子都有座標', (t) => {
+        t.mock.method(console, 'log', () => {});
+        const points = generateTextPoints(100, 'Hi', {}, createRandom(1));
+
+        assert.equal(points.length, 300);
+        assert.ok(points.some(value => value !== 0));
+    });
+
+    test('空字串或只有空白時不產生目標座標（交給 registerShape 退回星空）', (t) => {
+        t.mock.method(console, 'warn', () => {});
+
+        assert.equal(generateTextPoints(100, ''), null);
+        assert.equal(generateTextPoints(100, '  \n '), null);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * text-points.js
+ * 把文字畫在離屏 canvas 上，再從字形像素取樣出粒子目標座標
+ */
+
+// ===== 文字形狀預設參數 =====
+const TEXT_DEFAULTS = {
+    fontFamily: "'Segoe UI', 'Microsoft JhengHei', sans-serif",
+    fontSize: 120,         // 光柵化用的字級（px），越大取樣越細
+    fontWeight: 'bold',
+    lineHeight: 1.2,       // 行高（相對於字級）
+    worldWidth: 9,         // 文字在 3D 場景中的最大寬度
+    worldHeight: 5,        // 文字在 3D 場景中的最大高度
+    depth: 0.35,           // Z 軸厚度，與 2.5D 愛心相近
+    alphaThreshold: 128    // alpha 大於此值的像素才視為字形
+};
+// ============================
+
+/**
+ * 建立離屏 canvas（支援 OffscreenCanvas 時優先使用）
+ */
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * 把文字光柵化，回傳所有屬於字形的像素座標
+ * @returns {{ pixels: Int32Array, pixelCount: number, width: number, height: number }}
+ */
+function rasterizeText(text, options) {
+    const lines = String(text).split('\n');
+    const font = `${options.fontWeight} ${options.fontSize}px ${options.fontFamily}`;
+    const lineHeightPx = Math.ceil(options.fontSize * options.lineHeight);
+    const padding = Math.ceil(options.fontSize * 0.2);
+
+    // 先量測每一行的寬度，決定 canvas 大小
+    const measureCtx = createCanvas(1, 1).getContext('2d');
+    measureCtx.font = font;
+    const maxLineWidth = Math.max(1, ...lines.map(line => Math.ceil(measureCtx.measureText(line).width)));
+
+    const width = maxLineWidth + padding * 2;
+    const height = lineHeightPx * lines.length + padding * 2;
+
+    const ctx = createCanvas(width, height).getContext('2d', { willReadFrequently: true });
+    ctx.font = font;
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    lines.forEach((line, i) => {
+        ctx.fillText(line, width / 2, padding + lineHeightPx * (i + 0.5));
+    });
+
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const pixels = new Int32Array(width * height);
+    let pixelCount = 0;
+
+    for (let i = 0; i < width * height; i++) {
+        if (data[i * 4 + 3] > options.alphaThreshold) {
+            pixels[pixelCount++] = i;
+        }
+    }
+
+    return { pixels, pixelCount, width, height };
+}
+
+/**
+ * 生成文字形狀座標
+ *
+ * 防止粒子擠在同一點的做法：
+ * 1. 先把字形像素洗牌，粒子依序輪流分配到每個像素
+ *    → 粒子數比像素多時，每個像素分到的粒子數最多只差 1
+ * 2. 每顆粒子在所屬像素的範圍內再做次像素抖動
+ *    → 同一個像素上的粒子也不會重疊
+ *
+ * @param {number} count - 粒子數量
+ * @param {string} text - 要顯示的文字，可用 '\n' 換行
+ * @param {Object} [options] - 覆寫 TEXT_DEFAULTS 的字型、大小、粗細等參數
+ * @param {Function} [rng] - 偽隨機數產生器，預設 Math.random
+ * @returns {Float32Array|null} count * 3 的座標陣列；文字沒有任何字形像素（空字串、只有空白）時為 null，
+ *                              registerShape 會退回星空，不會讓粒子全部擠在原點
+ */
+export function generateTextPoints(count, text, options = {}, rng = Math.random) {
+    const opts = { ...TEXT_DEFAULTS, ...options };
+    const { pixels, pixelCount, width, height } = rasterizeText(text, opts);
+
+    if (pixelCount === 0) {
+        console.warn('文字沒有可取樣的像素:', text);
+        return null;
+    }
+
+    const points = new Float32Array(count * 3);
+
+    // Fisher-Yates 洗牌，讓粒子平均分散到整個字串
+    for (let i = pixelCount - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        const tmp = pixels[i];
+        pixels[i] = pixels[j];
+        pixels[j] = tmp;
+    }
+
+    // 將像素座標縮放到場景大小，並保持長寬比
+    const scale = Math.min(opts.worldWidth / width, opts.worldHeight / height);
+
+    for (let i = 0; i < count; i++) {
+        const pixel = pixels[i % pixelCount];
+        const px = pixel % width + rng();
+        const py = Math.floor(pixel / width) + rng();
+
+        points[i * 3] = (px - width / 2) * scale;
+        points[i * 3 + 1] = (height / 2 - py) * scale;  // canvas 的 Y 軸向下
+        points[i * 3 + 2] = (rng() - 0.5) * opts.depth;
+    }
+
+    console.log(`Text points generated: "${text}" (${pixelCount} glyph pixels)`);
+    return points;
+}